@@ -5,6 +5,8 @@ const { InteractiveContentCapture } = require('./interactive-capture');
 const { ScreenshotEnhancer } = require('./enhancer');
 const { createFilename } = require('./utils');
 const { ImageDeduplicationService } = require('./image-deduplication');
+const { resolveViewports, toContextOptions } = require('../src/services/screenshot/viewports');
+const { sessionContextOptions, installSessionHeaders } = require('../src/services/authSession');
 
 class EnhancedScreenshotCapture {
   constructor(outputDir, options = {}) {
@@ -16,6 +18,8 @@ class EnhancedScreenshotCapture {
     this.timeout = options.timeout || 45000;
     this.browser = null;
     this.enhancer = new ScreenshotEnhancer();
+    this.onEvent = options.onEvent || (() => {});
+    this.session = options.session || null;
     
     this.interactiveOptions = {
       maxInteractions: options.maxInteractions || 30,
@@ -27,8 +31,9 @@ class EnhancedScreenshotCapture {
       ...options
     };
 
-    this.screenshotsDir = path.join(outputDir, 'desktop');
-    fs.ensureDirSync(this.screenshotsDir);
+    this.viewports = options.viewports || resolveViewports(null, this.viewport);
+    this.screenshotsDir = path.join(outputDir, this.viewports[0].name);
+    this.viewports.forEach(viewport => fs.ensureDirSync(path.join(outputDir, viewport.name)));
   }
   
   async init() {
@@ -61,21 +66,27 @@ class EnhancedScreenshotCapture {
     }
   }
   
-  async captureUrl(url, index) {
+  async captureUrl(url, index, viewport = this.viewports[0]) {
     const startTime = Date.now();
+    const screenshotsDir = path.join(this.outputDir, viewport.name);
+    const label = this.viewports.length > 1 ? `${index}/${viewport.name}` : index;
     let context = null;
     
     try {
       await this.init();
       
+      // Device profiles bring their own user agent, so they are spread last
       context = await this.browser.newContext({
-        viewport: this.viewport,
         userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Safari/537.36',
         reducedMotion: 'reduce',
-        colorScheme: 'light'
+        colorScheme: 'light',
+        ...toContextOptions(viewport),
+        ...sessionContextOptions(this.session)
       });
+      await installSessionHeaders(context, this.session);
       
       const page = await context.newPage();
+      this.onEvent({ type: 'page_started', url, pageIndex: index, viewport: viewport.name });
       
       const response = await page.goto(url, {
         waitUntil: 'domcontentloaded',
@@ -108,7 +119,7 @@ class EnhancedScreenshotCapture {
           const screenshot = screenshots[i];
           const type = screenshot.filename.replace('.png', '');
           const filename = createEnhancedFilename(url, index, i, type);
-          const filepath = path.join(this.screenshotsDir, filename);
+          const filepath = path.join(screenshotsDir, filename);
           
           try {
             if (screenshot.buffer && screenshot.buffer.length > 0) {
@@ -123,8 +134,11 @@ class EnhancedScreenshotCapture {
           
           captureResults.push({
             url: url,
+            pageIndex: index,
+            viewport: viewport.name,
+            device: viewport.device,
             filename: filename,
-            path: `desktop/${filename}`,
+            path: `${viewport.name}/${filename}`,
             filepath: filepath,
             timestamp: screenshot.timestamp,
             type: screenshot.filename.includes('baseline') ? 'baseline' : 'interactive',
@@ -134,10 +148,11 @@ class EnhancedScreenshotCapture {
           });
         }
         
-        const reportPath = path.join(this.screenshotsDir, `${createFilename(url, index)}_report.json`);
+        const reportPath = path.join(screenshotsDir, `${createFilename(url, index)}_report.json`);
         const report = interactiveCapture.getCaptureReport();
         await fs.writeJson(reportPath, {
           url,
+          viewport: viewport.name,
           timestamp: new Date().toISOString(),
           captureReport: report,
           interactionHistory: Array.from(interactiveCapture.interactionHistory.entries()),
@@ -146,7 +161,7 @@ class EnhancedScreenshotCapture {
         
       } else {
         const filename = createFilename(url, index);
-        const filepath = path.join(this.screenshotsDir, filename);
+        const filepath = path.join(screenshotsDir, filename);
         
         const buffer = await page.screenshot({
           path: filepath,
@@ -156,8 +171,11 @@ class EnhancedScreenshotCapture {
         
         captureResults.push({
           url: url,
+          pageIndex: index,
+          viewport: viewport.name,
+          device: viewport.device,
           filename: filename,
-          path: `desktop/${filename}`,
+          path: `${viewport.name}/${filename}`,
           filepath: filepath,
           timestamp: new Date().toISOString(),
           type: 'standard',
@@ -168,12 +186,20 @@ class EnhancedScreenshotCapture {
       }
       
       const duration = Date.now() - startTime;
-      console.log(`📸 [${index}] ${url} - ${captureResults.length} screenshots (${duration}ms)`);
+      console.log(`📸 [${label}] ${url} - ${captureResults.length} screenshots (${duration}ms)`);
+      captureResults.forEach(result => this.onEvent({
+        type: result.type === 'interactive' ? 'interaction_captured' : 'screenshot_saved',
+        url,
+        pageIndex: index,
+        viewport: viewport.name,
+        path: result.path
+      }));
       
       return captureResults;
       
     } catch (error) {
-      console.error(`❌ [${index}] ${url} - ${error.message}`);
+      console.error(`❌ [${label}] ${url} - ${error.message}`);
+      this.onEvent({ type: 'page_failed', url, pageIndex: index, viewport: viewport.name, error: error.message });
       throw error;
     } finally {
       if (context) {
@@ -191,6 +217,7 @@ class EnhancedScreenshotService {
   constructor(options = {}) {
     this.outputDir = options.outputDir || './data/screenshots';
     this.viewport = options.viewport || { width: 1440, height: 900 };
+    this.viewports = resolveViewports(options.viewports, this.viewport, options.devices);
     this.timeout = options.timeout || 45000;
     this.concurrent = options.concurrent || 4;
     
@@ -200,13 +227,17 @@ class EnhancedScreenshotService {
     this.interactionDelay = options.interactionDelay || 800;
     this.changeDetectionTimeout = options.changeDetectionTimeout || 2000;
     this.maxInteractionsPerType = options.maxInteractionsPerType || 3; // Added this line!
+    this.onEvent = options.onEvent || (() => {});
+    this.session = options.session || null;
     
     console.log(`📸 Enhanced Screenshot Service - Interactive: ${this.enableInteractiveCapture ? 'ENABLED' : 'DISABLED'}`);
   }
   
-  async captureAll(urls) {
+  async captureAll(urls, { signal } = {}) {
     const startTime = Date.now();
     let screenshotCapture = null;
+    const closeOnAbort = () => screenshotCapture?.close();
+    signal?.addEventListener('abort', closeOnAbort, { once: true });
     
     try {
       console.log(`📸 Starting capture of ${urls.length} URLs`);
@@ -214,22 +245,35 @@ class EnhancedScreenshotService {
       screenshotCapture = new EnhancedScreenshotCapture(this.outputDir, {
         width: this.viewport.width,
         height: this.viewport.height,
+        viewports: this.viewports,
         timeout: this.timeout,
         enableInteractiveCapture: this.enableInteractiveCapture,
         maxInteractions: this.maxInteractions,
         maxScreenshotsPerPage: this.maxScreenshotsPerPage,
         interactionDelay: this.interactionDelay,
         changeDetectionTimeout: this.changeDetectionTimeout,
-        maxInteractionsPerType: this.maxInteractionsPerType // Added this line!
+        maxInteractionsPerType: this.maxInteractionsPerType, // Added this line!
+        onEvent: this.onEvent,
+        session: this.session
       });
       
       const allResults = [];
       const batchSize = this.concurrent;
+      // One capture per URL and viewport; variants of a page share its index
+      const captures = urls.flatMap((url, urlIndex) =>
+        this.viewports.map(viewport => ({ url, index: urlIndex, viewport }))
+      );
       
-      for (let i = 0; i < urls.length; i += batchSize) {
-        const currentBatch = urls.slice(i, i + batchSize);
-        const batchResults = await this.processBatchConcurrent(currentBatch, i, screenshotCapture);
-        allResults.push(...batchResults);
+      for (let i = 0; i < captures.length && !signal?.aborted; i += batchSize) {
+        const currentBatch = captures.slice(i, i + batchSize);
+        const batchResults = await this.processBatchConcurrent(currentBatch, screenshotCapture);
+        // Pages torn down by a cancellation are not failures, just not captured
+        allResults.push(...(signal?.aborted ? batchResults.filter(r => r.success) : batchResults));
+      }
+      
+      const cancelled = Boolean(signal?.aborted);
+      if (cancelled) {
+        console.log(`🛑 Screenshot capture cancelled after ${allResults.length}/${captures.length} captures`);
       }
       
       const successfulCaptures = allResults.filter(r => r.success).map(r => r.data).flat();
@@ -245,8 +289,8 @@ class EnhancedScreenshotService {
       const uniqueScreenshots = await dedupService.processScreenshots(successfulCaptures);
       console.log(`✅ Global deduplication complete. Kept ${uniqueScreenshots.length} unique screenshots.`);
 
-      const uniqueFilenames = new Set(uniqueScreenshots.map(s => s.filename));
-      const duplicateScreenshots = successfulCaptures.filter(s => !uniqueFilenames.has(s.filename));
+      const uniqueFilepaths = new Set(uniqueScreenshots.map(s => s.filepath));
+      const duplicateScreenshots = successfulCaptures.filter(s => !uniqueFilepaths.has(s.filepath));
 
       if (duplicateScreenshots.length > 0) {
           console.log(`🗑️  Removing ${duplicateScreenshots.length} duplicate screenshot files...`);
@@ -254,6 +298,10 @@ class EnhancedScreenshotService {
               try {
                   await fs.remove(duplicate.filepath);
                   console.log(`   - Removed: ${duplicate.filename}`);
+                  this.onEvent({
+                    type: 'duplicate_removed',
+                    removed: { url: duplicate.url, filename: duplicate.filename }
+                  });
               } catch (e) {
                   console.error(`   - Error removing ${duplicate.filename}: ${e.message}`);
               }
@@ -268,6 +316,7 @@ class EnhancedScreenshotService {
 
       const metadata = {
         timestamp: new Date().toISOString(),
+        cancelled,
         duration_seconds: duration,
         total_urls: urls.length,
         successful_captures: finalSuccessful.length,
@@ -276,7 +325,23 @@ class EnhancedScreenshotService {
         interactive_capture_enabled: this.enableInteractiveCapture,
         average_screenshots_per_page: finalSuccessful.length > 0 ? 
           (totalScreenshots / finalSuccessful.length).toFixed(1) : '0.0',
-        interactive_pages_found: finalSuccessful.filter(r => r.totalScreenshots > 1).length
+        interactive_pages_found: finalSuccessful.filter(r => r.totalScreenshots > 1).length,
+        viewports: this.viewports,
+        pages: urls.map((url, urlIndex) => ({
+          url,
+          page_index: urlIndex + 1,
+          variants: this.viewports.map(viewport => {
+            const shots = finalSuccessful.filter(s => s.url === url && s.viewport === viewport.name);
+            const failure = failedCaptures.find(r => r.url === url && r.viewport === viewport.name);
+            return {
+              viewport: viewport.name,
+              device: viewport.device,
+              status: shots.length ? 'captured' : failure ? 'failed' : 'not_captured',
+              screenshots: shots.map(s => s.path),
+              ...(failure && { error: failure.error })
+            };
+          })
+        }))
       };
       
       const metadataPath = path.join(this.outputDir, 'enhanced_metadata.json');
@@ -286,8 +351,9 @@ class EnhancedScreenshotService {
       
       return {
         success: finalSuccessful.length > 0,
+        cancelled,
         successful: finalSuccessful,
-        failed: failedCaptures.map(r => ({ url: r.url, error: r.error })),
+        failed: failedCaptures.map(r => ({ url: r.url, viewport: r.viewport, error: r.error })),
         stats: {
           totalScreenshots,
           averageScreenshotsPerPage: metadata.average_screenshots_per_page,
@@ -297,7 +363,10 @@ class EnhancedScreenshotService {
         },
         files: {
           metadata: metadataPath,
-          screenshotsDir: path.join(this.outputDir, 'desktop')
+          screenshotsDir: path.join(this.outputDir, this.viewports[0].name),
+          viewportDirs: Object.fromEntries(
+            this.viewports.map(viewport => [viewport.name, path.join(this.outputDir, viewport.name)])
+          )
         }
       };
       
@@ -305,33 +374,33 @@ class EnhancedScreenshotService {
       console.error('❌ Enhanced screenshot service failed:', error.message);
       throw error;
     } finally {
+      signal?.removeEventListener('abort', closeOnAbort);
       if (screenshotCapture) {
         await screenshotCapture.close();
       }
     }
   }
   
-  async processBatchConcurrent(urls, startIndex, screenshotCapture) {
-    const batchPromises = urls.map((url, batchIndex) => {
-      const globalIndex = startIndex + batchIndex;
-      return this.processSingleUrl(url, globalIndex, screenshotCapture);
-    });
+  async processBatchConcurrent(captures, screenshotCapture) {
+    const batchPromises = captures.map(({ url, index, viewport }) =>
+      this.processSingleUrl(url, index, screenshotCapture, viewport)
+    );
     
     return await Promise.allSettled(batchPromises).then(results => 
       results.map((result, index) => {
-        const url = urls[index];
+        const { url, viewport } = captures[index];
         if (result.status === 'fulfilled') {
-          return { success: true, url, data: result.value };
+          return { success: true, url, viewport: viewport.name, data: result.value };
         } else {
-          return { success: false, url, error: result.reason.message };
+          return { success: false, url, viewport: viewport.name, error: result.reason.message };
         }
       })
     );
   }
   
-  async processSingleUrl(url, index, screenshotCapture) {
+  async processSingleUrl(url, index, screenshotCapture, viewport) {
     try {
-      return await screenshotCapture.captureUrl(url, index + 1);
+      return await screenshotCapture.captureUrl(url, index + 1, viewport);
     } catch (error) {
       throw new Error(`Failed to capture ${url}: ${error.message}`);
     }
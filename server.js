@@ -8,7 +8,17 @@ const { createClient } = require('@supabase/supabase-js');
 
 // Import enhanced services
 const { URLDiscoveryService } = require('./url-discovery');
+const { applyUrlEdits, CRAWL_STRATEGIES } = require('./url-discovery/utils');
 const { EnhancedScreenshotService } = require('./screenshot/enhanced-integration');
+const { resolveViewports } = require('./src/services/screenshot/viewports');
+const { validateAuthOptions, describeAuth, establishSession } = require('./src/services/authSession');
+const { validateUrlRules } = require('./src/services/urlRules');
+const { SupabaseJobStore } = require('./src/jobs/stores');
+const { JobQueue } = require('./src/jobs/jobQueue');
+const { JobEventBus, streamJobEvents } = require('./src/jobs/jobEvents');
+const { WebhookNotifier } = require('./src/jobs/webhookNotifier');
+const { sendJobArchive } = require('./src/services/jobArchive');
+const { ScreenshotUploader, createStorageFromEnv } = require('./src/services/storage');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -28,58 +38,121 @@ const jobs = new Map();
 // Job status constants
 const JOB_STATUS = {
   PENDING: 'pending',
+  QUEUED: 'queued',
   RUNNING: 'running',
   URL_DISCOVERY: 'url_discovery',
   URL_REVIEW_PENDING: 'url_review_pending',
   SCREENSHOT_CAPTURE: 'screenshot_capture',
   COMPLETED: 'completed',
-  FAILED: 'failed'
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
 };
 
+const TERMINAL_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+const DEFAULT_VIEWPORT = { width: 1440, height: 900 };
+
+// Live status and per-page events, fanned out to SSE subscribers
+const jobEvents = new JobEventBus();
+
+// Abort controllers for jobs that are queued or running, keyed by job id
+const jobControllers = new Map();
+
+// Statuses that trigger a webhook when a job with a webhookUrl enters them
+const WEBHOOK_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.URL_REVIEW_PENDING];
+
+const webhookNotifier = new WebhookNotifier({
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || undefined
+});
+
+// Authenticated sessions (storage state + headers) shared by a job's discovery
+// and screenshot phases, keyed by job id. Kept out of the job record.
+const authSessions = new Map();
+
+// Auto-proceed timers for jobs parked in URL review, keyed by job id
+const reviewTimers = new Map();
+
+const jobStore = new SupabaseJobStore({ client: supabase });
+
+// Where screenshots end up: STORAGE_BACKEND=supabase (default), s3 or local
+const screenshotUploader = new ScreenshotUploader({
+  storage: createStorageFromEnv(process.env, {
+    fallback: 'supabase',
+    supabaseClient: supabase,
+    localDirectory: path.join(__dirname, 'data')
+  }),
+  concurrency: Number(process.env.STORAGE_UPLOAD_CONCURRENCY) || undefined
+});
+
 // Persist a job record to the database (upsert)
 async function persistJob(job) {
-  const { error } = await supabase
-    .from('CaptureJob')
-    .upsert({
-      id: job.id,
-      baseUrl: job.baseUrl,
-      status: job.status,
-      progress: job.progress || null,
-      urlDiscovery: job.urlDiscovery || null,
-      results: job.results || null,
-      error: job.error || null,
-      errorType: job.errorType || null,
-      updatedAt: new Date().toISOString(),
-    }, { onConflict: 'id' });
-  if (error) console.error(`DB persist error for job ${job.id.slice(0, 8)}:`, error.message);
+  try {
+    await jobStore.save(job);
+  } catch (error) {
+    console.error(error.message);
+  }
 }
 
 // Load a job from the database into the in-memory cache
 async function loadJob(jobId) {
-  const { data, error } = await supabase
-    .from('CaptureJob')
-    .select('*')
-    .eq('id', jobId)
-    .single();
-  if (error || !data) return null;
-  const job = {
-    id: data.id,
-    baseUrl: data.baseUrl,
-    status: data.status,
-    progress: data.progress,
-    urlDiscovery: data.urlDiscovery,
-    results: data.results,
-    error: data.error,
-    errorType: data.errorType,
-    createdAt: data.createdAt,
-    updatedAt: data.updatedAt,
-    // options are not stored in DB — only used during active processing
-    options: {},
-  };
+  const job = await jobStore.get(jobId);
+  if (!job) return null;
   jobs.set(jobId, job);
   return job;
 }
 
+// Jobs left mid-run by a previous process can never finish: their options were
+// never persisted, so fail them instead of leaving them "running" forever
+async function recoverInterruptedJobs() {
+  const interrupted = await jobStore.list({
+    statuses: [
+      JOB_STATUS.PENDING,
+      JOB_STATUS.QUEUED,
+      JOB_STATUS.RUNNING,
+      JOB_STATUS.URL_DISCOVERY,
+      JOB_STATUS.URL_REVIEW_PENDING,
+      JOB_STATUS.SCREENSHOT_CAPTURE
+    ]
+  });
+
+  for (const job of interrupted) {
+    if (jobs.has(job.id)) continue;
+    jobs.set(job.id, job);
+    updateJobStatus(job.id, JOB_STATUS.FAILED, {
+      error: `Interrupted by service restart during ${job.status}`,
+      errorType: 'interrupted',
+      progress: {
+        ...job.progress,
+        stage: 'failed',
+        message: 'Job was interrupted by a service restart'
+      }
+    });
+  }
+
+  if (interrupted.length) {
+    console.log(`♻️  Marked ${interrupted.length} interrupted job(s) as failed`);
+  }
+}
+
+// Global cap on jobs running at once — each one launches its own browser
+const jobQueue = new JobQueue({
+  concurrency: Number(process.env.MAX_CONCURRENT_JOBS) || 2,
+  onPositionChange: (jobId, position) => {
+    const job = jobs.get(jobId);
+    if (!job) return;
+    updateJobStatus(jobId, JOB_STATUS.QUEUED, {
+      progress: {
+        stage: 'queued',
+        percentage: 0,
+        queuePosition: position,
+        message: position === 1
+          ? 'Next in queue, waiting for a free slot...'
+          : `Queued at position ${position}, waiting for a free slot...`
+      }
+    });
+  }
+});
+
 // Classify raw error messages into user-facing error types
 function classifyError(errorMessage) {
   if (!errorMessage) return 'unknown';
@@ -140,15 +213,83 @@ function classifyError(errorMessage) {
 // Helper function to update job status (in-memory + DB)
 function updateJobStatus(jobId, status, updates = {}) {
   const job = jobs.get(jobId);
+  // A finished job stays finished: a phase still winding down after a cancel
+  // may only add to the cancelled record, not mark it completed
+  if (job && TERMINAL_STATUSES.includes(job.status) && status !== job.status) {
+    return;
+  }
   if (job) {
+    const previousStatus = job.status;
     job.status = status;
     job.updatedAt = new Date().toISOString();
     Object.assign(job, updates);
     jobs.set(jobId, job);
     persistJob(job);
+    jobEvents.emit(jobId, { type: 'status', status, progress: job.progress });
+
+    if (status !== previousStatus && WEBHOOK_STATUSES.includes(status) && job.options?.webhookUrl) {
+      sendWebhook(job);
+    }
   }
 }
 
+function buildWebhookPayload(job) {
+  const summary = {
+    urlCount: job.urlDiscovery?.urls?.length || 0
+  };
+  if (job.status === JOB_STATUS.COMPLETED && job.results) {
+    summary.screenshotCount = job.results.screenshots?.length || 0;
+    summary.totalScreenshots = job.results.enhancedCapture?.totalScreenshots || 0;
+    summary.interactivePagesFound = job.results.enhancedCapture?.interactivePagesFound || 0;
+    summary.durationSeconds = job.results.stats?.screenshots?.duration || null;
+  }
+
+  return {
+    event: `job.${job.status}`,
+    jobId: job.id,
+    status: job.status,
+    baseUrl: job.baseUrl,
+    ...(job.status === JOB_STATUS.FAILED && {
+      error: job.error,
+      errorType: job.errorType || classifyError(job.error)
+    }),
+    summary,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Deliver in the background; each attempt is recorded on job.webhookDeliveries
+function sendWebhook(job) {
+  const payload = buildWebhookPayload(job);
+  const { webhookUrl, webhookSecret } = job.options;
+  let index = null;
+
+  webhookNotifier.deliver({
+    url: webhookUrl,
+    secret: webhookSecret || process.env.WEBHOOK_SECRET,
+    event: payload.event,
+    payload,
+    onAttempt: delivery => {
+      const current = jobs.get(job.id);
+      if (!current) return;
+      current.webhookDeliveries = current.webhookDeliveries || [];
+      if (index === null) {
+        index = current.webhookDeliveries.push(delivery) - 1;
+      } else {
+        current.webhookDeliveries[index] = delivery;
+      }
+      persistJob(current);
+    }
+  }).then(delivery => {
+    const attempts = delivery.attempts.length;
+    if (delivery.status === 'delivered') {
+      console.log(`🔔 Job ${job.id.slice(0,8)}: ${payload.event} webhook delivered (${attempts} attempt${attempts === 1 ? '' : 's'})`);
+    } else {
+      console.error(`🔕 Job ${job.id.slice(0,8)}: ${payload.event} webhook failed after ${attempts} attempt${attempts === 1 ? '' : 's'}`);
+    }
+  });
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   const activeJobs = Array.from(jobs.values()).filter(j => 
@@ -170,7 +311,9 @@ app.get('/health', (req, res) => {
     ).length,
     reviewPendingJobs: Array.from(jobs.values()).filter(j => 
       j.status === JOB_STATUS.URL_REVIEW_PENDING
-    ).length
+    ).length,
+    queuedJobs: jobQueue.size,
+    maxConcurrentJobs: jobQueue.concurrency
   });
 });
 
@@ -192,9 +335,12 @@ app.get('/', (req, res) => {
       health: '/health',
       createJob: 'POST /api/capture',
       getJob: 'GET /api/capture/:jobId',
+      getUrls: 'GET /api/capture/:jobId/urls',
+      jobEvents: 'GET /api/capture/:jobId/events',
       listJobs: 'GET /api/jobs',
-      updateUrls: 'PUT /api/capture/:jobId/urls',  // NEW ENDPOINT
-      proceedWithScreenshots: 'POST /api/capture/:jobId/proceed'  // NEW ENDPOINT
+      cancelJob: 'DELETE /api/capture/:jobId',
+      updateUrls: 'PUT /api/capture/:jobId/urls',
+      proceedWithScreenshots: 'POST /api/capture/:jobId/proceed'
     },
     enhancedOptions: {
       captureInteractive: 'Enable/disable interactive element capture (default: true)',
@@ -203,7 +349,13 @@ app.get('/', (req, res) => {
       interactionDelay: 'Delay between interactions in ms (default: 800)',
       changeDetectionTimeout: 'Time to wait for content changes after interaction (default: 2000ms)',
       maxInteractionsPerType: 'Maximum interactions per selector type (default: 3)',
-      manualReview: 'Enable manual URL review before screenshotting (default: false)'  // NEW OPTION
+      viewports: 'Capture every page once per viewport: presets "desktop", "tablet", "mobile" or { name, width, height, deviceScaleFactor, isMobile, hasTouch } (default: ["desktop"])',
+      auth: 'Capture behind a login: { storageState, cookies, headers, login: { url, usernameSelector, passwordSelector, submitSelector, usernameEnv, passwordEnv, successSelector | successUrl } } — credentials are read from the named env vars (CAPTURE_CRED_* or listed in CAPTURE_CREDENTIAL_ENVS), login.url must be on the baseUrl origin',
+      devices: 'Capture as these Playwright devices instead of desktop (add "desktop" to viewports to keep it), e.g. ["iPhone 13", "Pixel 7"] (user agent, touch and DPR included)',
+      manualReview: 'Pause in url_review_pending after discovery until the URLs are approved via the API (default: false)',
+      reviewTimeout: 'Proceed automatically with the current URL list after this many ms in review (default: wait indefinitely)',
+      webhookUrl: 'POST a JSON notification here when the job completes, fails or waits for URL review',
+      webhookSecret: 'Signs webhook payloads with HMAC-SHA256 in X-Vuxi-Signature (default: WEBHOOK_SECRET env)'
     }
   });
 });
@@ -217,6 +369,36 @@ app.post('/api/capture', async (req, res) => {
       return res.status(400).json({ error: 'baseUrl is required' });
     }
 
+    if (options.webhookUrl && !/^https?:\/\//i.test(options.webhookUrl)) {
+      return res.status(400).json({ error: 'webhookUrl must be an http(s) URL' });
+    }
+
+    try {
+      validateAuthOptions(options.auth, baseUrl);
+      validateUrlRules(options);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (options.maxDepth !== undefined && !(Number.isInteger(options.maxDepth) && options.maxDepth >= 0)) {
+      return res.status(400).json({ error: 'maxDepth must be a non-negative integer' });
+    }
+
+    if (options.crawlStrategy && !CRAWL_STRATEGIES.includes(options.crawlStrategy)) {
+      return res.status(400).json({
+        error: `crawlStrategy must be one of: ${CRAWL_STRATEGIES.join(', ')}`
+      });
+    }
+
+    let viewports = null;
+    if (options.viewports || options.devices) {
+      try {
+        viewports = resolveViewports(options.viewports, DEFAULT_VIEWPORT, options.devices);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
     const jobId = uuidv4();
     const outputDir = path.join(__dirname, 'data', `job_${jobId}`);
         
@@ -230,6 +412,13 @@ app.post('/api/capture', async (req, res) => {
         timeout: options.timeout || 8000,
         concurrency: options.concurrency || 3,
         fastMode: options.fastMode !== false,
+        useSitemaps: options.useSitemaps !== false,
+        politeness: options.politeness ?? true,
+        include: options.include,
+        exclude: options.exclude,
+        disableRuleGroups: options.disableRuleGroups,
+        maxDepth: options.maxDepth ?? null,
+        crawlStrategy: options.crawlStrategy || 'breadth-first',
         outputDir,
         
         // ENHANCED INTERACTIVE CAPTURE OPTIONS
@@ -239,6 +428,8 @@ app.post('/api/capture', async (req, res) => {
         interactionDelay: options.interactionDelay || 800,
         changeDetectionTimeout: options.changeDetectionTimeout || 2000,
         maxInteractionsPerType: options.maxInteractionsPerType || 3,
+        viewports,
+        auth: options.auth || null,
         
         // ADVANCED OPTIONS (optional)
         enableHoverCapture: options.enableHoverCapture || false,
@@ -246,8 +437,13 @@ app.post('/api/capture', async (req, res) => {
         skipSocialElements: options.skipSocialElements !== false,
         maxProcessingTime: options.maxProcessingTime || 120000,
         
-        // NEW MANUAL REVIEW OPTION
-        manualReview: options.manualReview || false
+        // MANUAL REVIEW OPTIONS
+        manualReview: options.manualReview || false,
+        reviewTimeout: options.reviewTimeout || null,
+
+        // NOTIFICATIONS
+        webhookUrl: options.webhookUrl || null,
+        webhookSecret: options.webhookSecret || null
       },
       status: JOB_STATUS.PENDING,
       createdAt: new Date().toISOString(),
@@ -263,23 +459,14 @@ app.post('/api/capture', async (req, res) => {
     await persistJob(job);
     console.log(`✅ Job ${jobId.slice(0,8)} created for ${baseUrl} ${job.options.manualReview ? '(with manual review)' : ''}`);
 
-    // Start processing asynchronously with better error handling
-    setImmediate(() => {
-      processJob(jobId).catch(error => {
-        console.error(`❌ Job ${jobId.slice(0,8)} failed:`, error);
-        updateJobStatus(jobId, JOB_STATUS.FAILED, {
-          error: error.message,
-          errorType: error.errorType || classifyError(error.message),
-          progress: {
-            stage: 'failed',
-            percentage: 0,
-            message: `Job failed: ${error.message}`
-          }
-        });
-      });
-    });
+    // Queue for processing; the queue starts it once a slot is free
+    enqueueJob(jobId, signal => processJob(jobId, signal));
     
-    res.json({ jobId, status: job.status });
+    res.json({
+      jobId,
+      status: job.status,
+      queuePosition: jobQueue.position(jobId)
+    });
     
   } catch (error) {
     console.error('Error creating job:', error);
@@ -287,9 +474,6 @@ app.post('/api/capture', async (req, res) => {
   }
 });
 
-// REMOVED: Complex API endpoints for URL review
-// The manual review now happens interactively in the terminal
-
 // Get job status
 app.get('/api/capture/:jobId', async (req, res) => {
   const { jobId } = req.params;
@@ -311,12 +495,23 @@ app.get('/api/capture/:jobId', async (req, res) => {
       maxInteractions: job.options.maxInteractions,
       maxScreenshotsPerPage: job.options.maxScreenshotsPerPage,
       maxPages: job.options.maxPages,
+      useSitemaps: job.options.useSitemaps,
+      politeness: job.options.politeness,
+      include: job.options.include,
+      exclude: job.options.exclude,
+      disableRuleGroups: job.options.disableRuleGroups,
+      maxDepth: job.options.maxDepth,
+      crawlStrategy: job.options.crawlStrategy,
       concurrency: job.options.concurrency,
       maxInteractionsPerType: job.options.maxInteractionsPerType,
+      viewports: job.options.viewports,
+      auth: describeAuth(job.options.auth),
       enableHoverCapture: job.options.enableHoverCapture,
       interactionDelay: job.options.interactionDelay,
       changeDetectionTimeout: job.options.changeDetectionTimeout,
-      manualReview: job.options.manualReview
+      manualReview: job.options.manualReview,
+      reviewTimeout: job.options.reviewTimeout,
+      webhookUrl: job.options.webhookUrl
     },
     // Include URL discovery results if available
     ...(job.urlDiscovery && {
@@ -326,19 +521,196 @@ app.get('/api/capture/:jobId', async (req, res) => {
         stats: job.urlDiscovery.stats,
         originalUrlCount: job.urlDiscovery.originalUrlCount,
         reviewedUrlCount: job.urlDiscovery.reviewedUrlCount,
-        urlsModified: job.urlDiscovery.urlsModified || false
+        urlsModified: job.urlDiscovery.urlsModified || false,
+        reviewDeadline: job.urlDiscovery.reviewDeadline || null
       }
     }),
-    ...(job.status === JOB_STATUS.COMPLETED && {
+    ...([JOB_STATUS.COMPLETED, JOB_STATUS.CANCELLED].includes(job.status) && job.results && {
       results: job.results
     }),
     ...(job.status === JOB_STATUS.FAILED && {
       error: job.error,
       errorType: job.errorType || 'unknown'
+    }),
+    ...(job.webhookDeliveries && {
+      webhookDeliveries: job.webhookDeliveries
     })
   });
 });
 
+// URL review: list, edit and approve the URLs of a job parked in url_review_pending
+function describeReviewUrls(job) {
+  const discovered = new Set(job.urlDiscovery.discoveredUrls || []);
+  return {
+    jobId: job.id,
+    status: job.status,
+    baseUrl: job.baseUrl,
+    urls: job.urlDiscovery.urls.map((url, index) => ({
+      url,
+      position: index + 1,
+      source: discovered.has(url) ? 'discovered' : 'added'
+    })),
+    originalUrlCount: job.urlDiscovery.originalUrlCount,
+    urlsModified: job.urlDiscovery.urlsModified || false,
+    reviewDeadline: job.urlDiscovery.reviewDeadline || null,
+    crawlStats: job.urlDiscovery.stats
+  };
+}
+
+async function findReviewableJob(req, res) {
+  const { jobId } = req.params;
+  const job = jobs.get(jobId) || await loadJob(jobId);
+
+  if (!job) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+
+  if (job.status !== JOB_STATUS.URL_REVIEW_PENDING || !job.urlDiscovery) {
+    res.status(409).json({ error: `Job is not awaiting URL review (status: ${job.status})`, status: job.status });
+    return null;
+  }
+
+  return job;
+}
+
+app.get('/api/capture/:jobId/urls', async (req, res) => {
+  const { jobId } = req.params;
+  const job = jobs.get(jobId) || await loadJob(jobId);
+
+  if (!job || !job.urlDiscovery) {
+    return res.status(404).json({ error: job ? 'No URLs discovered yet' : 'Job not found' });
+  }
+
+  res.json(describeReviewUrls(job));
+});
+
+app.put('/api/capture/:jobId/urls', async (req, res) => {
+  const job = await findReviewableJob(req, res);
+  if (!job) return;
+
+  const { urls, rejected } = applyUrlEdits(job.urlDiscovery.urls, req.body || {}, job.baseUrl);
+  if (urls.length === 0) {
+    return res.status(400).json({ error: 'At least one URL is required', rejected });
+  }
+
+  const discoveredUrls = job.urlDiscovery.discoveredUrls || [];
+  updateJobStatus(job.id, JOB_STATUS.URL_REVIEW_PENDING, {
+    progress: {
+      ...job.progress,
+      message: `${urls.length} URLs selected, waiting for review`
+    },
+    urlDiscovery: {
+      ...job.urlDiscovery,
+      urls,
+      reviewedUrlCount: urls.length,
+      urlsModified: urls.join('\n') !== discoveredUrls.join('\n')
+    }
+  });
+
+  // Keep the on-disk list in step with what will be captured
+  await fs.writeJson(path.join(job.options.outputDir, 'urls_simple.json'), urls, { spaces: 2 })
+    .catch(error => console.error(`⚠️  Failed to write reviewed URLs: ${error.message}`));
+
+  console.log(`📝 Job ${job.id.slice(0,8)}: URL list updated (${urls.length} URLs)`);
+  res.json({ ...describeReviewUrls(jobs.get(job.id)), rejected });
+});
+
+app.post('/api/capture/:jobId/proceed', async (req, res) => {
+  const job = await findReviewableJob(req, res);
+  if (!job) return;
+
+  // Options are not persisted, so a job restored from the database cannot resume
+  if (!job.options.outputDir) {
+    return res.status(409).json({ error: 'Job can no longer be resumed', status: job.status });
+  }
+
+  resumeAfterReview(job.id, 'approved');
+  res.status(202).json({
+    jobId: job.id,
+    status: jobs.get(job.id).status,
+    urlCount: job.urlDiscovery.urls.length
+  });
+});
+
+// Stream status transitions and per-page progress as Server-Sent Events
+app.get('/api/capture/:jobId/events', async (req, res) => {
+  const { jobId } = req.params;
+  const job = jobs.get(jobId) || await loadJob(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  streamJobEvents(req, res, { job, events: jobEvents, terminalStatuses: TERMINAL_STATUSES });
+});
+
+// Download the job folder (screenshots, JSON metadata, reports) as one ZIP;
+// ?uniqueOnly=true leaves out screenshots that are not part of the final results
+app.get('/api/capture/:jobId/archive', async (req, res) => {
+  const { jobId } = req.params;
+  const job = jobs.get(jobId) || await loadJob(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (!TERMINAL_STATUSES.includes(job.status)) {
+    return res.status(409).json({ error: `Job is still ${job.status}`, status: job.status });
+  }
+
+  const outputDir = path.join(__dirname, 'data', `job_${jobId}`);
+  if (!(await fs.pathExists(outputDir))) {
+    return res.status(404).json({ error: 'Job output is no longer on disk' });
+  }
+
+  console.log(`📦 Job ${jobId.slice(0,8)}: streaming archive`);
+  await sendJobArchive(res, {
+    jobId,
+    outputDir,
+    screenshots: job.results?.screenshots,
+    uniqueOnly: ['true', '1'].includes(req.query.uniqueOnly)
+  });
+});
+
+// Cancel a queued or running job. Browsers are closed immediately; anything
+// already captured stays on disk and in the job record.
+async function cancelJob(req, res) {
+  const { jobId } = req.params;
+  const job = jobs.get(jobId) || await loadJob(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if ([JOB_STATUS.COMPLETED, JOB_STATUS.FAILED].includes(job.status)) {
+    return res.status(409).json({ error: `Job already ${job.status}`, status: job.status });
+  }
+
+  if (job.status !== JOB_STATUS.CANCELLED) {
+    console.log(`🛑 Cancelling job ${jobId.slice(0,8)} (${job.status})`);
+    const controller = jobControllers.get(jobId);
+
+    if (jobQueue.remove(jobId) || !controller) {
+      markJobCancelled(jobId);
+    } else {
+      controller.abort();
+      updateJobStatus(jobId, JOB_STATUS.CANCELLED, {
+        progress: {
+          ...job.progress,
+          stage: 'cancelling',
+          message: 'Cancelling, closing browser...'
+        }
+      });
+    }
+  }
+
+  res.status(202).json({ jobId, status: job.status, progress: job.progress });
+}
+
+app.delete('/api/capture/:jobId', cancelJob);
+app.post('/api/capture/:jobId/cancel', cancelJob);
+
 // Get all jobs (for debugging)
 app.get('/api/jobs', (req, res) => {
   const jobList = Array.from(jobs.values()).map(job => ({
@@ -366,8 +738,111 @@ app.use('/data', (req, res, next) => {
   next();
 }, express.static(path.join(__dirname, 'data')));
 
+// Run a job phase through the global queue with its own abort controller
+function enqueueJob(jobId, task) {
+  const controller = new AbortController();
+  jobControllers.set(jobId, controller);
+  jobQueue.enqueue(jobId, () => task(controller.signal))
+    .catch(error => {
+      if (controller.signal.aborted) {
+        markJobCancelled(jobId);
+        return;
+      }
+      console.error(`❌ Job ${jobId.slice(0,8)} failed:`, error);
+      updateJobStatus(jobId, JOB_STATUS.FAILED, {
+        error: error.message,
+        errorType: error.errorType || classifyError(error.message),
+        progress: {
+          stage: 'failed',
+          percentage: 0,
+          message: `Job failed: ${error.message}`
+        }
+      });
+    })
+    .finally(() => {
+      jobControllers.delete(jobId);
+      // A job parked for review still needs its session for the screenshot phase
+      if (jobs.get(jobId)?.status !== JOB_STATUS.URL_REVIEW_PENDING) {
+        authSessions.delete(jobId);
+      }
+    });
+}
+
+// Park a job after discovery until its URLs are approved through the API.
+// The job gives up its queue slot while it waits.
+function awaitUrlReview(jobId) {
+  const job = jobs.get(jobId);
+  const { reviewTimeout } = job.options;
+  const urlCount = job.urlDiscovery.urls.length;
+
+  console.log(`⏸️ Job ${jobId.slice(0,8)}: waiting for URL review of ${urlCount} URLs`);
+  updateJobStatus(jobId, JOB_STATUS.URL_REVIEW_PENDING, {
+    progress: {
+      stage: 'url_review_pending',
+      percentage: 45,
+      message: `Found ${urlCount} URLs, waiting for review`
+    },
+    urlDiscovery: {
+      ...job.urlDiscovery,
+      reviewDeadline: reviewTimeout ? new Date(Date.now() + reviewTimeout).toISOString() : null
+    }
+  });
+
+  if (reviewTimeout) {
+    reviewTimers.set(jobId, setTimeout(() => {
+      console.log(`⏰ Job ${jobId.slice(0,8)}: review timed out, proceeding with current URL list`);
+      resumeAfterReview(jobId, 'timeout');
+    }, reviewTimeout));
+  }
+}
+
+function clearReviewTimer(jobId) {
+  clearTimeout(reviewTimers.get(jobId));
+  reviewTimers.delete(jobId);
+}
+
+function resumeAfterReview(jobId, resolution) {
+  clearReviewTimer(jobId);
+  const job = jobs.get(jobId);
+  if (!job || job.status !== JOB_STATUS.URL_REVIEW_PENDING) return;
+
+  const { urls, files } = job.urlDiscovery;
+  console.log(`▶️  Job ${jobId.slice(0,8)}: review ${resolution}, capturing ${urls.length} URLs`);
+  updateJobStatus(jobId, JOB_STATUS.QUEUED, {
+    progress: {
+      stage: 'queued',
+      percentage: 45,
+      message: `Review ${resolution}, waiting for a free slot...`
+    },
+    urlDiscovery: {
+      ...job.urlDiscovery,
+      reviewedUrlCount: urls.length,
+      reviewResolution: resolution
+    }
+  });
+
+  enqueueJob(jobId, signal => proceedWithScreenshots(jobId, { urls, files }, signal));
+}
+
+function markJobCancelled(jobId, updates = {}) {
+  const job = jobs.get(jobId);
+  if (!job) return;
+  clearReviewTimer(jobId);
+  authSessions.delete(jobId);
+  const hasPartialResults = Boolean(updates.results || job.urlDiscovery);
+  console.log(`🛑 Job ${jobId.slice(0,8)} cancelled`);
+  updateJobStatus(jobId, JOB_STATUS.CANCELLED, {
+    ...updates,
+    progress: {
+      stage: 'cancelled',
+      percentage: job.progress?.percentage || 0,
+      message: hasPartialResults ? 'Job cancelled, partial results kept' : 'Job cancelled'
+    }
+  });
+}
+
 // MODIFIED: Process a job with URL review support
-async function processJob(jobId) {
+async function processJob(jobId, signal) {
   const job = jobs.get(jobId);
   if (!job) throw new Error('Job not found');
   
@@ -385,6 +860,25 @@ async function processJob(jobId) {
     await fs.ensureDir(job.options.outputDir);
     console.log(`📁 Created output directory: ${job.options.outputDir}`);
     
+    if (job.options.auth) {
+      console.log(`🔐 Establishing authenticated session for job ${jobId.slice(0,8)}`);
+      updateJobStatus(jobId, JOB_STATUS.RUNNING, {
+        progress: {
+          stage: 'authenticating',
+          percentage: 7,
+          message: job.options.auth.login ? `Logging in at ${job.options.auth.login.url}...` : 'Preparing session...'
+        }
+      });
+      authSessions.set(jobId, await establishSession(job.options.auth, {
+        timeout: Math.max(job.options.timeout, 30000),
+        baseUrl: job.baseUrl
+      }));
+      if (signal.aborted) {
+        markJobCancelled(jobId);
+        return;
+      }
+    }
+    
     // Phase 1: URL Discovery
     console.log(`🔍 Starting URL discovery for: ${job.baseUrl}`);
     updateJobStatus(jobId, JOB_STATUS.URL_DISCOVERY, {
@@ -397,11 +891,13 @@ async function processJob(jobId) {
     
     const urlService = new URLDiscoveryService({
       ...job.options,
-      outputDir: job.options.outputDir
+      outputDir: job.options.outputDir,
+      session: authSessions.get(jobId),
+      onEvent: event => jobEvents.emit(jobId, event)
     });
     
     const urlResult = await Promise.race([
-      urlService.discover(job.baseUrl),
+      urlService.discover(job.baseUrl, { signal }),
       new Promise((_, reject) => 
         setTimeout(() => reject(new Error('URL discovery timeout after 2 minutes')), 120000)
       )
@@ -412,6 +908,17 @@ async function processJob(jobId) {
       urlCount: urlResult.urls?.length || 0,
       error: urlResult.error
     });
+
+    if (signal.aborted) {
+      markJobCancelled(jobId, {
+        urlDiscovery: {
+          urls: urlResult.urls || [],
+          stats: urlResult.stats,
+          originalUrlCount: urlResult.urls?.length || 0
+        }
+      });
+      return;
+    }
     
     if (!urlResult.success) {
       const err = new Error(`URL discovery failed: ${urlResult.error}`);
@@ -436,73 +943,25 @@ async function processJob(jobId) {
       },
       urlDiscovery: {
         urls: urlResult.urls,
+        discoveredUrls: urlResult.urls,
         stats: urlResult.stats,
+        files: urlResult.files,
         originalUrlCount: urlResult.urls.length
       }
     });
     
-    // Check if manual review is enabled
     if (job.options.manualReview) {
-      console.log(`⏸️ Job ${jobId.slice(0,8)}: Manual review enabled, waiting for URL approval`);
-      
-      // The URLs are already saved to urls_simple.json by the URLDiscoveryService
-      const urlsFilePath = path.join(job.options.outputDir, 'urls_simple.json');
-      
-      console.log(`📝 URLs saved to: ${urlsFilePath}`);
-      console.log(`📋 Discovered URLs:`);
-      urlResult.urls.forEach((url, i) => {
-        console.log(`   ${i + 1}. ${url}`);
-      });
-      
-      // Interactive prompt
-      console.log(`\n🔍 Review and edit the URLs in: ${urlsFilePath}`);
-      console.log(`⏸️  Press Enter to proceed with screenshotting...`);
-      
-      // Wait for user input
-      await waitForEnter();
-      
-      // Read the edited URLs from urls_simple.json
-      let editedUrls;
-      try {
-        editedUrls = await fs.readJson(urlsFilePath);
-        if (!Array.isArray(editedUrls)) {
-          throw new Error('urls_simple.json must contain an array');
-        }
-        console.log(`✅ Loaded ${editedUrls.length} URLs from edited file`);
-        
-        if (editedUrls.length !== urlResult.urls.length) {
-          console.log(`📝 URLs modified: ${urlResult.urls.length} → ${editedUrls.length}`);
-        }
-      } catch (error) {
-        console.log(`⚠️  Error reading edited URLs: ${error.message}`);
-        console.log(`📋 Using original discovered URLs instead`);
-        editedUrls = urlResult.urls;
-      }
-      
-      // Update job with edited URLs
-      updateJobStatus(jobId, JOB_STATUS.URL_DISCOVERY, {
-        progress: {
-          stage: 'url_discovery_complete',
-          percentage: 40,
-          message: `Using ${editedUrls.length} URLs for screenshotting`
-        },
-        urlDiscovery: {
-          urls: editedUrls,
-          stats: urlResult.stats,
-          originalUrlCount: urlResult.urls.length,
-          finalUrlCount: editedUrls.length,
-          urlsModified: editedUrls.length !== urlResult.urls.length
-        }
-      });
-      
-      // Continue with the edited URLs
-      urlResult.urls = editedUrls;
+      awaitUrlReview(jobId);
+      return;
     }
     
-    // If no manual review, proceed directly to screenshots
-    await proceedWithScreenshots(jobId, urlResult);
+    await proceedWithScreenshots(jobId, urlResult, signal);
     
   } catch (error) {
+    if (signal.aborted) {
+      markJobCancelled(jobId);
+      return;
+    }
     console.error(`❌ Job ${jobId.slice(0,8)} failed:`, error);
     // Preserve errorType if already classified, otherwise classify now
     if (!error.errorType) {
@@ -512,84 +971,8 @@ async function processJob(jobId) {
   }
 }
 
-// Helper function to wait for Enter key press
-function waitForEnter() {
-  return new Promise((resolve) => {
-    const stdin = process.stdin;
-    stdin.setRawMode(true);
-    stdin.resume();
-    stdin.setEncoding('utf8');
-    
-    const onData = (key) => {
-      if (key === '\r' || key === '\n' || key === '\u0003') {
-        stdin.setRawMode(false);
-        stdin.pause();
-        stdin.removeListener('data', onData);
-        console.log(''); // New line after Enter
-        resolve();
-      }
-    };
-    
-    stdin.on('data', onData);
-  });
-}
-
-// Upload all captured screenshots to Supabase Storage
-async function uploadScreenshotsToSupabase(jobId, successful) {
-  console.log(`☁️  Uploading ${successful.length} screenshots to Supabase...`);
-  const results = [];
-
-  for (const entry of successful) {
-    const storagePath = `job_${jobId}/${entry.filename}`;
-    try {
-      const fileBuffer = entry.buffer || await fs.readFile(entry.outputPath);
-      const { error } = await supabase.storage
-        .from('screenshots')
-        .upload(storagePath, fileBuffer, { contentType: 'image/png', upsert: true });
-
-      if (error) throw error;
-
-      const { data: { publicUrl } } = supabase.storage
-        .from('screenshots')
-        .getPublicUrl(storagePath);
-
-      results.push({ ...entry, storageUrl: publicUrl });
-      console.log(`☁️  Uploaded ${entry.filename}`);
-    } catch (err) {
-      console.error(`☁️  Failed to upload ${entry.filename}:`, err.message);
-      results.push({ ...entry, storageUrl: null });
-    }
-
-    // Upload interaction screenshots too
-    if (entry.interactions?.length) {
-      for (const interaction of entry.interactions) {
-        if (interaction.status !== 'captured' || !interaction.path) continue;
-        const interactionAbsPath = path.join(path.dirname(entry.outputPath), path.basename(interaction.path));
-        const interactionStoragePath = `job_${jobId}/${path.basename(interaction.path)}`;
-        try {
-          const fileBuffer = await fs.readFile(interactionAbsPath);
-          const { error } = await supabase.storage
-            .from('screenshots')
-            .upload(interactionStoragePath, fileBuffer, { contentType: 'image/png', upsert: true });
-          if (!error) {
-            const { data: { publicUrl } } = supabase.storage
-              .from('screenshots')
-              .getPublicUrl(interactionStoragePath);
-            interaction.storageUrl = publicUrl;
-          }
-        } catch (err) {
-          console.error(`☁️  Failed to upload interaction screenshot:`, err.message);
-        }
-      }
-    }
-  }
-
-  console.log(`☁️  Upload complete: ${results.filter(r => r.storageUrl).length}/${results.length} succeeded`);
-  return results;
-}
-
 // MODIFIED: Handle screenshot capture phase (simplified)
-async function proceedWithScreenshots(jobId, urlResult) {
+async function proceedWithScreenshots(jobId, urlResult, signal) {
   const job = jobs.get(jobId);
   if (!job) throw new Error('Job not found');
   
@@ -612,7 +995,8 @@ async function proceedWithScreenshots(jobId, urlResult) {
     outputDir: job.options.outputDir,
     concurrent: job.options.concurrency || 4,
     timeout: job.options.timeout || 30000,
-    viewport: { width: 1440, height: 900 },
+    viewport: DEFAULT_VIEWPORT,
+    viewports: job.options.viewports,
     
     // Enhanced interactive options
     enableInteractiveCapture: job.options.captureInteractive,
@@ -624,10 +1008,12 @@ async function proceedWithScreenshots(jobId, urlResult) {
     enableHoverCapture: job.options.enableHoverCapture,
     prioritizeNavigation: job.options.prioritizeNavigation,
     skipSocialElements: job.options.skipSocialElements,
-    maxProcessingTime: job.options.maxProcessingTime
+    maxProcessingTime: job.options.maxProcessingTime,
+    session: authSessions.get(jobId),
+    onEvent: event => jobEvents.emit(jobId, event)
   });
   
-  const screenshotResult = await screenshotService.captureAll(urlsToCapture);
+  const screenshotResult = await screenshotService.captureAll(urlsToCapture, { signal });
   
   console.log(`📸 Enhanced screenshot capture completed:`, {
     success: screenshotResult.success,
@@ -637,20 +1023,9 @@ async function proceedWithScreenshots(jobId, urlResult) {
     interactivePagesFound: screenshotResult.stats?.interactivePagesFound || 0
   });
   
-  if (!screenshotResult.success && (screenshotResult.successful?.length ?? 0) === 0) {
-    const reason = screenshotResult.error || 'all pages failed to load';
-    const err = new Error(`Screenshot capture failed: ${reason}`);
-    err.errorType = classifyError(reason);
-    throw err;
-  }
-
-  // Upload screenshots to Supabase Storage
-  const screenshotsWithUrls = await uploadScreenshotsToSupabase(jobId, screenshotResult.successful);
-
-  // Job completed successfully
-  const results = {
+  const capturedResults = {
     urls: urlsToCapture,
-    screenshots: screenshotsWithUrls,
+    screenshots: screenshotResult.successful,
     stats: {
       urlDiscovery: job.urlDiscovery.stats,
       screenshots: screenshotResult.stats
@@ -659,7 +1034,39 @@ async function proceedWithScreenshots(jobId, urlResult) {
       urls: urlResult?.files || [],
       screenshots: screenshotResult.files
     },
+    outputDir: job.options.outputDir
+  };
+
+  if (signal?.aborted) {
+    // Keep what was captured locally; skip the upload so cancellation stays prompt
+    markJobCancelled(jobId, { results: { ...capturedResults, partial: true } });
+    return;
+  }
+
+  if (!screenshotResult.success && (screenshotResult.successful?.length ?? 0) === 0) {
+    const reason = screenshotResult.error || 'all pages failed to load';
+    const err = new Error(`Screenshot capture failed: ${reason}`);
+    err.errorType = classifyError(reason);
+    throw err;
+  }
+
+  // Upload base and interaction screenshots to the configured storage backend
+  console.log(`☁️  Uploading ${screenshotResult.successful.length} screenshots to ${process.env.STORAGE_BACKEND || 'supabase'} storage...`);
+  await screenshotUploader.uploadAll(jobId, screenshotResult.successful, {
     outputDir: job.options.outputDir,
+    onEvent: event => jobEvents.emit(jobId, event),
+    signal
+  });
+
+  if (signal?.aborted) {
+    // Uploads already in flight finished; the rest keep storageUrl: null
+    markJobCancelled(jobId, { results: { ...capturedResults, partial: true } });
+    return;
+  }
+
+  // Job completed successfully
+  const results = {
+    ...capturedResults,
     
     enhancedCapture: {
       interactiveEnabled: job.options.captureInteractive,
@@ -704,6 +1111,9 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
   console.log(`🚀 Enhanced Capture Service v2.1.0 running on port ${PORT}`);
   console.log(`📝 New features: Manual URL review before screenshotting`);
+  recoverInterruptedJobs().catch(error => {
+    console.error('Failed to recover interrupted jobs:', error.message);
+  });
 });
 
 module.exports = app;
\ No newline at end of file
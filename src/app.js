@@ -1,10 +1,33 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const { JobRunner, JOB_STATUS } = require('./jobs/jobRunner');
+const fs = require('fs-extra');
+const { JobRunner, JOB_STATUS, TERMINAL_STATUSES } = require('./jobs/jobRunner');
+const { streamJobEvents } = require('./jobs/jobEvents');
+const { JobComparisonService } = require('./services/comparison');
+const { sendJobArchive } = require('./services/jobArchive');
+const { createStorageFromEnv } = require('./services/storage');
 
 const app = express();
-const jobRunner = new JobRunner();
+const jobRunner = new JobRunner({}, {
+  recoveryMode: process.env.JOB_RECOVERY_MODE,
+  maxConcurrentJobs: Number(process.env.MAX_CONCURRENT_JOBS) || undefined,
+  storage: createStorageFromEnv(process.env),
+  upload: { concurrency: Number(process.env.STORAGE_UPLOAD_CONCURRENCY) || undefined }
+});
+
+jobRunner
+  .recover()
+  .then(({ restored, failed, requeued }) => {
+    if (restored) {
+      console.log(
+        `[jobs] restored ${restored} job(s) (${failed} marked failed, ${requeued} re-queued)`
+      );
+    }
+  })
+  .catch(error => {
+    console.error(`[jobs] failed to restore persisted jobs: ${error.message}`);
+  });
 
 app.use(cors());
 app.use(express.json({ limit: '1mb' }));
@@ -15,12 +38,16 @@ app.get('/health', (req, res) => {
     [JOB_STATUS.URL_DISCOVERY, JOB_STATUS.SCREENSHOT].includes(job.status)
   );
 
+  const queuedJobs = jobs.filter(job => job.status === JOB_STATUS.QUEUED);
+
   res.json({
     status: 'ok',
     service: 'vuxi-capture',
     timestamp: new Date().toISOString(),
     totalJobs: jobs.length,
-    activeJobs: activeJobs.length
+    activeJobs: activeJobs.length,
+    queuedJobs: queuedJobs.length,
+    maxConcurrentJobs: jobRunner.queue.concurrency
   });
 });
 
@@ -31,12 +58,17 @@ app.post('/api/capture', (req, res) => {
     return res.status(400).json({ error: 'baseUrl is required' });
   }
 
-  const job = jobRunner.createJob(baseUrl, options);
-  res.status(202).json({ jobId: job.id });
+  let job;
+  try {
+    job = jobRunner.createJob(baseUrl, options);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  res.status(202).json({ jobId: job.id, status: job.status });
 });
 
-app.get('/api/capture/:jobId', (req, res) => {
-  const job = jobRunner.getJob(req.params.jobId);
+app.get('/api/capture/:jobId', async (req, res) => {
+  const job = await jobRunner.loadJob(req.params.jobId);
   if (!job) {
     return res.status(404).json({ error: 'Job not found' });
   }
@@ -44,11 +76,118 @@ app.get('/api/capture/:jobId', (req, res) => {
   res.json(job);
 });
 
+app.get('/api/capture/:jobId/events', async (req, res) => {
+  const job = await jobRunner.loadJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  streamJobEvents(req, res, {
+    job,
+    events: jobRunner.events,
+    terminalStatuses: TERMINAL_STATUSES
+  });
+});
+
+app.get('/api/capture/:jobId/report', async (req, res) => {
+  const job = await jobRunner.loadJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const reportPath = job.results?.files?.report;
+  if (!reportPath) {
+    return res.status(404).json({ error: 'No report for this job', status: job.status });
+  }
+
+  res.sendFile(reportPath, error => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ error: 'Report file is missing' });
+    }
+  });
+});
+
+app.get('/api/capture/:jobId/archive', async (req, res) => {
+  const job = await jobRunner.loadJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (!TERMINAL_STATUSES.includes(job.status)) {
+    return res.status(409).json({ error: `Job is still ${job.status}`, status: job.status });
+  }
+
+  if (!(await fs.pathExists(job.outputDir))) {
+    return res.status(404).json({ error: 'Job output is no longer on disk' });
+  }
+
+  await sendJobArchive(res, {
+    jobId: job.id,
+    outputDir: job.outputDir,
+    screenshots: job.results?.screenshots,
+    journeys: job.results?.journeys,
+    uniqueOnly: ['true', '1'].includes(req.query.uniqueOnly)
+  });
+});
+
+function cancelCapture(req, res) {
+  const job = jobRunner.cancelJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (job.status !== JOB_STATUS.CANCELLED) {
+    return res.status(409).json({
+      error: `Job already ${job.status}`,
+      status: job.status
+    });
+  }
+
+  res.status(202).json(job);
+}
+
+app.delete('/api/capture/:jobId', cancelCapture);
+app.post('/api/capture/:jobId/cancel', cancelCapture);
+
 app.get('/api/jobs', (req, res) => {
   const jobs = jobRunner.listJobs();
   res.json(jobs);
 });
 
+app.post('/api/compare', async (req, res) => {
+  const { baseJobId, targetJobId, options = {} } = req.body || {};
+
+  if (!baseJobId || !targetJobId) {
+    return res.status(400).json({ error: 'baseJobId and targetJobId are required' });
+  }
+
+  const jobs = await Promise.all([baseJobId, targetJobId].map(id => jobRunner.loadJob(id)));
+  const missing = [baseJobId, targetJobId].filter((id, index) => !jobs[index]);
+  if (missing.length) {
+    return res.status(404).json({ error: `Job not found: ${missing.join(', ')}` });
+  }
+
+  const unfinished = jobs.filter(job => !job.results?.screenshots?.length);
+  if (unfinished.length) {
+    return res.status(409).json({
+      error: `Job has no screenshots to compare: ${unfinished.map(job => job.id).join(', ')}`
+    });
+  }
+
+  try {
+    const service = new JobComparisonService({
+      outputRoot: path.join(process.cwd(), 'data', 'comparisons'),
+      threshold: options.threshold,
+      minMismatchPercentage: options.minMismatchPercentage
+    });
+    const comparison = await service.compare(jobs[0], jobs[1]);
+    res.status(201).json(comparison);
+  } catch (error) {
+    console.error('[compare] error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Single-page recapture: captures just one URL into an existing job's output dir
 app.post('/api/capture/single', async (req, res) => {
   const { url, jobId } = req.body || {};
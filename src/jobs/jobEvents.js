@@ -0,0 +1,74 @@
+const { EventEmitter } = require('events');
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+class JobEventBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // One listener per open stream, so the default cap of 10 is too low
+    this.emitter.setMaxListeners(0);
+  }
+
+  emit(jobId, event) {
+    this.emitter.emit(jobId, {
+      ...event,
+      jobId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  subscribe(jobId, listener) {
+    this.emitter.on(jobId, listener);
+    return () => this.emitter.off(jobId, listener);
+  }
+}
+
+// Streams a job's events as Server-Sent Events until the job settles or the
+// client disconnects. A cancelled job is only settled once it has left the
+// 'cancelling' stage, so the final message with partial results gets through.
+function streamJobEvents(req, res, { job, events, terminalStatuses }) {
+  const isSettled = ({ status, progress }) =>
+    terminalStatuses.includes(status) && progress?.stage !== 'cancelling';
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  let sequence = 0;
+  const send = (type, data) => {
+    sequence += 1;
+    res.write(`id: ${sequence}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  send('snapshot', {
+    jobId: job.id,
+    status: job.status,
+    progress: job.progress,
+    updatedAt: job.updatedAt
+  });
+
+  if (isSettled(job)) {
+    res.end();
+    return;
+  }
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL_MS);
+  const unsubscribe = events.subscribe(job.id, event => {
+    send(event.type, event);
+    if (event.type === 'status' && isSettled(event)) {
+      close();
+      res.end();
+    }
+  });
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+
+  req.on('close', close);
+}
+
+module.exports = { JobEventBus, streamJobEvents };
@@ -0,0 +1,74 @@
+// FIFO queue that runs at most `concurrency` tasks at a time. Waiting entries
+// are told their 1-based position whenever it changes.
+class JobQueue {
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, Number(options.concurrency) || 1);
+    this.onPositionChange = options.onPositionChange || (() => {});
+    this.waiting = [];
+    this.running = new Set();
+  }
+
+  get size() {
+    return this.waiting.length;
+  }
+
+  get activeCount() {
+    return this.running.size;
+  }
+
+  enqueue(id, task) {
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ id, task, resolve, reject, position: null });
+      this.#notifyPositions();
+      setImmediate(() => this.#drain());
+    });
+  }
+
+  position(id) {
+    const index = this.waiting.findIndex(entry => entry.id === id);
+    return index === -1 ? null : index + 1;
+  }
+
+  // Drops a job that has not started yet; its enqueue() promise resolves with
+  // undefined. Returns false when the job is running or unknown.
+  remove(id) {
+    const index = this.waiting.findIndex(entry => entry.id === id);
+    if (index === -1) {
+      return false;
+    }
+
+    const [entry] = this.waiting.splice(index, 1);
+    entry.resolve(undefined);
+    this.#notifyPositions();
+    return true;
+  }
+
+  #drain() {
+    while (this.running.size < this.concurrency && this.waiting.length > 0) {
+      const entry = this.waiting.shift();
+      this.running.add(entry.id);
+
+      Promise.resolve()
+        .then(() => entry.task())
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+          this.running.delete(entry.id);
+          this.#drain();
+        });
+    }
+
+    this.#notifyPositions();
+  }
+
+  #notifyPositions() {
+    this.waiting.forEach((entry, index) => {
+      const position = index + 1;
+      if (entry.position !== position) {
+        entry.position = position;
+        this.onPositionChange(entry.id, position);
+      }
+    });
+  }
+}
+
+module.exports = { JobQueue };
@@ -2,25 +2,106 @@ const path = require('path');
 const fs = require('fs-extra');
 const { v4: uuidv4 } = require('uuid');
 const { URLDiscoveryService } = require('../services/urlDiscovery');
-const { ScreenshotService } = require('../services/screenshot');
+const {
+  ScreenshotService,
+  resolveViewports,
+  validateCaptureMode,
+  validateMenuDepth
+} = require('../services/screenshot');
+const {
+  validateAuthOptions,
+  describeAuth,
+  establishSession
+} = require('../services/authSession');
+const { validateUrlRules } = require('../services/urlRules');
+const { JobReportService } = require('../services/report');
+const { JourneyRunner, validateJourneys } = require('../services/journeys');
+const { ScreenshotUploader } = require('../services/storage');
+const { FileJobStore } = require('./stores');
+const { JobQueue } = require('./jobQueue');
+const { JobEventBus } = require('./jobEvents');
 
 const JOB_STATUS = {
   PENDING: 'pending',
+  QUEUED: 'queued',
   URL_DISCOVERY: 'url_discovery',
   SCREENSHOT: 'screenshot',
   COMPLETED: 'completed',
-  FAILED: 'failed'
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
 };
 
+const TERMINAL_STATUSES = [
+  JOB_STATUS.COMPLETED,
+  JOB_STATUS.FAILED,
+  JOB_STATUS.CANCELLED
+];
+
+const INTERRUPTED_STATUSES = [
+  JOB_STATUS.PENDING,
+  JOB_STATUS.QUEUED,
+  JOB_STATUS.URL_DISCOVERY,
+  JOB_STATUS.SCREENSHOT
+];
+
+const RECOVERY_MODES = {
+  FAIL: 'fail',
+  REQUEUE: 'requeue'
+};
+
+// Re-running a job needs the options and output folder it was created with.
+// Stores that keep only status and results (SupabaseJobStore) return neither.
+function isRerunnable(job) {
+  return Boolean(job.outputDir) && job.options?.maxPages !== undefined;
+}
+
 class JobRunner {
-  constructor(factories = {}) {
+  constructor(factories = {}, options = {}) {
     this.jobs = new Map();
+    this.controllers = new Map();
+    // Auth options hold secrets, so they live here instead of on the job record
+    this.authOptions = new Map();
+    this.events = new JobEventBus();
+    this.outputRoot = options.outputRoot || path.join(process.cwd(), 'data');
+    // Job records hold options, journey values and results, so they live
+    // outside outputRoot, which is served publicly as /data
+    this.store =
+      options.store ||
+      new FileJobStore({
+        directory: options.jobStoreDir || process.env.JOB_STORE_DIR || path.join(process.cwd(), '.jobs')
+      });
+    this.recoveryMode = options.recoveryMode || RECOVERY_MODES.FAIL;
+    this.queue = new JobQueue({
+      concurrency: options.maxConcurrentJobs ?? 2,
+      onPositionChange: (jobId, position) =>
+        this.#updateJob(jobId, {
+          progress: {
+            stage: 'queued',
+            queuePosition: position,
+            message:
+              position === 1
+                ? 'Next in queue'
+                : `Waiting in queue (position ${position})`
+          }
+        })
+    });
     this.discoveryFactory =
       factories.discoveryFactory ||
       (options => new URLDiscoveryService(options));
     this.screenshotFactory =
       factories.screenshotFactory ||
       (options => new ScreenshotService(options));
+    this.sessionFactory =
+      factories.sessionFactory ||
+      ((auth, options) => establishSession(auth, options));
+    this.journeyFactory =
+      factories.journeyFactory ||
+      (options => new JourneyRunner(options));
+    this.reportService = options.reportService || new JobReportService();
+    // Without a storage adapter screenshots stay in the job folder only
+    this.uploader = options.storage
+      ? new ScreenshotUploader({ storage: options.storage, ...options.upload })
+      : null;
   }
 
   listJobs() {
@@ -31,9 +112,87 @@ class JobRunner {
     return this.jobs.get(jobId);
   }
 
+  subscribe(jobId, listener) {
+    return this.events.subscribe(jobId, listener);
+  }
+
+  async loadJob(jobId) {
+    if (this.jobs.has(jobId)) {
+      return this.jobs.get(jobId);
+    }
+
+    const job = await this.store.get(jobId);
+    if (job && !this.jobs.has(jobId)) {
+      this.jobs.set(jobId, job);
+    }
+    return this.jobs.get(jobId) || null;
+  }
+
+  async recover() {
+    const storedJobs = await this.store.list();
+    const summary = { restored: 0, failed: 0, requeued: 0 };
+
+    for (const storedJob of storedJobs) {
+      if (this.jobs.has(storedJob.id)) {
+        continue;
+      }
+
+      this.jobs.set(storedJob.id, storedJob);
+      summary.restored += 1;
+
+      if (!INTERRUPTED_STATUSES.includes(storedJob.status)) {
+        continue;
+      }
+
+      if (this.recoveryMode === RECOVERY_MODES.REQUEUE && isRerunnable(storedJob)) {
+        console.log(`[job ${storedJob.id}] re-queued after restart`);
+        this.#updateJob(storedJob.id, {
+          status: JOB_STATUS.PENDING,
+          error: undefined,
+          progress: {
+            stage: 'pending',
+            message: 'Re-queued after service restart'
+          }
+        });
+        this.#schedule(storedJob.id);
+        summary.requeued += 1;
+      } else {
+        const message =
+          this.recoveryMode === RECOVERY_MODES.REQUEUE
+            ? `Interrupted by service restart during ${storedJob.status}; the job store did not keep its options, so it cannot be re-queued`
+            : `Interrupted by service restart during ${storedJob.status}`;
+        console.log(`[job ${storedJob.id}] ${message}`);
+        this.#updateJob(storedJob.id, {
+          status: JOB_STATUS.FAILED,
+          error: message,
+          progress: {
+            stage: 'failed',
+            message
+          }
+        });
+        summary.failed += 1;
+      }
+    }
+
+    return summary;
+  }
+
   createJob(baseUrl, options = {}) {
+    const viewport = options.viewport || { width: 1280, height: 720 };
+    // Resolve up front so an unknown preset is rejected before the job exists
+    const viewports = options.viewports || options.devices
+      ? resolveViewports(options.viewports, viewport, options.devices)
+      : undefined;
+    validateAuthOptions(options.auth, baseUrl);
+    validateUrlRules(options);
+    validateCaptureMode(options.captureMode);
+    validateMenuDepth(options.menuDepth);
+    validateJourneys(options.journeys, baseUrl);
+    if (options.previousJobId) {
+      this.#assertReusable(options.previousJobId);
+    }
     const jobId = uuidv4();
-    const outputDir = path.join(process.cwd(), 'data', `job_${jobId}`);
+    const outputDir = path.join(this.outputRoot, `job_${jobId}`);
     const timestamp = new Date().toISOString();
 
     const job = {
@@ -47,35 +206,100 @@ class JobRunner {
         maxPages: options.maxPages ?? 10,
         concurrency: options.concurrency ?? 3,
         timeout: options.timeout ?? 10000,
-        viewport: options.viewport || { width: 1280, height: 720 },
-        concurrentCaptures: options.concurrentCaptures ?? 2
+        viewport,
+        viewports,
+        concurrentCaptures: options.concurrentCaptures ?? 2,
+        captureMode: options.captureMode ?? 'fullPage',
+        interactionCrops: options.interactionCrops ?? true,
+        formFilling: options.formFilling ?? false,
+        menuDepth: options.menuDepth ?? 0,
+        stateSets: options.stateSets ?? false,
+        politeness: options.politeness ?? true,
+        include: options.include,
+        exclude: options.exclude,
+        disableRuleGroups: options.disableRuleGroups,
+        previousJobId: options.previousJobId,
+        journeys: options.journeys,
+        auth: describeAuth(options.auth)
       },
       progress: {
-        stage: 'queued',
+        stage: 'pending',
         message: 'Waiting to start'
       }
     };
 
     this.jobs.set(jobId, job);
+    if (options.auth) {
+      this.authOptions.set(jobId, options.auth);
+    }
+    this.#persist(job);
     fs.ensureDir(outputDir).catch(() => {});
 
-    setImmediate(() => {
-      this.#process(jobId).catch(error => {
+    this.#schedule(jobId);
+
+    return this.jobs.get(jobId);
+  }
+
+  cancelJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || TERMINAL_STATUSES.includes(job.status)) {
+      return job || null;
+    }
+
+    console.log(`[job ${jobId}] cancellation requested`);
+
+    if (this.queue.remove(jobId)) {
+      this.#markCancelled(jobId);
+      return this.jobs.get(jobId);
+    }
+
+    const controller = this.controllers.get(jobId);
+    if (!controller) {
+      this.#markCancelled(jobId);
+      return this.jobs.get(jobId);
+    }
+
+    controller.abort();
+    this.#updateJob(jobId, {
+      status: JOB_STATUS.CANCELLED,
+      progress: {
+        stage: 'cancelling',
+        message: 'Cancelling, closing browser'
+      }
+    });
+    return this.jobs.get(jobId);
+  }
+
+  #schedule(jobId) {
+    const controller = new AbortController();
+    this.controllers.set(jobId, controller);
+    this.#updateJob(jobId, { status: JOB_STATUS.QUEUED });
+
+    this.queue
+      .enqueue(jobId, () => this.#process(jobId, controller.signal))
+      .catch(error => {
+        if (controller.signal.aborted) {
+          this.#markCancelled(jobId);
+          return;
+        }
+
         this.#updateJob(jobId, {
           status: JOB_STATUS.FAILED,
           error: error.message,
           progress: {
             stage: 'failed',
+            queuePosition: undefined,
             message: error.message
           }
         });
+      })
+      .finally(() => {
+        this.controllers.delete(jobId);
+        this.authOptions.delete(jobId);
       });
-    });
-
-    return job;
   }
 
-  async #process(jobId) {
+  async #process(jobId, signal) {
     const job = this.jobs.get(jobId);
     if (!job) {
       return;
@@ -83,32 +307,55 @@ class JobRunner {
 
     console.log(`[job ${jobId}] starting capture run for ${job.baseUrl}`);
 
+    const session = await this.#authenticate(job);
+    if (signal.aborted) {
+      this.#markCancelled(jobId);
+      return;
+    }
+
     this.#updateJob(jobId, {
       status: JOB_STATUS.URL_DISCOVERY,
       progress: {
         stage: 'url_discovery',
+        queuePosition: undefined,
         message: 'Discovering internal URLs'
       }
     });
 
+    const previous = await this.#loadPreviousRun(job);
+
     const discoveryService = this.discoveryFactory({
+      session,
+      previousPages: previous?.pages,
       maxPages: job.options.maxPages,
       concurrency: job.options.concurrency,
       timeout: job.options.timeout,
-      outputDir: job.outputDir
+      politeness: job.options.politeness,
+      include: job.options.include,
+      exclude: job.options.exclude,
+      disableRuleGroups: job.options.disableRuleGroups,
+      outputDir: job.outputDir,
+      onEvent: event => this.events.emit(jobId, event)
     });
 
-    const discoveryResult = await discoveryService.discover(job.baseUrl);
+    const discoveryResult = await discoveryService.discover(job.baseUrl, {
+      signal
+    });
+    const discovery = {
+      count: (discoveryResult.urls || []).length,
+      stats: discoveryResult.stats,
+      files: discoveryResult.files
+    };
+    if (signal.aborted) {
+      this.#markCancelled(jobId, { discovery });
+      return;
+    }
     if (!discoveryResult.success || !discoveryResult.urls.length) {
       throw new Error('No URLs discovered');
     }
 
     this.#updateJob(jobId, {
-      discovery: {
-        count: discoveryResult.urls.length,
-        stats: discoveryResult.stats,
-        files: discoveryResult.files
-      },
+      discovery,
       progress: {
         stage: 'url_discovery_complete',
         message: `Found ${discoveryResult.urls.length} URL(s)`
@@ -124,34 +371,88 @@ class JobRunner {
     });
 
     const screenshotService = this.screenshotFactory({
+      session,
       outputDir: job.outputDir,
       viewport: job.options.viewport,
+      viewports: job.options.viewports,
       timeout: job.options.timeout,
-      concurrent: job.options.concurrentCaptures
+      concurrent: job.options.concurrentCaptures,
+      captureMode: job.options.captureMode,
+      interactionCrops: job.options.interactionCrops,
+      formFilling: job.options.formFilling,
+      menuDepth: job.options.menuDepth,
+      stateSets: job.options.stateSets,
+      onEvent: event => this.events.emit(jobId, event)
     });
 
+    const unchangedUrls = Object.keys(discoveryResult.changes || {}).filter(
+      url => discoveryResult.changes[url] === 'unchanged'
+    );
     const screenshotResult = await screenshotService.captureAll(
-      discoveryResult.urls
+      discoveryResult.urls,
+      {
+        signal,
+        ...(previous && unchangedUrls.length && {
+          reuse: {
+            jobId: previous.jobId,
+            outputDir: previous.outputDir,
+            urls: unchangedUrls,
+            entries: previous.screenshots
+          }
+        })
+      }
     );
+    if (signal.aborted) {
+      this.#markCancelled(jobId, {
+        results: this.#buildResults(job, discoveryResult, screenshotResult)
+      });
+      return;
+    }
     if (!screenshotResult.success) {
       throw new Error('Screenshot capture failed');
     }
 
+    const journeyResult = await this.#runJourneys(job, session, signal);
+    if (signal.aborted) {
+      this.#markCancelled(jobId, {
+        results: this.#buildResults(job, discoveryResult, screenshotResult, journeyResult)
+      });
+      return;
+    }
+
+    if (this.uploader) {
+      this.#updateJob(jobId, {
+        progress: {
+          stage: 'uploading',
+          message: 'Uploading screenshots'
+        }
+      });
+      await this.uploader.uploadAll(jobId, screenshotResult.successful, {
+        outputDir: job.outputDir,
+        onEvent: event => this.events.emit(jobId, event),
+        signal,
+        journeys: journeyResult?.journeys
+      });
+    }
+
+    const results = this.#buildResults(job, discoveryResult, screenshotResult, journeyResult);
+    if (signal.aborted) {
+      this.#markCancelled(jobId, { results });
+      return;
+    }
+
+    // The report describes a completed job, so a cancellation that lands while
+    // it is written leaves it out of the results
+    const report = await this.#writeReport(jobId, results);
+    if (signal.aborted) {
+      this.#markCancelled(jobId, { results });
+      return;
+    }
+    results.files.report = report;
+
     this.#updateJob(jobId, {
       status: JOB_STATUS.COMPLETED,
-      results: {
-        urls: discoveryResult.urls,
-        screenshots: screenshotResult.successful,
-        stats: {
-          discovery: discoveryResult.stats,
-          screenshots: screenshotResult.stats
-        },
-        files: {
-          urls: discoveryResult.files,
-          screenshots: screenshotResult.files
-        },
-        outputDir: job.outputDir
-      },
+      results,
       progress: {
         stage: 'completed',
         message: 'Job completed successfully'
@@ -159,11 +460,157 @@ class JobRunner {
     });
   }
 
+  #assertReusable(previousJobId) {
+    const previous = this.jobs.get(previousJobId);
+    if (!previous) {
+      throw new Error(`Previous job ${previousJobId} not found`);
+    }
+    if (previous.status !== JOB_STATUS.COMPLETED) {
+      throw new Error(`Previous job ${previousJobId} has not completed (status: ${previous.status})`);
+    }
+  }
+
+  // Page fingerprints and screenshots of the run named by `previousJobId`. A
+  // run whose urls.json has gone missing just means everything is captured again.
+  async #loadPreviousRun(job) {
+    if (!job.options.previousJobId) {
+      return null;
+    }
+
+    const previous = await this.loadJob(job.options.previousJobId);
+    const urlsFile = previous?.results?.files?.urls?.urls;
+    const urlsData = urlsFile
+      ? await fs.readJson(path.resolve(previous.outputDir, urlsFile)).catch(() => null)
+      : null;
+    if (!urlsData?.pages) {
+      console.log(
+        `[job ${job.id}] no page fingerprints from job ${job.options.previousJobId}, capturing everything`
+      );
+      return null;
+    }
+
+    return {
+      jobId: previous.id,
+      outputDir: previous.outputDir,
+      pages: urlsData.pages,
+      screenshots: previous.results.screenshots || []
+    };
+  }
+
+  // Journeys run after the crawl's screenshots, in the job's first viewport and
+  // with the same session. A failed journey is reported in the results; it
+  // does not fail the job.
+  async #runJourneys(job, session, signal) {
+    if (!job.options.journeys?.length) {
+      return null;
+    }
+
+    this.#updateJob(job.id, {
+      progress: {
+        stage: 'journeys',
+        message: `Running ${job.options.journeys.length} journey(s)`
+      }
+    });
+    const runner = this.journeyFactory({
+      session,
+      baseUrl: job.baseUrl,
+      outputDir: job.outputDir,
+      viewport: job.options.viewports?.[0] || resolveViewports(undefined, job.options.viewport)[0],
+      timeout: Math.max(job.options.timeout, 30000),
+      captureOptions: { mode: job.options.captureMode },
+      onEvent: event => this.events.emit(job.id, event)
+    });
+    return runner.runAll(job.options.journeys, { signal });
+  }
+
+  async #authenticate(job) {
+    if (!job.options.auth) {
+      return null;
+    }
+
+    const auth = this.authOptions.get(job.id);
+    if (!auth) {
+      throw new Error(
+        'Authentication details are not kept across restarts; submit the job again'
+      );
+    }
+
+    this.#updateJob(job.id, {
+      progress: {
+        stage: 'authenticating',
+        queuePosition: undefined,
+        message: auth.login ? `Logging in at ${auth.login.url}` : 'Preparing session'
+      }
+    });
+    console.log(`[job ${job.id}] establishing authenticated session`);
+    return this.sessionFactory(auth, {
+      timeout: Math.max(job.options.timeout, 30000),
+      baseUrl: job.baseUrl
+    });
+  }
+
+  // The report is a convenience on top of the results, so failing to write it
+  // never fails the job
+  async #writeReport(jobId, results) {
+    const job = this.jobs.get(jobId);
+    try {
+      const report = await this.reportService.write({
+        ...job,
+        status: JOB_STATUS.COMPLETED,
+        results
+      });
+      return report.path;
+    } catch (error) {
+      console.warn(`[job ${jobId}] failed to write HTML report: ${error.message}`);
+      return undefined;
+    }
+  }
+
+  #buildResults(job, discoveryResult, screenshotResult, journeyResult = null) {
+    return {
+      urls: discoveryResult.urls,
+      screenshots: screenshotResult.successful || [],
+      ...(journeyResult && { journeys: journeyResult.journeys }),
+      stats: {
+        discovery: discoveryResult.stats,
+        screenshots: screenshotResult.stats,
+        ...(journeyResult && { journeys: journeyResult.stats })
+      },
+      files: {
+        urls: discoveryResult.files,
+        screenshots: screenshotResult.files,
+        ...(journeyResult && { journeys: journeyResult.file })
+      },
+      outputDir: job.outputDir
+    };
+  }
+
+  #markCancelled(jobId, updates = {}) {
+    console.log(`[job ${jobId}] cancelled`);
+    const hasPartialResults = Boolean(updates.discovery || updates.results);
+    this.#updateJob(jobId, {
+      ...updates,
+      status: JOB_STATUS.CANCELLED,
+      progress: {
+        stage: 'cancelled',
+        queuePosition: undefined,
+        message: hasPartialResults
+          ? 'Job cancelled, partial results kept'
+          : 'Job cancelled'
+      }
+    });
+  }
+
   #updateJob(jobId, updates) {
     const job = this.jobs.get(jobId);
     if (!job) {
       return;
     }
+    // A finished job stays finished: a run that is still winding down after
+    // cancelJob may only add to the cancelled record, not mark it completed
+    if (TERMINAL_STATUSES.includes(job.status) && updates.status !== job.status) {
+      return;
+    }
 
     const nextJob = {
       ...job,
@@ -188,7 +635,19 @@ class JobRunner {
     }
 
     this.jobs.set(jobId, nextJob);
+    this.#persist(nextJob);
+    this.events.emit(jobId, {
+      type: 'status',
+      status: nextJob.status,
+      progress: nextJob.progress
+    });
+  }
+
+  #persist(job) {
+    this.store.save(job).catch(error => {
+      console.warn(`[job ${job.id}] failed to persist job record: ${error.message}`);
+    });
   }
 }
 
-module.exports = { JobRunner, JOB_STATUS };
+module.exports = { JobRunner, JOB_STATUS, TERMINAL_STATUSES, RECOVERY_MODES };
@@ -0,0 +1,83 @@
+const path = require('path');
+const fs = require('fs-extra');
+
+// Stores one JSON document per job. Writes for the same job are chained so a
+// slow write can never land after a newer one.
+class FileJobStore {
+  constructor(options = {}) {
+    this.directory =
+      options.directory || path.join(process.cwd(), 'data', 'jobs');
+    this.pendingWrites = new Map();
+  }
+
+  async save(job) {
+    const previous = this.pendingWrites.get(job.id) || Promise.resolve();
+    const snapshot = JSON.parse(JSON.stringify(job));
+    const write = previous
+      .catch(() => {})
+      .then(() => this.#write(snapshot));
+
+    this.pendingWrites.set(job.id, write);
+    try {
+      await write;
+    } finally {
+      if (this.pendingWrites.get(job.id) === write) {
+        this.pendingWrites.delete(job.id);
+      }
+    }
+    return job;
+  }
+
+  async get(jobId) {
+    const filePath = this.#pathFor(jobId);
+    if (!filePath || !(await fs.pathExists(filePath))) {
+      return null;
+    }
+
+    try {
+      return await fs.readJson(filePath);
+    } catch (error) {
+      console.warn(`[job-store] unreadable record ${filePath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async list({ statuses } = {}) {
+    if (!(await fs.pathExists(this.directory))) {
+      return [];
+    }
+
+    const entries = await fs.readdir(this.directory);
+    const jobs = await Promise.all(
+      entries
+        .filter(entry => entry.endsWith('.json'))
+        .map(entry => this.get(path.basename(entry, '.json')))
+    );
+
+    return jobs
+      .filter(Boolean)
+      .filter(job => !statuses || statuses.includes(job.status))
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  }
+
+  async #write(job) {
+    const filePath = this.#pathFor(job.id);
+    if (!filePath) {
+      throw new Error(`Invalid job id: ${job.id}`);
+    }
+
+    await fs.ensureDir(this.directory);
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeJson(tempPath, job, { spaces: 2 });
+    await fs.move(tempPath, filePath, { overwrite: true });
+  }
+
+  #pathFor(jobId) {
+    if (!jobId || !/^[A-Za-z0-9_-]+$/.test(jobId)) {
+      return null;
+    }
+    return path.join(this.directory, `${jobId}.json`);
+  }
+}
+
+module.exports = { FileJobStore };
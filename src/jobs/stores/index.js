@@ -0,0 +1,14 @@
+const { MemoryJobStore } = require('./memoryJobStore');
+const { FileJobStore } = require('./fileJobStore');
+const { SupabaseJobStore } = require('./supabaseJobStore');
+
+// Every store implements the same async interface:
+//   save(job)            -> upserts the full job record
+//   get(jobId)           -> the stored job or null
+//   list({ statuses })   -> all stored jobs, optionally filtered by status
+
+module.exports = {
+  MemoryJobStore,
+  FileJobStore,
+  SupabaseJobStore
+};
@@ -0,0 +1,23 @@
+class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async save(job) {
+    this.jobs.set(job.id, JSON.parse(JSON.stringify(job)));
+    return job;
+  }
+
+  async get(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? JSON.parse(JSON.stringify(job)) : null;
+  }
+
+  async list({ statuses } = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => !statuses || statuses.includes(job.status))
+      .map(job => JSON.parse(JSON.stringify(job)));
+  }
+}
+
+module.exports = { MemoryJobStore };
@@ -0,0 +1,73 @@
+// Persists jobs to the `CaptureJob` table. Options are not stored in the
+// database — they are only needed while a job is actively processing, and
+// server.js keeps the webhook secret there. Without them a job read back
+// from this store cannot be re-queued, only marked failed.
+class SupabaseJobStore {
+  constructor(options = {}) {
+    if (!options.client) {
+      throw new Error('SupabaseJobStore requires a Supabase client');
+    }
+    this.client = options.client;
+    this.table = options.table || 'CaptureJob';
+  }
+
+  async save(job) {
+    const { error } = await this.client
+      .from(this.table)
+      .upsert({
+        id: job.id,
+        baseUrl: job.baseUrl,
+        status: job.status,
+        progress: job.progress || null,
+        urlDiscovery: job.urlDiscovery || null,
+        results: job.results || null,
+        error: job.error || null,
+        errorType: job.errorType || null,
+        updatedAt: new Date().toISOString(),
+      }, { onConflict: 'id' });
+    if (error) {
+      throw new Error(`DB persist error for job ${job.id.slice(0, 8)}: ${error.message}`);
+    }
+    return job;
+  }
+
+  async get(jobId) {
+    const { data, error } = await this.client
+      .from(this.table)
+      .select('*')
+      .eq('id', jobId)
+      .single();
+    if (error || !data) return null;
+    return this.#fromRow(data);
+  }
+
+  async list({ statuses } = {}) {
+    let query = this.client.from(this.table).select('*');
+    if (statuses) {
+      query = query.in('status', statuses);
+    }
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`DB list error: ${error.message}`);
+    }
+    return (data || []).map(row => this.#fromRow(row));
+  }
+
+  #fromRow(data) {
+    return {
+      id: data.id,
+      baseUrl: data.baseUrl,
+      status: data.status,
+      progress: data.progress,
+      urlDiscovery: data.urlDiscovery,
+      results: data.results,
+      error: data.error,
+      errorType: data.errorType,
+      createdAt: data.createdAt,
+      updatedAt: data.updatedAt,
+      options: {},
+    };
+  }
+}
+
+module.exports = { SupabaseJobStore };
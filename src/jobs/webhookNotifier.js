@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const RETRYABLE_STATUS_CODES = [408, 425, 429];
+
+function signPayload(body, secret, timestamp) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+}
+
+function isRetryable(statusCode) {
+  return statusCode >= 500 || RETRYABLE_STATUS_CODES.includes(statusCode);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// POSTs JSON payloads to a webhook URL, retrying network errors and 5xx/429
+// responses with exponential backoff. Every attempt is reported through
+// `onAttempt` so callers can record progress while retries are pending.
+class WebhookNotifier {
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts ?? 5;
+    this.baseDelayMs = options.baseDelayMs ?? 1000;
+    this.timeoutMs = options.timeoutMs ?? 10000;
+    this.fetch = options.fetch || globalThis.fetch;
+  }
+
+  async deliver({ url, secret, event, payload, onAttempt = () => {} }) {
+    const body = JSON.stringify(payload);
+    const delivery = {
+      id: uuidv4(),
+      event,
+      url,
+      status: 'pending',
+      attempts: []
+    };
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt += 1) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'vuxi-capture-webhooks',
+        'X-Vuxi-Event': event,
+        'X-Vuxi-Delivery': delivery.id,
+        'X-Vuxi-Timestamp': String(timestamp)
+      };
+      if (secret) {
+        headers['X-Vuxi-Signature'] = `sha256=${signPayload(body, secret, timestamp)}`;
+      }
+
+      const startedAt = Date.now();
+      const record = { attempt, at: new Date(startedAt).toISOString() };
+      let retry = true;
+
+      try {
+        const response = await this.fetch(url, {
+          method: 'POST',
+          headers,
+          body,
+          signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        record.statusCode = response.status;
+        if (response.ok) {
+          delivery.status = 'delivered';
+        } else {
+          retry = isRetryable(response.status);
+        }
+      } catch (error) {
+        record.error = error.message;
+      }
+
+      record.durationMs = Date.now() - startedAt;
+      delivery.attempts.push(record);
+      delete delivery.nextAttemptAt;
+
+      if (delivery.status === 'delivered') {
+        delivery.deliveredAt = new Date().toISOString();
+      } else if (!retry || attempt === this.maxAttempts) {
+        delivery.status = 'failed';
+      } else {
+        delivery.nextAttemptAt = new Date(
+          Date.now() + this.baseDelayMs * 2 ** (attempt - 1)
+        ).toISOString();
+      }
+
+      onAttempt({ ...delivery, attempts: [...delivery.attempts] });
+
+      if (delivery.status !== 'pending') {
+        return delivery;
+      }
+
+      await sleep(this.baseDelayMs * 2 ** (attempt - 1));
+    }
+
+    return delivery;
+  }
+}
+
+module.exports = { WebhookNotifier, signPayload };
@@ -0,0 +1,216 @@
+const { chromium } = require('playwright');
+
+// Following a logout link mid-crawl would end the session for every page after it
+const LOGOUT_PATTERN = /\/(?:log-?out|sign-?out|logoff)(?:\/|$|\?)/i;
+
+// Callers name the variable holding a credential, so only variables set aside
+// for capture logins may be read: a CAPTURE_CRED_ prefix, or a name listed in
+// CAPTURE_CREDENTIAL_ENVS. Storage keys and other server secrets stay put.
+const CREDENTIAL_ENV_PREFIX = 'CAPTURE_CRED_';
+
+function isCredentialEnv(envName) {
+  const allowed = (process.env.CAPTURE_CREDENTIAL_ENVS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+  return envName.startsWith(CREDENTIAL_ENV_PREFIX) || allowed.includes(envName);
+}
+
+function readCredentialEnv(envName, field) {
+  if (!envName) {
+    throw new Error(`${field} is required`);
+  }
+  if (!isCredentialEnv(envName)) {
+    throw new Error(
+      `${field} "${envName}" must start with ${CREDENTIAL_ENV_PREFIX} or be listed in CAPTURE_CREDENTIAL_ENVS`
+    );
+  }
+  const value = process.env[envName];
+  if (value === undefined || value === '') {
+    throw new Error(`${field} "${envName}" is not set`);
+  }
+  return value;
+}
+
+function readCredential(envName, label) {
+  return readCredentialEnv(envName, `auth.login.${label}Env`);
+}
+
+// Pages a caller sends the browser to (and may type credentials into) have to
+// be on the site the job captures
+function assertSameOrigin(url, baseUrl, field) {
+  const parse = value => {
+    try {
+      return new URL(value);
+    } catch {
+      return null;
+    }
+  };
+  const target = parse(url);
+  const base = parse(baseUrl);
+  if (!target || !base || !['http:', 'https:'].includes(target.protocol) || target.origin !== base.origin) {
+    throw new Error(`${field} must be an http(s) URL on the same origin as baseUrl`);
+  }
+}
+
+// Throws on malformed auth options so a bad request is rejected before a job
+// is queued. Credentials are only ever read from the environment.
+function validateAuthOptions(auth, baseUrl) {
+  if (auth === undefined || auth === null) {
+    return;
+  }
+  if (typeof auth !== 'object' || Array.isArray(auth)) {
+    throw new Error('auth must be an object');
+  }
+  if (auth.storageState !== undefined && typeof auth.storageState !== 'object') {
+    throw new Error('auth.storageState must be a Playwright storage state object');
+  }
+  if (auth.cookies !== undefined && !Array.isArray(auth.cookies)) {
+    throw new Error('auth.cookies must be an array of cookies');
+  }
+  if (auth.headers !== undefined && (typeof auth.headers !== 'object' || Array.isArray(auth.headers))) {
+    throw new Error('auth.headers must be an object of header names to values');
+  }
+
+  const { login } = auth;
+  if (login) {
+    ['url', 'usernameSelector', 'passwordSelector'].forEach(field => {
+      if (!login[field]) {
+        throw new Error(`auth.login.${field} is required`);
+      }
+    });
+    assertSameOrigin(login.url, baseUrl, 'auth.login.url');
+    readCredential(login.usernameEnv, 'username');
+    readCredential(login.passwordEnv, 'password');
+  }
+}
+
+// What a job record may keep about its auth setup: no cookie values, header
+// values or storage state.
+function describeAuth(auth) {
+  if (!auth) {
+    return undefined;
+  }
+  return {
+    storageState: Boolean(auth.storageState),
+    cookies: auth.cookies?.length || 0,
+    headers: Object.keys(auth.headers || {}),
+    ...(auth.login && {
+      login: {
+        url: auth.login.url,
+        usernameEnv: auth.login.usernameEnv,
+        passwordEnv: auth.login.passwordEnv
+      }
+    })
+  };
+}
+
+async function runLoginRecipe(context, login, timeout) {
+  const page = await context.newPage();
+  try {
+    await page.goto(login.url, { waitUntil: 'domcontentloaded', timeout });
+    await page.fill(login.usernameSelector, readCredential(login.usernameEnv, 'username'), { timeout });
+    await page.fill(login.passwordSelector, readCredential(login.passwordEnv, 'password'), { timeout });
+
+    if (login.submitSelector) {
+      await page.click(login.submitSelector, { timeout });
+    } else {
+      await page.press(login.passwordSelector, 'Enter');
+    }
+
+    if (login.successSelector) {
+      await page.waitForSelector(login.successSelector, { timeout });
+    } else if (login.successUrl) {
+      await page.waitForURL(url => url.href.includes(login.successUrl), { timeout });
+    } else {
+      await page.waitForURL(url => url.href !== login.url, { timeout }).catch(() => {});
+    }
+    await page.waitForLoadState('networkidle', { timeout: Math.min(timeout, 5000) }).catch(() => {});
+  } catch (error) {
+    throw new Error(`Login failed at ${login.url}: ${error.message}`);
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+// Builds the session shared by discovery and screenshots. Cookies and the
+// login recipe run in a throwaway browser once; the result is a storage state
+// that every later context starts from.
+async function establishSession(auth, { timeout = 30000, baseUrl } = {}) {
+  if (!auth) {
+    return null;
+  }
+
+  let storageState = auth.storageState || undefined;
+  const headers = auth.headers || undefined;
+  const origin = headers ? new URL(baseUrl).origin : undefined;
+
+  if (auth.login || auth.cookies?.length) {
+    const browser = await chromium.launch({
+      headless: true,
+      args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+    try {
+      const context = await browser.newContext({ storageState });
+      await installSessionHeaders(context, { headers, origin });
+      if (auth.cookies?.length) {
+        await context.addCookies(auth.cookies);
+      }
+      if (auth.login) {
+        await runLoginRecipe(context, auth.login, timeout);
+      }
+      storageState = await context.storageState();
+    } finally {
+      await browser.close().catch(() => {});
+    }
+  }
+
+  return { storageState, headers, origin };
+}
+
+function sessionContextOptions(session) {
+  if (!session) {
+    return {};
+  }
+  return {
+    ...(session.storageState && { storageState: session.storageState })
+  };
+}
+
+// Auth headers only go to the job's own origin. As context-wide
+// extraHTTPHeaders they would also reach every CDN, analytics host and embed
+// the page loads. Registered first, so any route added later runs before it
+// and hands its requests on with route.fallback().
+async function installSessionHeaders(context, session) {
+  if (!session?.headers || !session.origin) {
+    return;
+  }
+  await context.route('**/*', route => {
+    const request = route.request();
+    let origin = null;
+    try {
+      origin = new URL(request.url()).origin;
+    } catch {
+      // data: and blob: requests have no origin to match
+    }
+    if (origin !== session.origin) {
+      return route.fallback();
+    }
+    return route.continue({ headers: { ...request.headers(), ...session.headers } });
+  });
+}
+
+function isLogoutUrl(url) {
+  return LOGOUT_PATTERN.test(url);
+}
+
+module.exports = {
+  readCredentialEnv,
+  assertSameOrigin,
+  validateAuthOptions,
+  describeAuth,
+  establishSession,
+  sessionContextOptions,
+  installSessionHeaders,
+  isLogoutUrl
+};
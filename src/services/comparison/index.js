@@ -0,0 +1,7 @@
+const { JobComparisonService } = require('./jobComparison');
+const { diffImages } = require('./visualDiff');
+
+module.exports = {
+  JobComparisonService,
+  diffImages
+};
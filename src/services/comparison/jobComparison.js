@@ -0,0 +1,158 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { slugify } = require('../screenshot/fileNaming');
+const { diffImages } = require('./visualDiff');
+
+// Every screenshot of a job keyed by page, viewport and interaction, so two
+// runs can be lined up even when page order or file names differ
+function collectScreenshots(job) {
+  const screenshots = new Map();
+
+  for (const entry of job.results?.screenshots || []) {
+    const viewport = entry.viewport || 'desktop';
+    screenshots.set(`${entry.url}|${viewport}|`, {
+      url: entry.url,
+      viewport,
+      interaction: null,
+      path: entry.path,
+      file: path.join(job.outputDir, entry.path)
+    });
+
+    // A duplicate points at the file that was kept, so it is compared like a
+    // capture; otherwise deduplicating in just one run reads as added/removed
+    for (const interaction of entry.interactions || []) {
+      if (!['captured', 'duplicate'].includes(interaction.status) || !interaction.screenshot) {
+        continue;
+      }
+      screenshots.set(`${entry.url}|${viewport}|${interaction.descriptor}`, {
+        url: entry.url,
+        viewport,
+        interaction: interaction.descriptor,
+        path: interaction.screenshot.path,
+        file: path.join(job.outputDir, interaction.screenshot.path)
+      });
+    }
+  }
+
+  return screenshots;
+}
+
+function identify({ url, viewport, interaction }) {
+  return { url, viewport, interaction };
+}
+
+class JobComparisonService {
+  constructor(options = {}) {
+    this.outputRoot = options.outputRoot || path.join(process.cwd(), 'data', 'comparisons');
+    this.threshold = options.threshold ?? 0.1;
+    // Pairs at or below this mismatch percentage count as unchanged
+    this.minMismatchPercentage = options.minMismatchPercentage ?? 0;
+  }
+
+  async compare(baseJob, targetJob) {
+    const comparisonId = uuidv4();
+    const outputDir = path.join(this.outputRoot, comparisonId);
+    const diffDir = path.join(outputDir, 'diffs');
+    await fs.ensureDir(diffDir);
+
+    console.log(`[compare] ${baseJob.id} -> ${targetJob.id} (${comparisonId})`);
+
+    const before = collectScreenshots(baseJob);
+    const after = collectScreenshots(targetJob);
+    const basePages = new Set(Array.from(before.values(), shot => shot.url));
+    const targetPages = new Set(Array.from(after.values(), shot => shot.url));
+
+    const pairs = [];
+    const added = [];
+    const removed = [];
+
+    for (const [key, shot] of after) {
+      if (!before.has(key)) {
+        added.push({ ...identify(shot), path: shot.path });
+      }
+    }
+
+    for (const [key, previous] of before) {
+      const current = after.get(key);
+      if (!current) {
+        removed.push({ ...identify(previous), path: previous.path });
+        continue;
+      }
+
+      const label = `${current.url.replace(/^https?:\/\/[^/]+/, '')} ${current.interaction || ''}`;
+      const diffFilename = [
+        String(pairs.length + 1).padStart(3, '0'),
+        slugify(current.viewport, 'viewport'),
+        slugify(label, 'page')
+      ].join('_') + '.png';
+
+      try {
+        const diff = await diffImages(previous.file, current.file, path.join(diffDir, diffFilename), {
+          threshold: this.threshold
+        });
+        pairs.push({
+          ...identify(current),
+          status: diff.mismatchPercentage > this.minMismatchPercentage ? 'changed' : 'unchanged',
+          mismatchPercentage: diff.mismatchPercentage,
+          mismatchedPixels: diff.mismatchedPixels,
+          sizeChanged: diff.sizeChanged,
+          before: previous.path,
+          after: current.path,
+          diff: `diffs/${diffFilename}`
+        });
+      } catch (error) {
+        console.warn(`[compare] could not diff ${previous.path} and ${current.path}: ${error.message}`);
+        pairs.push({
+          ...identify(current),
+          status: 'error',
+          error: error.message,
+          before: previous.path,
+          after: current.path
+        });
+      }
+    }
+
+    const comparison = {
+      id: comparisonId,
+      createdAt: new Date().toISOString(),
+      baseJobId: baseJob.id,
+      targetJobId: targetJob.id,
+      threshold: this.threshold,
+      minMismatchPercentage: this.minMismatchPercentage,
+      summary: {
+        compared: pairs.length,
+        changed: pairs.filter(pair => pair.status === 'changed').length,
+        unchanged: pairs.filter(pair => pair.status === 'unchanged').length,
+        errors: pairs.filter(pair => pair.status === 'error').length,
+        addedScreenshots: added.length,
+        removedScreenshots: removed.length
+      },
+      pages: {
+        added: [...targetPages].filter(url => !basePages.has(url)),
+        removed: [...basePages].filter(url => !targetPages.has(url))
+      },
+      pairs,
+      added,
+      removed
+    };
+
+    const comparisonPath = path.join(outputDir, 'comparison.json');
+    await fs.writeJson(comparisonPath, comparison, { spaces: 2 });
+    console.log(
+      `[compare] ${comparison.summary.changed}/${pairs.length} screenshot(s) changed, ` +
+      `${comparison.pages.added.length} page(s) added, ${comparison.pages.removed.length} removed`
+    );
+
+    return {
+      ...comparison,
+      outputDir,
+      files: {
+        comparison: comparisonPath,
+        diffsDir: diffDir
+      }
+    };
+  }
+}
+
+module.exports = { JobComparisonService };
@@ -0,0 +1,77 @@
+const sharp = require('sharp');
+
+// Highlight colour for changed pixels; unchanged ones are drawn as a faded
+// greyscale copy of the newer screenshot so the changes stand out.
+const DIFF_COLOR = [255, 0, 80];
+
+async function readRgba(filePath) {
+  const { data, info } = await sharp(filePath)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+function pixelAt(image, x, y) {
+  if (x >= image.width || y >= image.height) {
+    return null;
+  }
+  const offset = (y * image.width + x) * 4;
+  return image.data.subarray(offset, offset + 4);
+}
+
+// Compares two screenshots pixel by pixel and writes an overlay PNG. Pages
+// often change height between runs, so the canvas covers both images and any
+// area only one of them has counts as changed. `threshold` (0-1) is the
+// per-channel difference below which pixels count as equal, which absorbs
+// anti-aliasing and compression noise.
+async function diffImages(beforePath, afterPath, diffPath, { threshold = 0.1 } = {}) {
+  const [before, after] = await Promise.all([readRgba(beforePath), readRgba(afterPath)]);
+  const width = Math.max(before.width, after.width);
+  const height = Math.max(before.height, after.height);
+  const output = Buffer.alloc(width * height * 4);
+  const tolerance = threshold * 255;
+  let mismatchedPixels = 0;
+
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const a = pixelAt(before, x, y);
+      const b = pixelAt(after, x, y);
+      const offset = (y * width + x) * 4;
+
+      const differs = !a || !b ||
+        Math.abs(a[0] - b[0]) > tolerance ||
+        Math.abs(a[1] - b[1]) > tolerance ||
+        Math.abs(a[2] - b[2]) > tolerance;
+
+      if (differs) {
+        mismatchedPixels += 1;
+        output[offset] = DIFF_COLOR[0];
+        output[offset + 1] = DIFF_COLOR[1];
+        output[offset + 2] = DIFF_COLOR[2];
+      } else {
+        const grey = Math.round(0.299 * b[0] + 0.587 * b[1] + 0.114 * b[2]);
+        const faded = Math.round(255 - (255 - grey) * 0.3);
+        output[offset] = faded;
+        output[offset + 1] = faded;
+        output[offset + 2] = faded;
+      }
+      output[offset + 3] = 255;
+    }
+  }
+
+  await sharp(output, { raw: { width, height, channels: 4 } }).png().toFile(diffPath);
+
+  const totalPixels = width * height;
+  return {
+    width,
+    height,
+    sizeChanged: before.width !== after.width || before.height !== after.height,
+    mismatchedPixels,
+    mismatchPercentage: totalPixels
+      ? Number(((mismatchedPixels / totalPixels) * 100).toFixed(3))
+      : 0
+  };
+}
+
+module.exports = { diffImages };
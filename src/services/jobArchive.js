@@ -0,0 +1,227 @@
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const deflateRaw = promisify(zlib.deflateRaw);
+
+// Already-compressed formats are stored as-is; deflating them again only costs CPU
+const STORED_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.webp', '.gif', '.gz', '.zip']);
+const SCREENSHOT_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.webp']);
+const ZIP_LIMIT = 0xffffffff;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// Minimal ZIP writer: entries are written one at a time to any writable stream
+// (an HTTP response, a file), so only the file being added is held in memory.
+// No ZIP64 support, which caps archives at 4 GB; job folders stay far below that.
+class ZipWriter {
+  constructor(output) {
+    this.output = output;
+    this.entries = [];
+    this.offset = 0;
+  }
+
+  async addFile(name, filePath) {
+    const [data, stats] = await Promise.all([fs.readFile(filePath), fs.stat(filePath)]);
+    const store = STORED_EXTENSIONS.has(path.extname(name).toLowerCase());
+    const compressed = store ? data : await deflateRaw(data);
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const { time, date } = dosDateTime(stats.mtime);
+
+    if (this.offset + compressed.length + 30 + nameBuffer.length > ZIP_LIMIT) {
+      throw new Error('Archive exceeds the 4 GB ZIP limit');
+    }
+
+    const entry = {
+      nameBuffer,
+      method: store ? 0 : 8,
+      time,
+      date,
+      crc: crc32(data),
+      compressedSize: compressed.length,
+      size: data.length,
+      offset: this.offset
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // version needed to extract
+    header.writeUInt16LE(0x0800, 6); // UTF-8 file names
+    header.writeUInt16LE(entry.method, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    await this.#write(Buffer.concat([header, nameBuffer]));
+    await this.#write(compressed);
+    this.entries.push(entry);
+  }
+
+  async finish() {
+    const directoryOffset = this.offset;
+
+    for (const entry of this.entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(0x0314, 4); // made by: Unix, spec 2.0
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(0x0800, 8);
+      header.writeUInt16LE(entry.method, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBuffer.length, 28);
+      header.writeUInt32LE((0o100644 << 16) >>> 0, 38); // regular file, rw-r--r--
+      header.writeUInt32LE(entry.offset, 42);
+      await this.#write(Buffer.concat([header, entry.nameBuffer]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await this.#write(end);
+  }
+
+  #write(chunk) {
+    this.offset += chunk.length;
+    if (this.output.destroyed) {
+      return Promise.reject(new Error('Archive output closed'));
+    }
+    if (this.output.write(chunk)) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const onDrain = () => {
+        this.output.off('close', onClose);
+        resolve();
+      };
+      const onClose = () => {
+        this.output.off('drain', onDrain);
+        reject(new Error('Archive output closed'));
+      };
+      this.output.once('drain', onDrain);
+      this.output.once('close', onClose);
+    });
+  }
+}
+
+async function listFiles(directory, prefix = '') {
+  const files = [];
+  const dirents = await fs.readdir(path.join(directory, prefix), { withFileTypes: true });
+  for (const dirent of dirents.sort((a, b) => a.name.localeCompare(b.name))) {
+    const relativePath = prefix ? `${prefix}/${dirent.name}` : dirent.name;
+    if (dirent.isDirectory()) {
+      files.push(...(await listFiles(directory, relativePath)));
+    } else if (dirent.isFile()) {
+      files.push(relativePath);
+    }
+  }
+  return files;
+}
+
+// Paths (relative to the job folder) of the screenshots a job kept after
+// deduplication: base screenshots not marked duplicate, captured interactions
+// and their crops, and journey step screenshots
+function keptScreenshotPaths(screenshots = [], journeys = []) {
+  const kept = new Set();
+  for (const entry of screenshots) {
+    if (entry.path && !entry.duplicate) {
+      kept.add(entry.path);
+    }
+    for (const interaction of entry.interactions || []) {
+      if (interaction.status === 'captured' && interaction.screenshot?.path) {
+        kept.add(interaction.screenshot.path);
+      }
+      if (interaction.crop?.path) {
+        kept.add(interaction.crop.path);
+      }
+    }
+  }
+  for (const journey of journeys || []) {
+    for (const step of journey.steps || []) {
+      if (step.screenshot?.path) {
+        kept.add(step.screenshot.path);
+      }
+    }
+  }
+  return kept;
+}
+
+// Writes a job's output folder as a ZIP with everything under `rootName/`.
+// With `keptScreenshots`, screenshots not in that set are left out; other
+// files (JSON, reports) are always included.
+async function writeJobArchive(output, { outputDir, rootName, keptScreenshots = null }) {
+  const zip = new ZipWriter(output);
+  const files = (await listFiles(outputDir)).filter(
+    file => !keptScreenshots ||
+      !SCREENSHOT_EXTENSIONS.has(path.extname(file).toLowerCase()) ||
+      keptScreenshots.has(file)
+  );
+
+  for (const file of files) {
+    await zip.addFile(`${rootName}/${file}`, path.join(outputDir, file));
+  }
+  await zip.finish();
+  return { files: files.length, bytes: zip.offset };
+}
+
+// Express helper shared by both servers; `uniqueOnly` limits screenshots to
+// `keptScreenshotPaths(screenshots, journeys)`
+async function sendJobArchive(res, { jobId, outputDir, screenshots, journeys, uniqueOnly = false }) {
+  const rootName = `job_${jobId}`;
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${rootName}${uniqueOnly ? '_unique' : ''}.zip"`);
+
+  try {
+    const result = await writeJobArchive(res, {
+      outputDir,
+      rootName,
+      keptScreenshots: uniqueOnly ? keptScreenshotPaths(screenshots, journeys) : null
+    });
+    res.end();
+    console.log(`[archive] ${rootName}: ${result.files} file(s), ${result.bytes} bytes`);
+  } catch (error) {
+    console.warn(`[archive] ${rootName} aborted: ${error.message}`);
+    // Headers are gone, so the only way to signal the failure is a broken download
+    res.destroy(error);
+  }
+}
+
+module.exports = {
+  ZipWriter,
+  writeJobArchive,
+  sendJobArchive,
+  keptScreenshotPaths
+};
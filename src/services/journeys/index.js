@@ -0,0 +1,7 @@
+const { JOURNEY_ACTIONS, JourneyRunner, validateJourneys } = require('./journeyRunner');
+
+module.exports = {
+  JOURNEY_ACTIONS,
+  JourneyRunner,
+  validateJourneys
+};
@@ -0,0 +1,341 @@
+const { chromium } = require('playwright');
+const fs = require('fs-extra');
+const path = require('path');
+const { slugify } = require('../screenshot/fileNaming');
+const { toContextOptions } = require('../screenshot/viewports');
+const {
+  waitForImages,
+  waitForPageSettled,
+  installPageReadinessHooks
+} = require('../screenshot/pageReadiness');
+const { capturePage } = require('../screenshot/stitchCapture');
+const {
+  sessionContextOptions,
+  installSessionHeaders,
+  readCredentialEnv,
+  assertSameOrigin
+} = require('../authSession');
+
+const JOURNEY_ACTIONS = ['goto', 'click', 'fill', 'select', 'waitFor', 'screenshot'];
+const TARGET_KEYS = ['role', 'text', 'label', 'placeholder', 'selector'];
+const WAIT_STATES = ['attached', 'detached', 'visible', 'hidden'];
+
+function describeStep(step) {
+  if (step.action === 'goto') {
+    return `goto ${step.url}`;
+  }
+  if (step.action === 'screenshot') {
+    return `screenshot "${step.label}"`;
+  }
+  const target = step.role
+    ? `${step.role}${step.name ? ` "${step.name}"` : ''}`
+    : step.text ? `text "${step.text}"`
+      : step.label ? `label "${step.label}"`
+        : step.placeholder ? `placeholder "${step.placeholder}"`
+          : step.selector;
+  return `${step.action} ${target}`;
+}
+
+// Relative URLs resolve against the job's base URL; either way the result has
+// to stay on its origin
+function resolveJourneyUrl(url, baseUrl, field) {
+  let resolved;
+  try {
+    resolved = new URL(url, baseUrl).href;
+  } catch {
+    resolved = url;
+  }
+  assertSameOrigin(resolved, baseUrl, field);
+  return resolved;
+}
+
+function stepValue(step, field) {
+  return step.valueEnv ? readCredentialEnv(step.valueEnv, field) : step.value;
+}
+
+// Throws on malformed journeys so a bad request is rejected before a job is
+// queued. Like login credentials, secret field values are read from the
+// environment (`valueEnv`, same naming rules) rather than kept on the job record.
+function validateJourneys(journeys, baseUrl) {
+  if (journeys === undefined || journeys === null) {
+    return;
+  }
+  if (!Array.isArray(journeys)) {
+    throw new Error('journeys must be an array');
+  }
+
+  const names = new Set();
+  journeys.forEach((journey, journeyIndex) => {
+    const where = `journeys[${journeyIndex}]`;
+    if (!journey || typeof journey !== 'object' || !journey.name) {
+      throw new Error(`${where}.name is required`);
+    }
+    const slug = slugify(journey.name, 'journey');
+    if (names.has(slug)) {
+      throw new Error(`Duplicate journey name "${journey.name}"`);
+    }
+    names.add(slug);
+    if (!Array.isArray(journey.steps) || !journey.steps.length) {
+      throw new Error(`${where}.steps must be a non-empty array`);
+    }
+
+    journey.steps.forEach((step, stepIndex) => {
+      const at = `${where}.steps[${stepIndex}]`;
+      if (!JOURNEY_ACTIONS.includes(step?.action)) {
+        throw new Error(`${at}.action must be one of: ${JOURNEY_ACTIONS.join(', ')}`);
+      }
+      if (step.action === 'goto') {
+        if (!step.url) {
+          throw new Error(`${at}.url is required`);
+        }
+        resolveJourneyUrl(step.url, baseUrl, `${at}.url`);
+        return;
+      }
+      if (step.action === 'screenshot') {
+        if (!step.label) {
+          throw new Error(`${at}.label is required`);
+        }
+        return;
+      }
+      if (!TARGET_KEYS.some(key => step[key])) {
+        throw new Error(`${at} needs a target (${TARGET_KEYS.join(', ')})`);
+      }
+      if (['fill', 'select'].includes(step.action) && step.value === undefined && !step.valueEnv) {
+        throw new Error(`${at} needs a value or valueEnv`);
+      }
+      if (step.valueEnv) {
+        readCredentialEnv(step.valueEnv, `${at}.valueEnv`);
+      }
+      if (step.state !== undefined && !WAIT_STATES.includes(step.state)) {
+        throw new Error(`${at}.state must be one of: ${WAIT_STATES.join(', ')}`);
+      }
+    });
+  });
+}
+
+// The first element matching the step's target, preferring what a user would
+// see (role and accessible name, text, label) over raw selectors
+function locate(page, step) {
+  const exact = step.exact ?? false;
+  if (step.role) {
+    return page.getByRole(step.role, { ...(step.name && { name: step.name }), exact }).first();
+  }
+  if (step.text) {
+    return page.getByText(step.text, { exact }).first();
+  }
+  if (step.label) {
+    return page.getByLabel(step.label, { exact }).first();
+  }
+  if (step.placeholder) {
+    return page.getByPlaceholder(step.placeholder, { exact }).first();
+  }
+  return page.locator(step.selector).first();
+}
+
+// Runs each journey's steps in order in one browser context, so cookies,
+// storage and the open page carry over from step to step. A failing step
+// fails its journey and skips the steps after it; other journeys still run.
+class JourneyRunner {
+  constructor(options = {}) {
+    this.outputDir = options.outputDir || path.join(process.cwd(), 'data');
+    this.baseUrl = options.baseUrl;
+    this.viewport = options.viewport || { width: 1280, height: 720 };
+    this.timeout = options.timeout ?? 30000;
+    this.session = options.session || null;
+    this.captureOptions = options.captureOptions || { mode: 'fullPage' };
+    this.mediaWaitTimeout = options.mediaWaitTimeout ?? 5000;
+    this.pageSettleTimeout = options.pageSettleTimeout ?? 8000;
+    this.onEvent = options.onEvent || (() => {});
+  }
+
+  async runAll(journeys = [], { signal } = {}) {
+    const browser = await chromium.launch({
+      headless: true,
+      args: ['--no-sandbox', '--disable-setuid-sandbox']
+    });
+    const closeOnAbort = () => browser.close().catch(() => {});
+    signal?.addEventListener('abort', closeOnAbort, { once: true });
+
+    const results = [];
+    try {
+      for (const journey of journeys) {
+        if (signal?.aborted) {
+          break;
+        }
+        results.push(await this.#run(browser, journey, signal));
+      }
+    } finally {
+      signal?.removeEventListener('abort', closeOnAbort);
+      await browser.close().catch(() => {});
+    }
+
+    const file = path.join(this.outputDir, 'journeys.json');
+    await fs.writeJson(file, { capturedAt: new Date().toISOString(), journeys: results }, { spaces: 2 });
+
+    const stats = {
+      total: results.length,
+      passed: results.filter(result => result.status === 'passed').length,
+      failed: results.filter(result => result.status === 'failed').length
+    };
+    console.log(`[journeys] ${stats.passed}/${stats.total} journey(s) passed`);
+
+    return { journeys: results, stats, file };
+  }
+
+  async #run(browser, journey, signal) {
+    const slug = slugify(journey.name, 'journey');
+    const journeyDir = path.join(this.outputDir, 'journeys', slug);
+    const startedAt = Date.now();
+    const steps = [];
+    let context = null;
+    let failure = null;
+
+    console.log(`[journeys] ${journey.name}: ${journey.steps.length} step(s)`);
+    this.onEvent({ type: 'journey_started', journey: journey.name });
+
+    try {
+      await fs.ensureDir(journeyDir);
+      context = await browser.newContext({
+        ...toContextOptions(this.viewport),
+        ...sessionContextOptions(this.session)
+      });
+      await installSessionHeaders(context, this.session);
+      await installPageReadinessHooks(context);
+      const page = await context.newPage();
+
+      for (let index = 0; index < journey.steps.length; index += 1) {
+        const step = journey.steps[index];
+        const trace = {
+          index: index + 1,
+          action: step.action,
+          description: describeStep(step)
+        };
+
+        if (failure || signal?.aborted) {
+          steps.push({ ...trace, status: 'skipped' });
+          continue;
+        }
+
+        const stepStartedAt = Date.now();
+        try {
+          const screenshot = await this.#runStep(page, step, {
+            journeyDir,
+            relativeDir: `journeys/${slug}`,
+            index: index + 1
+          });
+          steps.push({
+            ...trace,
+            status: 'passed',
+            durationMs: Date.now() - stepStartedAt,
+            url: page.url(),
+            ...(screenshot && { screenshot })
+          });
+        } catch (error) {
+          failure = error;
+          // The page as it was when the step gave up is usually the quickest way to see why
+          const screenshot = await this.#saveScreenshot(page, {
+            journeyDir,
+            relativeDir: `journeys/${slug}`,
+            index: index + 1,
+            label: `failed-${step.action}`,
+            fullPage: false
+          }).catch(() => null);
+          steps.push({
+            ...trace,
+            status: 'failed',
+            durationMs: Date.now() - stepStartedAt,
+            url: page.url(),
+            error: error.message.split('\n')[0],
+            ...(screenshot && { screenshot })
+          });
+          console.warn(`[journeys] ${journey.name}: step ${index + 1} (${trace.description}) failed: ${error.message.split('\n')[0]}`);
+        }
+
+        this.onEvent({
+          type: 'journey_step',
+          journey: journey.name,
+          ...steps[steps.length - 1]
+        });
+      }
+    } catch (error) {
+      failure = failure || error;
+    } finally {
+      await context?.close().catch(() => {});
+    }
+
+    const result = {
+      name: journey.name,
+      slug,
+      status: failure || signal?.aborted ? 'failed' : 'passed',
+      durationMs: Date.now() - startedAt,
+      steps,
+      ...(failure && { error: failure.message.split('\n')[0] })
+    };
+    this.onEvent({
+      type: 'journey_completed',
+      journey: journey.name,
+      status: result.status,
+      ...(result.error && { error: result.error })
+    });
+    return result;
+  }
+
+  async #runStep(page, step, location) {
+    const timeout = step.timeout ?? this.timeout;
+    switch (step.action) {
+      case 'goto': {
+        const url = resolveJourneyUrl(step.url, this.baseUrl, 'goto url');
+        await page.goto(url, { waitUntil: 'domcontentloaded', timeout });
+        await page.waitForLoadState('networkidle', {
+          timeout: Math.min(timeout / 2, 5000)
+        }).catch(() => {});
+        return null;
+      }
+      case 'click':
+        await locate(page, step).click({ timeout });
+        return null;
+      case 'fill':
+        await locate(page, step).fill(String(stepValue(step, 'valueEnv')), { timeout });
+        return null;
+      case 'select':
+        await locate(page, step).selectOption(stepValue(step, 'valueEnv'), { timeout });
+        return null;
+      case 'waitFor':
+        await locate(page, step).waitFor({ state: step.state || 'visible', timeout });
+        return null;
+      case 'screenshot':
+        await waitForImages(page, { timeout: this.mediaWaitTimeout });
+        await waitForPageSettled(page, { timeout: this.pageSettleTimeout });
+        return this.#saveScreenshot(page, {
+          ...location,
+          label: step.label,
+          fullPage: step.fullPage ?? true
+        });
+      default:
+        throw new Error(`Unknown journey action "${step.action}"`);
+    }
+  }
+
+  async #saveScreenshot(page, { journeyDir, relativeDir, index, label, fullPage }) {
+    const filename = `${String(index).padStart(2, '0')}-${slugify(label, 'step')}.png`;
+    const outputPath = path.join(journeyDir, filename);
+    if (fullPage) {
+      await capturePage(page, outputPath, this.captureOptions);
+    } else {
+      await page.screenshot({ path: outputPath, type: 'png' });
+    }
+    // Only the path inside the job folder: this ends up in job results and
+    // journey_step events, which must not reveal the server's filesystem
+    return {
+      label,
+      filename,
+      path: `${relativeDir}/${filename}`
+    };
+  }
+}
+
+module.exports = {
+  JOURNEY_ACTIONS,
+  JourneyRunner,
+  validateJourneys
+};
@@ -0,0 +1,48 @@
+const crypto = require('crypto');
+
+// What goes into the content hash: visible text plus the images and links on
+// the page. Markup details such as nonces, CSRF tokens or generated class
+// names change on every request and would mark every page as changed.
+function readPageContent() {
+  const text = (document.body?.innerText || '').replace(/\s+/g, ' ').trim();
+  const images = Array.from(document.images, image => image.currentSrc || image.src);
+  const links = Array.from(document.querySelectorAll('a[href]'), anchor => anchor.href);
+  return JSON.stringify({ title: document.title, text, images, links });
+}
+
+async function collectFingerprint(page, response) {
+  const headers = response?.headers() || {};
+  const content = await page.evaluate(readPageContent).catch(() => null);
+
+  return {
+    etag: headers.etag || null,
+    lastModified: headers['last-modified'] || null,
+    contentHash: content
+      ? crypto.createHash('sha256').update(content).digest('hex')
+      : null
+  };
+}
+
+// A page is unchanged only if every signal both runs have agrees: the content
+// hash, and the ETag / Last-Modified validators when the server sent them.
+function compareFingerprints(previous, current) {
+  if (!previous) {
+    return 'new';
+  }
+  if (!current) {
+    return 'changed';
+  }
+
+  const signals = ['contentHash', 'etag', 'lastModified'].filter(
+    key => previous[key] && current[key]
+  );
+  if (!signals.length) {
+    return 'changed';
+  }
+  return signals.every(key => previous[key] === current[key]) ? 'unchanged' : 'changed';
+}
+
+module.exports = {
+  collectFingerprint,
+  compareFingerprints
+};
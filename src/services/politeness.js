@@ -0,0 +1,116 @@
+const { ROBOTS_USER_AGENT, fetchRobotsTxt, rulesFor, isAllowedByRobots } = require('./robots');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Per-host rules for crawling client sites: robots.txt is honoured for our
+// user agent, navigations to one host are spaced at least `minDelayMs` apart
+// (or the site's Crawl-delay, capped at `maxCrawlDelayMs`) and at most
+// `maxInFlightPerHost` run at once. `enabled: false` turns all of it off.
+class CrawlPoliteness {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? true;
+    this.respectRobots = options.respectRobots ?? true;
+    this.minDelayMs = options.minDelayMs ?? 250;
+    this.maxCrawlDelayMs = options.maxCrawlDelayMs ?? 10000;
+    this.maxInFlightPerHost = Math.max(1, options.maxInFlightPerHost ?? 2);
+    this.userAgent = options.userAgent ?? ROBOTS_USER_AGENT;
+    this.timeout = options.timeout ?? 8000;
+    this.fetchRobots = options.fetchRobots || fetchRobotsTxt;
+    this.robots = new Map();
+    this.hosts = new Map();
+  }
+
+  // Accepts `false`, `true` or an options object, as passed in job options
+  static from(setting, defaults = {}) {
+    if (setting === false) {
+      return new CrawlPoliteness({ ...defaults, enabled: false });
+    }
+    return new CrawlPoliteness({ ...defaults, ...(typeof setting === 'object' && setting) });
+  }
+
+  // Parsed robots.txt for an origin, fetched once per crawl
+  getRobots(origin) {
+    if (!this.robots.has(origin)) {
+      this.robots.set(origin, this.fetchRobots(origin, {
+        timeout: this.timeout,
+        userAgent: this.userAgent
+      }));
+    }
+    return this.robots.get(origin);
+  }
+
+  async isAllowed(url) {
+    if (!this.enabled || !this.respectRobots) {
+      return true;
+    }
+    const robots = await this.getRobots(new URL(url).origin);
+    return isAllowedByRobots(rulesFor(robots, this.userAgent).rules, url);
+  }
+
+  // Runs `task` (usually a page navigation) once the host has a free slot and
+  // its delay has passed
+  async schedule(url, task) {
+    if (!this.enabled) {
+      return task();
+    }
+
+    const host = this.#host(new URL(url));
+    await this.#acquire(host);
+    try {
+      return await task();
+    } finally {
+      this.#release(host);
+    }
+  }
+
+  #host(urlObj) {
+    if (!this.hosts.has(urlObj.host)) {
+      this.hosts.set(urlObj.host, {
+        origin: urlObj.origin,
+        inFlight: 0,
+        waiting: [],
+        nextStartAt: 0
+      });
+    }
+    return this.hosts.get(urlObj.host);
+  }
+
+  async #delayFor(host) {
+    if (!this.respectRobots) {
+      return this.minDelayMs;
+    }
+    const robots = await this.getRobots(host.origin);
+    const crawlDelayMs = (rulesFor(robots, this.userAgent).crawlDelay ?? 0) * 1000;
+    return Math.max(this.minDelayMs, Math.min(crawlDelayMs, this.maxCrawlDelayMs));
+  }
+
+  async #acquire(host) {
+    if (host.inFlight >= this.maxInFlightPerHost) {
+      // #release hands its slot straight to us, so inFlight is already counted
+      await new Promise(resolve => host.waiting.push(resolve));
+    } else {
+      host.inFlight += 1;
+    }
+
+    // Reserve the next start time before sleeping so concurrent callers queue
+    // up behind each other instead of all waking at once
+    const delay = await this.#delayFor(host);
+    const now = Date.now();
+    const startAt = Math.max(now, host.nextStartAt);
+    host.nextStartAt = startAt + delay;
+    if (startAt > now) {
+      await sleep(startAt - now);
+    }
+  }
+
+  #release(host) {
+    const next = host.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      host.inFlight -= 1;
+    }
+  }
+}
+
+module.exports = { CrawlPoliteness };
@@ -0,0 +1,5 @@
+const { JobReportService } = require('./jobReport');
+
+module.exports = {
+  JobReportService
+};
@@ -0,0 +1,343 @@
+const fs = require('fs-extra');
+const path = require('path');
+const sharp = require('sharp');
+
+const STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 0; color: #1f2933; background: #f5f7fa; }
+  header, main { max-width: 1200px; margin: 0 auto; padding: 16px 24px; }
+  header { border-bottom: 1px solid #d9e2ec; }
+  h1 { font-size: 22px; margin: 8px 0; word-break: break-all; }
+  h2 { font-size: 18px; margin: 32px 0 12px; }
+  h3 { font-size: 15px; margin: 0 0 8px; word-break: break-all; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 12px; font-size: 13px; background: #fff; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e4e7eb; vertical-align: top; word-break: break-word; }
+  th { background: #f0f4f8; font-weight: 600; }
+  .meta { color: #616e7c; font-size: 13px; }
+  .stats { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 16px; }
+  .page { background: #fff; border: 1px solid #d9e2ec; border-radius: 6px; padding: 16px; margin-bottom: 20px; }
+  .variant { margin-top: 12px; }
+  .gallery { display: flex; flex-wrap: wrap; gap: 12px; }
+  figure { margin: 0; width: 280px; }
+  figure img { width: 100%; max-height: 360px; object-fit: cover; object-position: top; border: 1px solid #d9e2ec; cursor: zoom-in; }
+  figure img.expanded { position: fixed; inset: 0; width: auto; max-width: 96vw; max-height: none; height: auto; margin: 2vh auto; z-index: 10; overflow: auto; cursor: zoom-out; box-shadow: 0 0 0 100vmax rgba(0, 0, 0, 0.7); }
+  figcaption { font-size: 12px; margin-top: 4px; word-break: break-word; }
+  .missing { width: 100%; height: 120px; display: flex; align-items: center; justify-content: center; background: #f0f4f8; color: #9aa5b1; font-size: 12px; }
+  .badge { display: inline-block; font-size: 11px; padding: 1px 6px; border-radius: 8px; background: #e4e7eb; margin-left: 4px; }
+  .badge.captured, .badge.passed { background: #c6f7e2; }
+  .badge.duplicate, .badge.reused { background: #dceefb; }
+  .badge.skipped { background: #fff3c4; }
+  .badge.failed, .badge.not_captured { background: #ffe3e3; }
+  code { font-size: 12px; }
+`;
+
+// Clicking a screenshot toggles it between the thumbnail and full size
+const SCRIPT = `
+  document.addEventListener('click', function (event) {
+    if (event.target.tagName === 'IMG') event.target.classList.toggle('expanded');
+  });
+`;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function badge(status) {
+  return `<span class="badge ${escapeHtml(status)}">${escapeHtml(status.replace(/_/g, ' '))}</span>`;
+}
+
+// Flattens one level of nesting so `changes: { new: 2 }` shows as `changes.new`
+function statsRows(stats = {}) {
+  return Object.entries(stats).flatMap(([key, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return Object.entries(value)
+        .filter(([, nested]) => nested === null || typeof nested !== 'object')
+        .map(([nestedKey, nested]) => [`${key}.${nestedKey}`, nested]);
+    }
+    return Array.isArray(value) ? [] : [[key, value]];
+  });
+}
+
+function statsTable(title, stats) {
+  const rows = statsRows(stats);
+  if (!rows.length) {
+    return '';
+  }
+  return `
+    <div>
+      <h3>${escapeHtml(title)}</h3>
+      <table>
+        ${rows.map(([key, value]) => `<tr><th>${escapeHtml(key)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}
+      </table>
+    </div>`;
+}
+
+function describeInteraction(interaction) {
+  const target = interaction.descriptor || interaction.text || interaction.tag || 'element';
+  return `${escapeHtml(interaction.action || 'interact')}: ${escapeHtml(target)}`;
+}
+
+// Builds a self-contained index.html for a job: crawl stats, a gallery per
+// page with its interaction screenshots, skipped and failed interactions, and
+// the deduplicator's decisions. Screenshots are embedded as downscaled JPEG
+// data URIs so the file can be mailed on its own; `embedImages: false` links
+// the PNGs next to it instead.
+class JobReportService {
+  constructor(options = {}) {
+    this.embedImages = options.embedImages ?? true;
+    this.maxImageWidth = options.maxImageWidth ?? 960;
+    this.imageQuality = options.imageQuality ?? 70;
+    this.filename = options.filename || 'index.html';
+  }
+
+  async write(job) {
+    const results = job.results || {};
+    const [urlsData, metadata] = await Promise.all([
+      this.#readJson(job.outputDir, results.files?.urls?.urls),
+      this.#readJson(job.outputDir, results.files?.screenshots?.metadata)
+    ]);
+
+    const images = new Map();
+    const image = async (relativePath, alt) => {
+      if (!relativePath) {
+        return '<div class="missing">no screenshot</div>';
+      }
+      if (!images.has(relativePath)) {
+        images.set(relativePath, await this.#imageSource(job.outputDir, relativePath));
+      }
+      const src = images.get(relativePath);
+      return src
+        ? `<img src="${src}" alt="${escapeHtml(alt)}" loading="lazy">`
+        : `<div class="missing">${escapeHtml(relativePath)} not found</div>`;
+    };
+
+    const pages = [];
+    for (const url of results.urls || []) {
+      pages.push(await this.#renderPage(url, results.screenshots || [], metadata, urlsData, image));
+    }
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Capture report - ${escapeHtml(job.baseUrl)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(job.baseUrl)}</h1>
+  <div class="meta">
+    Job <code>${escapeHtml(job.id)}</code> ${badge(job.status || 'completed')}
+    &middot; created ${escapeHtml(job.createdAt)}
+    &middot; report generated ${escapeHtml(new Date().toISOString())}
+  </div>
+</header>
+<main>
+  <h2>Crawl stats</h2>
+  <div class="stats">
+    ${statsTable('Discovery', results.stats?.discovery)}
+    ${statsTable('Screenshots', results.stats?.screenshots)}
+    ${statsTable('Interactions', metadata?.interactions)}
+    ${statsTable('Journeys', results.stats?.journeys)}
+  </div>
+  ${this.#renderExcluded(urlsData)}
+  ${await this.#renderJourneys(results.journeys, image)}
+  <h2>Pages (${pages.length})</h2>
+  ${pages.join('\n')}
+  ${this.#renderDeduplication(metadata)}
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+
+    const reportPath = path.join(job.outputDir, this.filename);
+    await fs.ensureDir(job.outputDir);
+    await fs.writeFile(reportPath, html);
+    console.log(`[report] wrote ${reportPath} (${pages.length} page(s), ${images.size} image(s))`);
+
+    return { path: reportPath, pages: pages.length, images: images.size };
+  }
+
+  async #renderPage(url, screenshots, metadata, urlsData, image) {
+    const entries = screenshots.filter(entry => entry.url === url);
+    const page = metadata?.pages?.find(item => item.url === url);
+    const change = urlsData?.changes?.[url];
+    const variants = [];
+
+    for (const entry of entries) {
+      variants.push(await this.#renderVariant(entry, image));
+    }
+    // Viewports that never produced a screenshot only show up in metadata.json
+    for (const variant of page?.variants || []) {
+      if (variant.status !== 'captured') {
+        variants.push(`
+          <div class="variant">
+            <h3>${escapeHtml(variant.viewport)} ${badge(variant.status)}</h3>
+            ${variant.error ? `<div class="meta">${escapeHtml(variant.error)}</div>` : ''}
+          </div>`);
+      }
+    }
+
+    return `
+  <section class="page">
+    <h3><a href="${escapeHtml(url)}">${escapeHtml(url)}</a>${change ? badge(change) : ''}</h3>
+    ${variants.join('\n') || '<div class="meta">Not captured</div>'}
+  </section>`;
+  }
+
+  async #renderVariant(entry, image) {
+    const notes = [];
+    if (entry.reusedFrom) {
+      notes.push(`${badge('reused')} from job <code>${escapeHtml(entry.reusedFrom.jobId)}</code>`);
+    }
+    if (entry.duplicate) {
+      notes.push(`${badge('duplicate')} of ${escapeHtml(entry.duplicateOf?.url)} (${escapeHtml(entry.duplicateOf?.filename)})`);
+    }
+
+    const interactions = entry.interactions || [];
+    const figures = [
+      `<figure>${await image(entry.path, entry.url)}<figcaption>Base page</figcaption></figure>`
+    ];
+    for (const interaction of interactions) {
+      if (!['captured', 'duplicate'].includes(interaction.status)) {
+        continue;
+      }
+      const caption = interaction.status === 'duplicate'
+        ? `${describeInteraction(interaction)} ${badge('duplicate')} of ${escapeHtml(interaction.duplicateOf?.filename)}`
+        : describeInteraction(interaction);
+      figures.push(`<figure>${await image(interaction.screenshot?.path, interaction.descriptor)}<figcaption>${caption}</figcaption></figure>`);
+      if (interaction.crop?.path) {
+        figures.push(`<figure>${await image(interaction.crop.path, interaction.descriptor)}<figcaption>${describeInteraction(interaction)} (changed region)</figcaption></figure>`);
+      }
+    }
+
+    const notCaptured = interactions.filter(i => !['captured', 'duplicate'].includes(i.status));
+    const notCapturedTable = notCaptured.length
+      ? `
+      <table>
+        <tr><th>Interaction</th><th>Selector</th><th>Status</th><th>Reason</th></tr>
+        ${notCaptured.map(interaction => `
+        <tr>
+          <td>${describeInteraction(interaction)}</td>
+          <td><code>${escapeHtml(interaction.selector)}</code></td>
+          <td>${badge(interaction.status)}</td>
+          <td>${escapeHtml(interaction.reason || interaction.error)}</td>
+        </tr>`).join('')}
+      </table>`
+      : '';
+
+    return `
+    <div class="variant">
+      <h3>${escapeHtml(entry.viewport || 'desktop')} ${badge('captured')}</h3>
+      ${notes.length ? `<div class="meta">${notes.join(' &middot; ')}</div>` : ''}
+      <div class="gallery">${figures.join('')}</div>
+      ${notCapturedTable}
+    </div>`;
+  }
+
+  // One block per journey: the step trace, then the screenshots it took
+  async #renderJourneys(journeys, image) {
+    if (!journeys?.length) {
+      return '';
+    }
+    const sections = [];
+    for (const journey of journeys) {
+      const figures = [];
+      for (const step of journey.steps.filter(item => item.screenshot)) {
+        figures.push(`<figure>${await image(step.screenshot.path, step.screenshot.label)}<figcaption>${step.index}. ${escapeHtml(step.screenshot.label)}</figcaption></figure>`);
+      }
+      sections.push(`
+  <section class="page">
+    <h3>${escapeHtml(journey.name)} ${badge(journey.status)}</h3>
+    <table>
+      <tr><th>#</th><th>Step</th><th>Status</th><th>Time</th><th>Error</th></tr>
+      ${journey.steps.map(step => `
+      <tr>
+        <td>${step.index}</td>
+        <td><code>${escapeHtml(step.description)}</code></td>
+        <td>${badge(step.status)}</td>
+        <td>${step.durationMs === undefined ? '' : `${step.durationMs} ms`}</td>
+        <td>${escapeHtml(step.error)}</td>
+      </tr>`).join('')}
+    </table>
+    ${figures.length ? `<div class="gallery">${figures.join('')}</div>` : ''}
+  </section>`);
+    }
+    return `
+  <h2>Journeys (${journeys.length})</h2>
+  ${sections.join('\n')}`;
+  }
+
+  #renderExcluded(urlsData) {
+    const excluded = urlsData?.excluded || [];
+    if (!excluded.length) {
+      return '';
+    }
+    return `
+  <h2>Excluded URLs (${excluded.length})</h2>
+  <details>
+    <summary>Show excluded URLs</summary>
+    <table>
+      <tr><th>URL</th><th>Rule</th></tr>
+      ${excluded.map(item => `
+      <tr>
+        <td>${escapeHtml(item.url)}</td>
+        <td>${escapeHtml(item.group ? `${item.source} (${item.group})` : item.source)}: <code>${escapeHtml(item.rule)}</code></td>
+      </tr>`).join('')}
+    </table>
+  </details>`;
+  }
+
+  #renderDeduplication(metadata) {
+    const removed = metadata?.deduplication?.removed || [];
+    if (!removed.length) {
+      return '<h2>Deduplication</h2><div class="meta">No duplicate screenshots found.</div>';
+    }
+    return `
+  <h2>Deduplication (${removed.length} removed)</h2>
+  <table>
+    <tr><th>Removed</th><th>Kept instead</th></tr>
+    ${removed.map(({ removed: dropped, kept }) => `
+    <tr>
+      <td>${escapeHtml(dropped.type)} &middot; ${escapeHtml(dropped.url)}<br><code>${escapeHtml(dropped.filename)}</code></td>
+      <td>${escapeHtml(kept.type)} &middot; ${escapeHtml(kept.url)}<br><code>${escapeHtml(kept.filename)}</code></td>
+    </tr>`).join('')}
+  </table>`;
+  }
+
+  async #imageSource(outputDir, relativePath) {
+    const file = path.resolve(outputDir, relativePath);
+    if (!(await fs.pathExists(file))) {
+      return null;
+    }
+    if (!this.embedImages) {
+      return encodeURI(relativePath.split(path.sep).join('/'));
+    }
+
+    try {
+      const buffer = await sharp(file)
+        .resize({ width: this.maxImageWidth, withoutEnlargement: true })
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: this.imageQuality })
+        .toBuffer();
+      return `data:image/jpeg;base64,${buffer.toString('base64')}`;
+    } catch (error) {
+      console.warn(`[report] could not embed ${relativePath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async #readJson(outputDir, file) {
+    if (!file) {
+      return null;
+    }
+    return fs.readJson(path.resolve(outputDir, file)).catch(() => null);
+  }
+}
+
+module.exports = { JobReportService };
@@ -0,0 +1,130 @@
+// Product token matched against `User-agent:` lines
+const ROBOTS_USER_AGENT = 'VuxiCapture';
+
+// Splits robots.txt into `{ groups: [{ agents, rules, crawlDelay }], sitemaps }`
+function parseRobotsTxt(text = '') {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) current.rules.push({ type: field, path: value });
+    } else if (field === 'crawl-delay') {
+      const delay = Number(value);
+      if (Number.isFinite(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+// Picks the group for a user agent: the most specific named match, else `*`.
+// Returns empty rules when nothing applies.
+function rulesFor(robots, userAgent = ROBOTS_USER_AGENT) {
+  const token = userAgent.toLowerCase();
+  let best = null;
+  let bestLength = -1;
+
+  for (const group of robots?.groups || []) {
+    for (const agent of group.agents) {
+      const matches = agent === '*' ? 0 : token.includes(agent) ? agent.length : -1;
+      if (matches > bestLength) {
+        best = group;
+        bestLength = matches;
+      }
+    }
+  }
+
+  return {
+    rules: best?.rules || [],
+    crawlDelay: best?.crawlDelay ?? null
+  };
+}
+
+function patternToRegex(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// The longest matching rule wins and Allow wins ties
+function isAllowedByRobots(rules, url) {
+  if (!rules?.length) return true;
+
+  let target;
+  try {
+    const urlObj = new URL(url);
+    target = `${urlObj.pathname}${urlObj.search}`;
+  } catch {
+    return true;
+  }
+
+  let verdict = null;
+  for (const rule of rules) {
+    if (!patternToRegex(rule.path).test(target)) continue;
+    const specificity = rule.path.length;
+    if (
+      !verdict ||
+      specificity > verdict.specificity ||
+      (specificity === verdict.specificity && rule.type === 'allow')
+    ) {
+      verdict = { type: rule.type, specificity };
+    }
+  }
+
+  return !verdict || verdict.type === 'allow';
+}
+
+// Resolves to null when robots.txt is missing or unreachable, which allows everything
+async function fetchRobotsTxt(origin, options = {}) {
+  try {
+    const response = await fetch(new URL('/robots.txt', origin), {
+      headers: { 'User-Agent': options.userAgent || ROBOTS_USER_AGENT },
+      signal: AbortSignal.timeout(options.timeout || 8000)
+    });
+    if (!response.ok) return null;
+    return parseRobotsTxt(await response.text());
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  ROBOTS_USER_AGENT,
+  parseRobotsTxt,
+  rulesFor,
+  isAllowedByRobots,
+  fetchRobotsTxt
+};
@@ -7,7 +7,11 @@ const INTERACTIVE_ACTIONS = {
   TYPE_TEXT: 'type_text',
   CHECK_TOGGLE: 'check_toggle',
   SELECT_OPTION: 'select_option',
-  RANGE: 'range'
+  RANGE: 'range',
+  FILL_FORM: 'fill_form',
+  SUBMIT_INVALID: 'submit_invalid',
+  OPEN_MENU: 'open_menu',
+  SELECT_STATE: 'select_state'
 };
 
 const INTERACTION_DELAY_MS = 1200;
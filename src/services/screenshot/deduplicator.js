@@ -7,7 +7,9 @@ class ScreenshotDeduplicator {
   }
 
   async run(successful = []) {
-    const seen = [];
+    // Hashes are only compared within a viewport: at 16x16 a mobile layout
+    // can look like another page's desktop shot
+    const seenByViewport = new Map();
     const removed = [];
 
     const processRecord = async (entry, interaction = null) => {
@@ -21,6 +23,10 @@ class ScreenshotDeduplicator {
         return;
       }
 
+      if (!seenByViewport.has(entry.viewport)) {
+        seenByViewport.set(entry.viewport, []);
+      }
+      const seen = seenByViewport.get(entry.viewport);
       const match = this.#findSimilarHash(seen, hash);
       if (match) {
         const keeper = match;
@@ -0,0 +1,38 @@
+// Helpers the in-page functions of menuExplorer, stateSets and formFiller
+// share, defined once per document as window.__vuxiDom:
+//   isShown(node)     -> laid out, visible and not faded out
+//   selectorFor(node) -> its #id, else a body > tag:nth-of-type() path
+async function installDomHelpers(context) {
+  await context.addInitScript(() => {
+    if (window.__vuxiDom) {
+      return;
+    }
+
+    const isShown = node => {
+      const rect = node.getBoundingClientRect();
+      if (rect.width < 2 || rect.height < 2) return false;
+      const style = getComputedStyle(node);
+      return style.visibility !== 'hidden' && style.display !== 'none' && Number(style.opacity) > 0.05;
+    };
+
+    const selectorFor = node => {
+      if (node.id) {
+        return `#${CSS.escape(node.id)}`;
+      }
+      const parts = [];
+      for (let current = node; current && current !== document.body; current = current.parentElement) {
+        const siblings = Array.from(current.parentElement?.children || []).filter(
+          sibling => sibling.tagName === current.tagName
+        );
+        parts.unshift(
+          `${current.tagName.toLowerCase()}${siblings.length > 1 ? `:nth-of-type(${siblings.indexOf(current) + 1})` : ''}`
+        );
+      }
+      return `body > ${parts.join(' > ')}`;
+    };
+
+    window.__vuxiDom = { isShown, selectorFor };
+  });
+}
+
+module.exports = { installDomHelpers };
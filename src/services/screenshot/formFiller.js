@@ -0,0 +1,475 @@
+const { INTERACTIVE_ACTIONS, SAMPLE_INPUT_VALUE } = require('./constants');
+
+const FIELD_MARKER = 'data-vuxi-form-field';
+
+// Values are fixed rather than random or "today" so repeated captures of the
+// same form compare cleanly
+const SAMPLE_VALUES = {
+  email: 'alex.morgan@example.com',
+  tel: '+1 555 010 0199',
+  url: 'https://example.com',
+  firstName: 'Alex',
+  lastName: 'Morgan',
+  fullName: 'Alex Morgan',
+  company: 'Example Ltd',
+  street: '221 Baker Street',
+  city: 'Springfield',
+  region: 'California',
+  postalCode: '90210',
+  country: 'United States',
+  username: 'alexmorgan',
+  password: 'Sample-Passw0rd!',
+  search: 'pricing',
+  subject: 'Question about pricing',
+  message: 'Hello, I would like to know more about your plans and pricing. Thanks!',
+  cardNumber: '4242 4242 4242 4242',
+  cardExpiry: '12/30',
+  cardCvc: '123',
+  otp: '123456',
+  birthDate: '1990-04-15',
+  date: '2030-06-14',
+  time: '14:30',
+  month: '2030-06',
+  week: '2030-W24',
+  color: '#3366ff',
+  age: '34',
+  quantity: '2',
+  number: '42',
+  text: SAMPLE_INPUT_VALUE
+};
+
+const TYPE_KINDS = {
+  email: 'email',
+  tel: 'tel',
+  url: 'url',
+  password: 'password',
+  search: 'search',
+  date: 'date',
+  'datetime-local': 'datetime',
+  time: 'time',
+  month: 'month',
+  week: 'week',
+  color: 'color',
+  number: 'number'
+};
+
+const AUTOCOMPLETE_KINDS = {
+  email: 'email',
+  tel: 'tel',
+  'tel-national': 'tel',
+  url: 'url',
+  'given-name': 'firstName',
+  'family-name': 'lastName',
+  name: 'fullName',
+  organization: 'company',
+  'street-address': 'street',
+  'address-line1': 'street',
+  'address-level2': 'city',
+  'address-level1': 'region',
+  'postal-code': 'postalCode',
+  country: 'country',
+  'country-name': 'country',
+  username: 'username',
+  'current-password': 'password',
+  'new-password': 'password',
+  'one-time-code': 'otp',
+  bday: 'birthDate',
+  'cc-number': 'cardNumber',
+  'cc-exp': 'cardExpiry',
+  'cc-csc': 'cardCvc'
+};
+
+// Checked against names, ids, labels and placeholders, in order
+const HINT_KINDS = [
+  [/e.?mail/, 'email'],
+  [/phone|mobile|\btel\b|telephone/, 'tel'],
+  [/card.?(number|no)|cc-?num/, 'cardNumber'],
+  [/\b(cvc|cvv|csc)\b|security code/, 'cardCvc'],
+  [/expir|\bexp\b|mm.?\/.?yy/, 'cardExpiry'],
+  [/company|organi[sz]ation|business/, 'company'],
+  [/user.?name|login/, 'username'],
+  [/first.?name|given.?name|fname|forename/, 'firstName'],
+  [/last.?name|sur.?name|family.?name|lname/, 'lastName'],
+  [/full.?name|your.?name|\bname\b/, 'fullName'],
+  [/zip|postal|post.?code/, 'postalCode'],
+  [/street|address/, 'street'],
+  [/city|town/, 'city'],
+  [/state|province|region|county/, 'region'],
+  [/country/, 'country'],
+  [/birth|\bdob\b|bday/, 'birthDate'],
+  [/password|passcode/, 'password'],
+  [/website|homepage|\burl\b/, 'url'],
+  [/search|query|^q$/, 'search'],
+  [/subject|topic/, 'subject'],
+  [/message|comment|question|feedback|description|details|notes?\b/, 'message'],
+  [/quantity|\bqty\b/, 'quantity'],
+  [/\bage\b/, 'age']
+];
+
+// What the field is for, from its type first, then its autocomplete token,
+// then whatever its name, id, label and placeholder say
+function inferFieldKind(field = {}) {
+  const hints = [field.name, field.id, field.label, field.placeholder, field.ariaLabel]
+    .filter(Boolean)
+    .map(value => value.toLowerCase().replace(/[_-]+/g, ' '));
+  const hinted = HINT_KINDS.find(([pattern]) => hints.some(hint => pattern.test(hint)))?.[1];
+
+  const type = (field.type || '').toLowerCase();
+  if (type === 'date' && hinted === 'birthDate') {
+    return hinted;
+  }
+  if (TYPE_KINDS[type]) {
+    return TYPE_KINDS[type];
+  }
+
+  const autocomplete = (field.autocomplete || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .find(token => AUTOCOMPLETE_KINDS[token]);
+  if (autocomplete) {
+    return AUTOCOMPLETE_KINDS[autocomplete];
+  }
+  if (hinted) {
+    return hinted;
+  }
+
+  if (field.tag === 'textarea') {
+    return 'message';
+  }
+  if (['numeric', 'decimal'].includes(field.inputMode)) {
+    return 'number';
+  }
+  return 'text';
+}
+
+function clampNumber(value, field) {
+  const min = field.min !== '' && field.min !== undefined ? Number(field.min) : null;
+  const max = field.max !== '' && field.max !== undefined ? Number(field.max) : null;
+  let result = Number(value);
+  if (min !== null && max !== null && !Number.isNaN(min) && !Number.isNaN(max)) {
+    result = min + Math.floor((max - min) / 2);
+  } else if (min !== null && !Number.isNaN(min) && result < min) {
+    result = min;
+  } else if (max !== null && !Number.isNaN(max) && result > max) {
+    result = max;
+  }
+  return String(result);
+}
+
+// Dates and times compare as strings in their ISO-like formats
+function clampString(value, field) {
+  if (field.min && value < field.min) {
+    return field.min;
+  }
+  if (field.max && value > field.max) {
+    return field.max;
+  }
+  return value;
+}
+
+// A plausible value for a text-like field, within its min/max and maxlength
+function sampleValue(field = {}, kind = inferFieldKind(field)) {
+  let value;
+  if (kind === 'datetime') {
+    value = clampString(`${SAMPLE_VALUES.date}T${SAMPLE_VALUES.time}`, field);
+  } else if (['date', 'time', 'month', 'week'].includes(kind)) {
+    value = clampString(SAMPLE_VALUES[kind], field);
+  } else if (kind === 'birthDate' && field.type === 'date') {
+    value = clampString(SAMPLE_VALUES.birthDate, field);
+  } else if (['number', 'age', 'quantity'].includes(kind) && (field.type === 'number' || field.min || field.max)) {
+    value = clampNumber(SAMPLE_VALUES[kind], field);
+  } else {
+    value = SAMPLE_VALUES[kind] ?? SAMPLE_VALUES.text;
+  }
+
+  const maxLength = Number(field.maxLength);
+  return maxLength > 0 && value.length > maxLength ? value.slice(0, maxLength) : value;
+}
+
+// What to type for the validation pass: empty, or a value the field's type
+// rejects when an empty optional field would pass anyway
+function invalidValue(field = {}, kind = inferFieldKind(field)) {
+  if (field.required) {
+    return '';
+  }
+  if (kind === 'email') {
+    return 'not-an-email';
+  }
+  if (kind === 'url' && field.type === 'url') {
+    return 'not a url';
+  }
+  if (field.type === 'number' && field.min !== '' && field.min !== undefined && !Number.isNaN(Number(field.min))) {
+    return String(Number(field.min) - 1);
+  }
+  return '';
+}
+
+// Runs in the page: visible forms with at least one field to fill
+function findForms([fieldSelector]) {
+  const { isShown, selectorFor } = window.__vuxiDom;
+  const clean = value => (value || '').replace(/\s+/g, ' ').trim().slice(0, 60);
+
+  return Array.from(document.forms)
+    .filter(isShown)
+    .map(form => {
+      const fields = Array.from(form.elements).filter(
+        field => field.matches(fieldSelector) && !field.disabled && !field.readOnly && isShown(field)
+      );
+      if (!fields.length) {
+        return null;
+      }
+      const labelledBy = form.getAttribute('aria-labelledby');
+      const heading = form.querySelector('legend, h1, h2, h3, h4');
+      const submit = form.querySelector('button[type="submit"], button:not([type]), input[type="submit"]');
+      const label = clean(
+        form.getAttribute('aria-label') ||
+        (labelledBy && document.getElementById(labelledBy)?.innerText) ||
+        heading?.innerText ||
+        form.getAttribute('name') ||
+        form.id ||
+        submit?.innerText ||
+        submit?.value
+      );
+      return { selector: selectorFor(form), label, fields: fields.length };
+    })
+    .filter(Boolean);
+}
+
+// Runs in the page: marks the form's fields so they can be found again
+function markFields([formSelector, fieldSelector, marker]) {
+  const form = document.querySelector(formSelector);
+  if (!form) {
+    return 0;
+  }
+  const fields = Array.from(form.elements).filter(field => {
+    if (!field.matches(fieldSelector) || field.disabled || field.readOnly) {
+      return false;
+    }
+    const rect = field.getBoundingClientRect();
+    return rect.width >= 1 && rect.height >= 1 && getComputedStyle(field).visibility !== 'hidden';
+  });
+  fields.forEach((field, index) => field.setAttribute(marker, String(index)));
+  return fields.length;
+}
+
+// Runs in the page against a single field
+function describeField(field) {
+  const text = node => (node?.innerText || node?.textContent || '').replace(/\s+/g, ' ').trim();
+  const labelledBy = (field.getAttribute('aria-labelledby') || '')
+    .split(/\s+/)
+    .map(id => text(document.getElementById(id)))
+    .filter(Boolean)
+    .join(' ');
+  const options = field.tagName === 'SELECT'
+    ? Array.from(field.options).map(option => ({ value: option.value, disabled: option.disabled }))
+    : undefined;
+
+  return {
+    tag: field.tagName.toLowerCase(),
+    type: (field.getAttribute('type') || '').toLowerCase(),
+    name: field.getAttribute('name') || '',
+    id: field.id || '',
+    autocomplete: field.getAttribute('autocomplete') || '',
+    label: text(field.labels?.[0]) || labelledBy,
+    placeholder: field.getAttribute('placeholder') || '',
+    ariaLabel: field.getAttribute('aria-label') || '',
+    inputMode: field.getAttribute('inputmode') || '',
+    required: field.required || field.getAttribute('aria-required') === 'true',
+    checked: Boolean(field.checked),
+    min: field.getAttribute('min') || '',
+    max: field.getAttribute('max') || '',
+    maxLength: field.maxLength > 0 ? field.maxLength : undefined,
+    group: field.type === 'radio' ? field.name : undefined,
+    options
+  };
+}
+
+// Runs in the page: submits through the form's own submit button, so native
+// validation and the site's submit handlers both run. The submit guard from
+// installInteractionGuards cancels the navigation if the form is valid.
+function submitForm(formSelector) {
+  const form = document.querySelector(formSelector);
+  if (!form) {
+    return false;
+  }
+  const submitter = form.querySelector('button[type="submit"], button:not([type]), input[type="submit"]');
+  try {
+    form.requestSubmit(submitter || undefined);
+  } catch {
+    form.requestSubmit();
+  }
+  return true;
+}
+
+// Runs in the page: what the browser and the site now flag as invalid
+function collectValidation([formSelector, marker]) {
+  const form = document.querySelector(formSelector);
+  if (!form) {
+    return null;
+  }
+  const invalid = Array.from(form.querySelectorAll(`[${marker}]`))
+    .filter(field => !field.validity.valid)
+    .map(field => ({
+      field: field.labels?.[0]?.innerText?.trim() || field.name || field.id || field.tagName.toLowerCase(),
+      message: field.validationMessage
+    }));
+  form.querySelectorAll(`[${marker}]`).forEach(field => field.removeAttribute(marker));
+  return {
+    invalidFields: invalid,
+    ariaInvalid: form.querySelectorAll('[aria-invalid="true"]').length
+  };
+}
+
+const FILLABLE_FIELDS =
+  'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]):not([type="file"]):not([type="range"]), textarea, select';
+
+// Two interaction groups per form: fill it in, then submit it empty/invalid
+async function discoverFormGroups(page) {
+  const forms = await page.evaluate(findForms, [FILLABLE_FIELDS]).catch(() => []);
+  return forms.flatMap(form => {
+    const name = form.label ? `form "${form.label}"` : 'form';
+    const base = {
+      selector: form.selector,
+      tag: 'form',
+      type: '',
+      role: '',
+      text: form.label,
+      href: '',
+      willLeave: false,
+      count: 1,
+      fields: form.fields
+    };
+    return [
+      { ...base, signature: `form|fill|${form.selector}`, descriptor: `${name} filled`, action: INTERACTIVE_ACTIONS.FILL_FORM },
+      { ...base, signature: `form|invalid|${form.selector}`, descriptor: `${name} validation`, action: INTERACTIVE_ACTIONS.SUBMIT_INVALID }
+    ];
+  });
+}
+
+async function describeFormFields(page, formSelector) {
+  const count = await page.evaluate(markFields, [formSelector, FILLABLE_FIELDS, FIELD_MARKER]);
+  const fields = [];
+  for (let index = 0; index < count; index += 1) {
+    const locator = page.locator(`[${FIELD_MARKER}="${index}"]`);
+    const field = await locator.evaluate(describeField).catch(() => null);
+    if (field) {
+      fields.push({ ...field, locator });
+    }
+  }
+  return fields;
+}
+
+function fieldName(field) {
+  return field.label || field.name || field.id || field.placeholder || field.tag;
+}
+
+// Fills every field of the form with a value that suits it. Returns what was
+// filled, by field and inferred kind; values are left out since the password
+// and card fields would otherwise end up in metadata.json.
+async function fillForm(page, formSelector, { timeout = 5000 } = {}) {
+  const fields = await describeFormFields(page, formSelector);
+  const filled = [];
+  const radioGroups = new Set();
+
+  for (const field of fields) {
+    try {
+      if (field.type === 'checkbox') {
+        if (field.required) {
+          await field.locator.check({ timeout });
+          filled.push({ field: fieldName(field), kind: 'checkbox' });
+        }
+        continue;
+      }
+      if (field.type === 'radio') {
+        if (!radioGroups.has(field.group)) {
+          radioGroups.add(field.group);
+          await field.locator.check({ timeout });
+          filled.push({ field: fieldName(field), kind: 'radio' });
+        }
+        continue;
+      }
+      if (field.tag === 'select') {
+        const option = field.options.find(item => item.value && !item.disabled);
+        if (option) {
+          await field.locator.selectOption(option.value, { timeout });
+          filled.push({ field: fieldName(field), kind: 'select' });
+        }
+        continue;
+      }
+
+      const kind = inferFieldKind(field);
+      await field.locator.fill(sampleValue(field, kind), { timeout });
+      filled.push({ field: fieldName(field), kind });
+    } catch (error) {
+      console.warn(`[screenshot] could not fill ${fieldName(field)}: ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  await page.evaluate(
+    ([selector, marker]) => document.querySelector(selector)
+      ?.querySelectorAll(`[${marker}]`)
+      .forEach(field => field.removeAttribute(marker)),
+    [formSelector, FIELD_MARKER]
+  ).catch(() => {});
+  return { fields: fields.length, filled };
+}
+
+// Empties the form (or types values its fields reject), submits it and reports
+// which fields ended up invalid
+async function submitInvalidForm(page, formSelector, { timeout = 5000 } = {}) {
+  const fields = await describeFormFields(page, formSelector);
+  for (const field of fields) {
+    try {
+      if (field.type === 'checkbox') {
+        if (field.required && field.checked) {
+          await field.locator.uncheck({ timeout });
+        }
+      } else if (field.tag === 'select') {
+        if (field.options[0] && !field.options[0].value) {
+          await field.locator.selectOption({ index: 0 }, { timeout });
+        }
+      } else if (field.type !== 'radio') {
+        await field.locator.fill(invalidValue(field), { timeout });
+      }
+    } catch (error) {
+      console.warn(`[screenshot] could not clear ${fieldName(field)}: ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  await page.evaluate(submitForm, formSelector);
+  return { fields: fields.length };
+}
+
+// The value TYPE_TEXT interactions type into a single field
+async function sampleValueFor(locator) {
+  const field = await locator.evaluate(describeField).catch(() => null);
+  return field ? sampleValue(field) : SAMPLE_INPUT_VALUE;
+}
+
+async function readValidationState(page, formSelector) {
+  return page.evaluate(collectValidation, [formSelector, FIELD_MARKER]).catch(() => null);
+}
+
+// The in-page submit guard stops the navigation, but a form submitted from
+// JavaScript goes out as fetch/XHR. Until the returned function is called,
+// any request that could write something (anything but GET/HEAD/OPTIONS) is aborted.
+async function blockFormSubmissions(page) {
+  const handler = route =>
+    ['GET', 'HEAD', 'OPTIONS'].includes(route.request().method())
+      ? route.fallback()
+      : route.abort('blockedbyclient');
+  await page.route('**/*', handler);
+  return () => page.unroute('**/*', handler).catch(() => {});
+}
+
+module.exports = {
+  inferFieldKind,
+  sampleValue,
+  invalidValue,
+  sampleValueFor,
+  discoverFormGroups,
+  fillForm,
+  submitInvalidForm,
+  readValidationState,
+  blockFormSubmissions
+};
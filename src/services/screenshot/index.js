@@ -1,7 +1,16 @@
 const { ScreenshotService } = require('./screenshotService');
 const { buildFilename } = require('./fileNaming');
+const { VIEWPORT_PRESETS, resolveViewports } = require('./viewports');
+const { CAPTURE_MODES, validateCaptureMode } = require('./stitchCapture');
+const { MAX_MENU_DEPTH, validateMenuDepth } = require('./menuExplorer');
 
 module.exports = {
   ScreenshotService,
-  buildFilename
+  buildFilename,
+  VIEWPORT_PRESETS,
+  resolveViewports,
+  CAPTURE_MODES,
+  validateCaptureMode,
+  MAX_MENU_DEPTH,
+  validateMenuDepth
 };
@@ -188,17 +188,17 @@ async function discoverInteractiveGroups(page) {
       if (item.willLeave) {
         return 5;
       }
-      if (item.action === actions.TYPE_TEXT) {
+      if (item.action === INTERACTIVE_ACTIONS.TYPE_TEXT) {
         return 0;
       }
       if (
-        item.action === actions.CHECK_TOGGLE ||
-        item.action === actions.RANGE ||
-        item.action === actions.SELECT_OPTION
+        item.action === INTERACTIVE_ACTIONS.CHECK_TOGGLE ||
+        item.action === INTERACTIVE_ACTIONS.RANGE ||
+        item.action === INTERACTIVE_ACTIONS.SELECT_OPTION
       ) {
         return 1;
       }
-      if (item.action === actions.HOVER) {
+      if (item.action === INTERACTIVE_ACTIONS.HOVER) {
         return 2;
       }
 
@@ -0,0 +1,96 @@
+const VISIBLE_MARKER = '__vuxiVisibleBeforeAction';
+
+// Runs in the page: remembers which elements are visible before an action so
+// the ones it reveals can be told apart afterwards
+function markVisibleElements(marker) {
+  const visible = new WeakSet();
+  for (const node of document.querySelectorAll('body *')) {
+    const rect = node.getBoundingClientRect();
+    if (rect.width < 1 || rect.height < 1) continue;
+    const style = getComputedStyle(node);
+    if (style.visibility === 'hidden' || Number(style.opacity) < 0.05) continue;
+    visible.add(node);
+  }
+  window[marker] = visible;
+}
+
+// Runs in the page: the document-space box around the target, the elements it
+// names in aria-controls / aria-owns, and every element that became visible
+function measureRegion([marker, selector, padding]) {
+  const boxes = [];
+  const counts = { controlled: 0, revealed: 0 };
+  const isVisible = node => {
+    const rect = node.getBoundingClientRect();
+    if (rect.width < 1 || rect.height < 1) return false;
+    const style = getComputedStyle(node);
+    return style.visibility !== 'hidden' && Number(style.opacity) >= 0.05;
+  };
+  const add = node => {
+    const rect = node.getBoundingClientRect();
+    boxes.push({
+      left: rect.left + window.scrollX,
+      top: rect.top + window.scrollY,
+      right: rect.right + window.scrollX,
+      bottom: rect.bottom + window.scrollY
+    });
+  };
+
+  const target = document.querySelector(selector);
+  if (target && isVisible(target)) {
+    add(target);
+  }
+
+  const ids = ['aria-controls', 'aria-owns']
+    .flatMap(name => (target?.getAttribute(name) || '').split(/\s+/))
+    .filter(Boolean);
+  for (const id of ids) {
+    const node = document.getElementById(id);
+    if (node && isVisible(node)) {
+      add(node);
+      counts.controlled += 1;
+    }
+  }
+
+  const before = window[marker];
+  if (before) {
+    const isRevealed = node => !before.has(node) && isVisible(node);
+    for (const node of document.querySelectorAll('body *')) {
+      // A revealed container already covers the children it brought along
+      const parent = node.parentElement;
+      if (!isRevealed(node) || (parent && parent !== document.body && isRevealed(parent))) {
+        continue;
+      }
+      add(node);
+      counts.revealed += 1;
+    }
+  }
+  delete window[marker];
+
+  if (!boxes.length) {
+    return null;
+  }
+
+  const root = document.scrollingElement || document.documentElement;
+  const x = Math.max(0, Math.floor(Math.min(...boxes.map(box => box.left)) - padding));
+  const y = Math.max(0, Math.floor(Math.min(...boxes.map(box => box.top)) - padding));
+  const right = Math.min(root.scrollWidth, Math.ceil(Math.max(...boxes.map(box => box.right)) + padding));
+  const bottom = Math.min(root.scrollHeight, Math.ceil(Math.max(...boxes.map(box => box.bottom)) + padding));
+  if (right - x < 1 || bottom - y < 1) {
+    return null;
+  }
+
+  return { boundingBox: { x, y, width: right - x, height: bottom - y }, ...counts };
+}
+
+async function markVisibleBeforeAction(page) {
+  await page.evaluate(markVisibleElements, VISIBLE_MARKER).catch(() => {});
+}
+
+async function measureAffectedRegion(page, selector, { padding = 16 } = {}) {
+  return page.evaluate(measureRegion, [VISIBLE_MARKER, selector, padding]).catch(() => null);
+}
+
+module.exports = {
+  markVisibleBeforeAction,
+  measureAffectedRegion
+};
@@ -1,11 +1,23 @@
 const path = require('path');
 const {
   INTERACTIVE_ACTIONS,
-  INTERACTION_DELAY_MS,
-  SAMPLE_INPUT_VALUE
+  INTERACTION_DELAY_MS
 } = require('./constants');
 const { buildInteractionFilename } = require('./fileNaming');
 const { waitForImages, waitForPageSettled } = require('./pageReadiness');
+const { capturePage } = require('./stitchCapture');
+const { markVisibleBeforeAction, measureAffectedRegion } = require('./interactionRegion');
+const { exploreMenus } = require('./menuExplorer');
+const { discoverStateSets, activateState } = require('./stateSets');
+const {
+  sampleValueFor,
+  fillForm,
+  submitInvalidForm,
+  readValidationState,
+  blockFormSubmissions
+} = require('./formFiller');
+
+const FORM_ACTIONS = [INTERACTIVE_ACTIONS.FILL_FORM, INTERACTIVE_ACTIONS.SUBMIT_INVALID];
 
 class InteractionRunner {
   constructor(options = {}) {
@@ -16,9 +28,18 @@ class InteractionRunner {
     this.stableWaitTime = options.stableWaitTime ?? 600;
     this.resetBetweenInteractions = options.resetBetweenInteractions ?? false;
     this.retryWithPageReload = options.retryWithPageReload ?? false;
+    this.captureOptions = options.captureOptions || { mode: 'fullPage' };
+    this.captureCrops = options.captureCrops ?? true;
+    this.cropPadding = options.cropPadding ?? 16;
+    this.menuDepth = options.menuDepth ?? 0;
+    this.menuMaxLevels = options.menuMaxLevels ?? 25;
+    this.stateSets = options.stateSets ?? false;
+    this.stateSetMaxStates = options.stateSetMaxStates ?? 12;
+    this.stateSetMaxSets = options.stateSetMaxSets ?? 10;
+    this.onEvent = options.onEvent || (() => {});
   }
 
-  async capture({ page, url, baseFilename, groups = [], pageIndex = 0 }) {
+  async capture({ page, url, baseFilename, groups = [], pageIndex = 0, signal }) {
     if (!page) {
       throw new Error('InteractionRunner.capture requires a page instance');
     }
@@ -27,8 +48,13 @@ class InteractionRunner {
     }
 
     const results = [];
+    const record = entry => this.#record(results, entry, { url, pageIndex });
 
     for (let index = 0; index < groups.length; index += 1) {
+      if (signal?.aborted) {
+        break;
+      }
+
       const group = groups[index];
       const baseDescriptor = {
         descriptor: group.descriptor,
@@ -44,7 +70,7 @@ class InteractionRunner {
       };
 
       if (group.willLeave) {
-        results.push({
+        record({
           ...baseDescriptor,
           status: 'skipped',
           reason: 'Would navigate away from page'
@@ -53,7 +79,7 @@ class InteractionRunner {
       }
 
       if (!group.selector) {
-        results.push({
+        record({
           ...baseDescriptor,
           status: 'skipped',
           reason: 'No reliable selector available'
@@ -85,13 +111,15 @@ class InteractionRunner {
         });
 
         if (capture) {
-          results.push({
+          record({
             ...baseDescriptor,
             status: 'captured',
-            screenshot: capture
+            screenshot: capture.screenshot,
+            ...(capture.crop && { crop: capture.crop }),
+            ...(capture.form && { form: capture.form })
           });
           console.log(
-            `[screenshot] (${pageIndex}) interaction #${index + 1} captured -> ${capture.path}`
+            `[screenshot] (${pageIndex}) interaction #${index + 1} captured -> ${capture.screenshot.path}`
           );
           continue;
         }
@@ -108,19 +136,21 @@ class InteractionRunner {
             filename: interactionFilename
           });
           if (retryCapture) {
-            results.push({
+            record({
               ...baseDescriptor,
               status: 'captured',
-              screenshot: retryCapture
+              screenshot: retryCapture.screenshot,
+              ...(retryCapture.crop && { crop: retryCapture.crop }),
+              ...(retryCapture.form && { form: retryCapture.form })
             });
             console.log(
-              `[screenshot] (${pageIndex}) interaction #${index + 1} captured after reload -> ${retryCapture.path}`
+              `[screenshot] (${pageIndex}) interaction #${index + 1} captured after reload -> ${retryCapture.screenshot.path}`
             );
             continue;
           }
         }
 
-        results.push({
+        record({
           ...baseDescriptor,
           status: 'skipped',
           reason: 'Element not found on page'
@@ -129,7 +159,7 @@ class InteractionRunner {
         console.warn(
           `[screenshot] (${pageIndex}) interaction #${index + 1} failed: ${error.message}`
         );
-        results.push({
+        record({
           ...baseDescriptor,
           status: 'failed',
           error: error.message
@@ -140,6 +170,149 @@ class InteractionRunner {
     return results;
   }
 
+  // Opens nav menus level by level (see menuExplorer) and captures each open
+  // level as an interaction. Filenames continue from `startIndex`.
+  async exploreMenus({ page, url, baseFilename, pageIndex = 0, startIndex = 0, signal }) {
+    if (!page || this.menuDepth < 1) {
+      return [];
+    }
+
+    const results = [];
+    let index = startIndex;
+    await exploreMenus(page, {
+      maxDepth: this.menuDepth,
+      maxLevels: this.menuMaxLevels,
+      timeout: Math.min(this.timeout, 5000),
+      signal,
+      beforeOpen: () => (this.captureCrops ? markVisibleBeforeAction(page) : undefined),
+      onLevel: async ({ path: triggers, submenu }) => {
+        index += 1;
+        const menuPath = triggers.map(trigger => trigger.label || 'menu').join(' > ');
+        const entry = {
+          descriptor: `menu "${menuPath}"`,
+          selector: triggers[triggers.length - 1].selector,
+          action: INTERACTIVE_ACTIONS.OPEN_MENU,
+          menuPath,
+          menuDepth: triggers.length,
+          submenu
+        };
+        try {
+          await this.#waitForReadiness(page, url, `menu ${menuPath}`);
+          const filename = buildInteractionFilename(baseFilename, entry, index);
+          const { screenshot, crop } = await this.#captureState(page, url, filename, entry.selector);
+
+          this.#record(results, {
+            ...entry,
+            status: 'captured',
+            screenshot,
+            ...(crop && { crop })
+          }, { url, pageIndex });
+          console.log(`[screenshot] (${pageIndex}) menu ${menuPath} captured -> ${screenshot.path}`);
+        } catch (error) {
+          console.warn(`[screenshot] (${pageIndex}) menu ${menuPath} failed: ${error.message}`);
+          this.#record(results, { ...entry, status: 'failed', error: error.message }, { url, pageIndex });
+        }
+      }
+    });
+
+    return results;
+  }
+
+  // Activates every member of each tab set, radio group, select and segmented
+  // control (see stateSets) in turn and captures the state it leads to. Each
+  // member is an interaction tagged with its `stateSet`; the set's original
+  // choice is restored before moving on to the next set.
+  async captureStateSets({ page, url, baseFilename, pageIndex = 0, startIndex = 0, signal }) {
+    if (!page || !this.stateSets) {
+      return [];
+    }
+
+    const timeout = Math.min(this.timeout, 5000);
+    const sets = await discoverStateSets(page, {
+      maxStates: this.stateSetMaxStates,
+      maxSets: this.stateSetMaxSets
+    });
+    const results = [];
+    let index = startIndex;
+
+    for (const set of sets) {
+      const setLabel = set.label ? `${set.kind} "${set.label}"` : set.kind;
+      if (set.total > set.members.length) {
+        console.log(`[screenshot] (${pageIndex}) ${setLabel}: capturing ${set.members.length} of ${set.total} states`);
+      }
+
+      for (const [position, member] of set.members.entries()) {
+        if (signal?.aborted) {
+          return results;
+        }
+        index += 1;
+        const state = member.label || member.value || `#${position + 1}`;
+        const entry = {
+          descriptor: `${setLabel} = ${state}`,
+          selector: member.selector,
+          action: INTERACTIVE_ACTIONS.SELECT_STATE,
+          stateSet: {
+            id: set.id,
+            kind: set.kind,
+            label: set.label,
+            selector: set.selector,
+            state,
+            ...(member.value !== undefined && { value: member.value }),
+            position: position + 1,
+            total: set.total
+          }
+        };
+        try {
+          if (this.captureCrops) {
+            await markVisibleBeforeAction(page);
+          }
+          await activateState(page, set, member, { timeout });
+          await page.waitForTimeout(INTERACTION_DELAY_MS);
+          await this.#waitForReadiness(page, url, `state ${entry.descriptor}`);
+          const filename = buildInteractionFilename(baseFilename, entry, index);
+          const { screenshot, crop } = await this.#captureState(page, url, filename, member.selector);
+
+          this.#record(results, {
+            ...entry,
+            status: 'captured',
+            screenshot,
+            ...(crop && { crop })
+          }, { url, pageIndex });
+          console.log(`[screenshot] (${pageIndex}) ${entry.descriptor} captured -> ${screenshot.path}`);
+        } catch (error) {
+          console.warn(`[screenshot] (${pageIndex}) ${entry.descriptor} failed: ${error.message.split('\n')[0]}`);
+          this.#record(results, { ...entry, status: 'failed', error: error.message.split('\n')[0] }, { url, pageIndex });
+        }
+      }
+
+      const original = set.active;
+      const last = set.members[set.members.length - 1];
+      if (original && (original.selector !== last.selector || original.value !== last.value)) {
+        await activateState(page, set, original, { timeout }).catch(() => {});
+        await page.waitForTimeout(INTERACTION_DELAY_MS / 2);
+      }
+    }
+
+    return results;
+  }
+
+  #record(results, entry, { url, pageIndex }) {
+    results.push(entry);
+    this.onEvent({
+      type: `interaction_${entry.status}`,
+      url,
+      pageIndex,
+      descriptor: entry.descriptor,
+      action: entry.action,
+      ...(entry.menuPath && { menuPath: entry.menuPath }),
+      ...(entry.stateSet && { stateSet: entry.stateSet.id, state: entry.stateSet.state }),
+      ...(entry.screenshot && { path: entry.screenshot.path }),
+      ...(entry.crop && { cropPath: entry.crop.path, boundingBox: entry.crop.boundingBox }),
+      ...(entry.reason && { reason: entry.reason }),
+      ...(entry.error && { error: entry.error })
+    });
+  }
+
   async #captureOnCurrentPage({ page, url, group, filename }) {
     const locator = page.locator(`css=${group.selector}`);
     if ((await locator.count()) === 0) {
@@ -148,22 +321,94 @@ class InteractionRunner {
 
     const target = locator.first();
     await target.scrollIntoViewIfNeeded();
-    await this.#performAction(page, target, group.action);
-    await page.waitForTimeout(INTERACTION_DELAY_MS);
-    await this.#waitForReadiness(page, url, `interaction after ${group.action}`);
+    if (this.captureCrops) {
+      await markVisibleBeforeAction(page);
+    }
 
     const filepath = path.join(this.screenshotsDir, filename);
-    await page.screenshot({
-      path: filepath,
-      fullPage: true,
-      type: 'png'
-    });
+    const releaseRequests = FORM_ACTIONS.includes(group.action)
+      ? await blockFormSubmissions(page)
+      : null;
+    let form;
+    let crop = null;
+    try {
+      form = await this.#performAction(page, target, group.action, group.selector);
+      await page.waitForTimeout(INTERACTION_DELAY_MS);
+      await this.#waitForReadiness(page, url, `interaction after ${group.action}`);
+      if (group.action === INTERACTIVE_ACTIONS.SUBMIT_INVALID) {
+        form = { ...form, ...(await readValidationState(page, group.selector)) };
+      }
+
+      crop = await this.#measureAndCrop(page, filename, group.selector);
+      await capturePage(page, filepath, this.captureOptions);
+    } finally {
+      await releaseRequests?.();
+    }
 
     return {
-      url,
-      filename,
-      path: `desktop/${filename}`,
-      outputPath: filepath
+      ...(form && { form }),
+      screenshot: {
+        url,
+        filename,
+        path: `${path.basename(this.screenshotsDir)}/${filename}`,
+        outputPath: filepath
+      },
+      crop
+    };
+  }
+
+  // Full capture plus crop of the page as it is now, for states reached
+  // outside #captureOnCurrentPage (menus, state sets)
+  async #captureState(page, url, filename, selector) {
+    const crop = await this.#measureAndCrop(page, filename, selector);
+    const filepath = path.join(this.screenshotsDir, filename);
+    await capturePage(page, filepath, this.captureOptions);
+
+    return {
+      screenshot: {
+        url,
+        filename,
+        path: `${path.basename(this.screenshotsDir)}/${filename}`,
+        outputPath: filepath
+      },
+      crop
+    };
+  }
+
+  // Taken before the full capture: fullPage screenshots and stitching scroll
+  // the page and move the pointer, which closes hover flyouts and dropdowns
+  async #measureAndCrop(page, filename, selector) {
+    if (!this.captureCrops) {
+      return null;
+    }
+    const region = await measureAffectedRegion(page, selector, { padding: this.cropPadding });
+    return region ? this.#captureCrop(page, filename, region) : null;
+  }
+
+  // Just the target and what it revealed, so a small dropdown is not only
+  // visible as a change somewhere in a 6000px page
+  async #captureCrop(page, filename, region) {
+    const cropFilename = `${path.parse(filename).name}__crop.png`;
+    const outputPath = path.join(this.screenshotsDir, cropFilename);
+    try {
+      await page.screenshot({
+        path: outputPath,
+        fullPage: true,
+        clip: region.boundingBox,
+        type: 'png'
+      });
+    } catch (error) {
+      console.warn(`[screenshot] crop ${cropFilename} failed: ${error.message}`);
+      return null;
+    }
+
+    return {
+      filename: cropFilename,
+      path: `${path.basename(this.screenshotsDir)}/${cropFilename}`,
+      outputPath,
+      boundingBox: region.boundingBox,
+      controlledElements: region.controlled,
+      revealedElements: region.revealed
     };
   }
 
@@ -181,17 +426,23 @@ class InteractionRunner {
     await this.#waitForReadiness(page, url, contextLabel);
   }
 
-  async #performAction(page, locator, action) {
+  // Returns what a form action did (fields filled, fields cleared); other
+  // actions return nothing
+  async #performAction(page, locator, action, selector) {
     const timeout = Math.min(this.timeout, 5000);
 
     switch (action) {
+      case INTERACTIVE_ACTIONS.FILL_FORM:
+        return fillForm(page, selector, { timeout });
+      case INTERACTIVE_ACTIONS.SUBMIT_INVALID:
+        return submitInvalidForm(page, selector, { timeout });
       case INTERACTIVE_ACTIONS.CLICK:
         await locator.hover({ timeout }).catch(() => {});
         await locator.click({ timeout }).catch(() => locator.dispatchEvent('click'));
         break;
       case INTERACTIVE_ACTIONS.TYPE_TEXT:
         await locator.click({ timeout }).catch(() => {});
-        await locator.fill(SAMPLE_INPUT_VALUE).catch(() => {});
+        await locator.fill(await sampleValueFor(locator)).catch(() => {});
         break;
       case INTERACTIVE_ACTIONS.CHECK_TOGGLE:
         if (await locator.isChecked().catch(() => false)) {
@@ -0,0 +1,180 @@
+// Menus open on hover, on click (aria-haspopup / aria-expanded) or both, and
+// CSS flyouts need a moment for their transitions
+const MENU_OPEN_DELAY_MS = 400;
+const MAX_MENU_DEPTH = 5;
+
+function validateMenuDepth(depth) {
+  if (depth !== undefined && !(Number.isInteger(depth) && depth >= 0 && depth <= MAX_MENU_DEPTH)) {
+    throw new Error(`menuDepth must be an integer from 0 to ${MAX_MENU_DEPTH}`);
+  }
+}
+
+// Runs in the page. Without a scope, looks for menu triggers in navigation
+// regions and headers; with one, inside an open submenu. A trigger is either an
+// ARIA toggle or the first link/button of a list item whose nested list or
+// panel is currently hidden (a hover flyout).
+function findTriggers(scopeSelector) {
+  const { isShown, selectorFor } = window.__vuxiDom;
+  const labelOf = node =>
+    (node.innerText || node.getAttribute('aria-label') || node.getAttribute('title') || '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, 40);
+
+  const scope = scopeSelector ? document.querySelector(scopeSelector) : null;
+  if (scopeSelector && !scope) {
+    return [];
+  }
+  const roots = scope
+    ? [scope]
+    : Array.from(document.querySelectorAll('nav, [role="navigation"], [role="menubar"], header'))
+      .filter((root, index, all) => !all.some(other => other !== root && other.contains(root)));
+
+  const found = new Map();
+  for (const root of roots) {
+    root.querySelectorAll('[aria-haspopup]:not([aria-haspopup="false"]), [aria-expanded]').forEach(node => {
+      if (isShown(node) && !found.has(node)) {
+        found.set(node, 'toggle');
+      }
+    });
+    root.querySelectorAll('li').forEach(item => {
+      const submenu = Array.from(item.children).find(
+        child => child.matches('ul, ol, div, [role="menu"]') && child.querySelector('a, button')
+      );
+      if (!submenu || isShown(submenu)) {
+        return;
+      }
+      const trigger = Array.from(item.children).find(
+        child => child !== submenu && child.matches('a, button, span, [tabindex]')
+      );
+      if (trigger && isShown(trigger) && !found.has(trigger)) {
+        found.set(trigger, 'hover');
+      }
+    });
+  }
+
+  return Array.from(found, ([node, kind]) => ({
+    selector: selectorFor(node),
+    label: labelOf(node),
+    kind
+  }));
+}
+
+// Runs in the page: the submenu a trigger opened, if one is showing: its
+// aria-controls target, else the first visible list or panel beside it
+function findSubmenu(triggerSelector) {
+  const { isShown, selectorFor } = window.__vuxiDom;
+
+  const trigger = document.querySelector(triggerSelector);
+  if (!trigger) {
+    return null;
+  }
+  const controlled = (trigger.getAttribute('aria-controls') || '')
+    .split(/\s+/)
+    .map(id => id && document.getElementById(id))
+    .find(node => node && isShown(node));
+  if (controlled) {
+    return selectorFor(controlled);
+  }
+
+  const host = trigger.closest('li') || trigger.parentElement;
+  const panel = Array.from(host?.querySelectorAll('ul, ol, div, [role="menu"]') || []).find(
+    node => !node.contains(trigger) && node.querySelector('a, button') && isShown(node)
+  );
+  if (panel) {
+    return selectorFor(panel);
+  }
+  const sibling = trigger.nextElementSibling;
+  return sibling && sibling.querySelector('a, button') && isShown(sibling) ? selectorFor(sibling) : null;
+}
+
+async function openTrigger(page, trigger, timeout) {
+  const locator = page.locator(`css=${trigger.selector}`).first();
+  await locator.hover({ timeout });
+  await page.waitForTimeout(MENU_OPEN_DELAY_MS);
+  // Hover alone opens many ARIA menus too; clicking those again would close them
+  if (trigger.kind === 'toggle' && (await locator.getAttribute('aria-expanded').catch(() => null)) !== 'true') {
+    await locator.click({ timeout }).catch(() => locator.dispatchEvent('click'));
+    await page.waitForTimeout(MENU_OPEN_DELAY_MS);
+  }
+}
+
+// Escape, focus and pointer cover most menus; toggles that stay expanded
+// after that are clicked shut, innermost first
+async function closeMenus(page, opened = []) {
+  await page.keyboard.press('Escape').catch(() => {});
+  await page.evaluate(() => document.activeElement?.blur?.()).catch(() => {});
+  await page.mouse.move(0, 0).catch(() => {});
+  for (const trigger of [...opened].reverse()) {
+    if (trigger.kind !== 'toggle') {
+      continue;
+    }
+    const locator = page.locator(`css=${trigger.selector}`).first();
+    if ((await locator.getAttribute('aria-expanded', { timeout: 1000 }).catch(() => null)) === 'true') {
+      await locator.click({ timeout: 1000 }).catch(() => {});
+    }
+  }
+  await page.waitForTimeout(MENU_OPEN_DELAY_MS / 2);
+}
+
+// Walks menus depth-first. Every level is opened from a closed page by
+// replaying its path, so siblings never show up half-open. `onLevel` is
+// called with the trigger path and the open submenu while it is showing;
+// `beforeOpen` runs before each replay.
+async function exploreMenus(page, {
+  maxDepth = 3,
+  maxLevels = 25,
+  timeout = 5000,
+  signal,
+  beforeOpen = async () => {},
+  onLevel = async () => {}
+} = {}) {
+  let levels = 0;
+  let opened = [];
+
+  const visit = async (parents, triggers) => {
+    for (const trigger of triggers) {
+      if (levels >= maxLevels || signal?.aborted) {
+        return;
+      }
+      const path = [...parents, trigger];
+
+      await closeMenus(page, opened);
+      await beforeOpen();
+      opened = path;
+      try {
+        for (const step of path) {
+          await openTrigger(page, step, timeout);
+        }
+      } catch (error) {
+        console.warn(`[screenshot] could not open menu ${path.map(step => step.label).join(' > ')}: ${error.message.split('\n')[0]}`);
+        continue;
+      }
+
+      const submenu = await page.evaluate(findSubmenu, trigger.selector).catch(() => null);
+      if (!submenu) {
+        continue;
+      }
+      levels += 1;
+      await onLevel({ path, submenu });
+
+      if (path.length < maxDepth) {
+        const seen = new Set(path.map(step => step.selector));
+        const children = (await page.evaluate(findTriggers, submenu).catch(() => []))
+          .filter(child => !seen.has(child.selector));
+        await visit(path, children);
+      }
+    }
+  };
+
+  const topLevel = await page.evaluate(findTriggers, null).catch(() => []);
+  await visit([], topLevel);
+  await closeMenus(page, opened);
+  return levels;
+}
+
+module.exports = {
+  MAX_MENU_DEPTH,
+  validateMenuDepth,
+  exploreMenus
+};
@@ -3,6 +3,7 @@ const fs = require('fs-extra');
 const path = require('path');
 const { buildFilename } = require('./fileNaming');
 const { discoverInteractiveGroups } = require('./interactionDiscovery');
+const { discoverFormGroups } = require('./formFiller');
 const { InteractionRunner } = require('./interactionRunner');
 const { ScreenshotDeduplicator } = require('./deduplicator');
 const {
@@ -11,6 +12,12 @@ const {
   installPageReadinessHooks
 } = require('./pageReadiness');
 const { installInteractionGuards } = require('./pageGuards');
+const { installDomHelpers } = require('./domHelpers');
+const { resolveViewports, toContextOptions } = require('./viewports');
+const { capturePage, validateCaptureMode } = require('./stitchCapture');
+const { validateMenuDepth } = require('./menuExplorer');
+const { summarizeStateSets } = require('./stateSets');
+const { sessionContextOptions, installSessionHeaders } = require('../authSession');
 
 class ScreenshotService {
   constructor(options = {}) {
@@ -23,64 +30,141 @@ class ScreenshotService {
     this.stableWaitTime = options.stableWaitTime ?? 600;
     this.resetBetweenInteractions = options.resetBetweenInteractions ?? false;
     this.retryInteractionOnReload = options.retryInteractionOnReload ?? false;
-    this.screenshotsDir = path.join(this.outputDir, 'desktop');
+    this.interactionCrops = options.interactionCrops ?? true;
+    this.formFilling = options.formFilling ?? false;
+    validateMenuDepth(options.menuDepth);
+    this.menuDepth = options.menuDepth ?? 0;
+    this.menuMaxLevels = options.menuMaxLevels ?? 25;
+    this.stateSets = options.stateSets ?? false;
+    this.stateSetMaxStates = options.stateSetMaxStates ?? 12;
+    this.stateSetMaxSets = options.stateSetMaxSets ?? 10;
+    this.onEvent = options.onEvent || (() => {});
+    this.session = options.session || null;
+    validateCaptureMode(options.captureMode);
+    this.captureOptions = {
+      mode: options.captureMode ?? 'fullPage',
+      maxHeight: options.stitchMaxHeight ?? 20000,
+      scrollDelay: options.stitchScrollDelay ?? 250,
+      mediaWaitTimeout: Math.min(this.mediaWaitTimeout, 2000)
+    };
+    this.viewports = resolveViewports(options.viewports, this.viewport, options.devices);
+    this.screenshotsDir = path.join(this.outputDir, this.viewports[0].name);
     this.deduplicator = new ScreenshotDeduplicator();
   }
 
-  async captureAll(urls = []) {
+  // `reuse` ({ jobId, outputDir, urls, entries }) lists pages an earlier job
+  // captured that have not changed since; their files are copied instead of
+  // being captured again
+  async captureAll(urls = [], { signal, reuse } = {}) {
     if (!urls.length) {
       return this.#emptyResult();
     }
 
-    console.log(`[screenshot] capturing ${urls.length} page(s)`);
-    await fs.ensureDir(this.screenshotsDir);
+    const viewportNote = this.viewports.length > 1
+      ? ` at ${this.viewports.length} viewports (${this.viewports.map(v => v.name).join(', ')})`
+      : '';
+    console.log(`[screenshot] capturing ${urls.length} page(s)${viewportNote}`);
+    await Promise.all(
+      this.viewports.map(viewport => fs.ensureDir(this.#viewportDir(viewport)))
+    );
 
     const browser = await chromium.launch({
       headless: true,
       args: ['--no-sandbox', '--disable-setuid-sandbox']
     });
+    const closeOnAbort = () => browser.close().catch(() => {});
+    signal?.addEventListener('abort', closeOnAbort, { once: true });
 
-    const interactionRunner = new InteractionRunner({
-      timeout: this.timeout,
-      screenshotsDir: this.screenshotsDir,
-      mediaWaitTimeout: this.mediaWaitTimeout,
-      pageSettleTimeout: this.pageSettleTimeout,
-      stableWaitTime: this.stableWaitTime,
-      resetBetweenInteractions: this.resetBetweenInteractions,
-      retryWithPageReload: this.retryInteractionOnReload
-    });
+    const interactionRunners = new Map(
+      this.viewports.map(viewport => [
+        viewport.name,
+        new InteractionRunner({
+          timeout: this.timeout,
+          screenshotsDir: this.#viewportDir(viewport),
+          mediaWaitTimeout: this.mediaWaitTimeout,
+          pageSettleTimeout: this.pageSettleTimeout,
+          stableWaitTime: this.stableWaitTime,
+          resetBetweenInteractions: this.resetBetweenInteractions,
+          retryWithPageReload: this.retryInteractionOnReload,
+          captureOptions: this.captureOptions,
+          captureCrops: this.interactionCrops,
+          menuDepth: this.menuDepth,
+          menuMaxLevels: this.menuMaxLevels,
+          stateSets: this.stateSets,
+          stateSetMaxStates: this.stateSetMaxStates,
+          stateSetMaxSets: this.stateSetMaxSets,
+          onEvent: event => this.onEvent({ ...event, viewport: viewport.name })
+        })
+      ])
+    );
+    const unchanged = new Set(reuse?.urls || []);
+    const captures = urls.flatMap((url, urlIndex) =>
+      this.viewports.map(viewport => ({
+        url,
+        index: urlIndex + 1,
+        viewport,
+        previous: unchanged.has(url)
+          ? (reuse.entries || []).find(
+            entry => entry.url === url && entry.viewport === viewport.name && !entry.duplicate
+          )
+          : undefined
+      }))
+    );
 
     const successful = [];
     const failed = [];
     const startedAt = Date.now();
 
     try {
-      for (let i = 0; i < urls.length; i += this.concurrent) {
-        const batch = urls.slice(i, i + this.concurrent);
+      for (let i = 0; i < captures.length && !signal?.aborted; i += this.concurrent) {
+        const batch = captures.slice(i, i + this.concurrent);
         const results = await Promise.all(
-          batch.map((url, batchIndex) =>
-            this.#captureSingle({
+          batch.map(async ({ url, index, viewport, previous }) => {
+            const reused = previous
+              ? await this.#reuseCapture({ url, index, viewport, previous, reuse })
+              : null;
+            return reused || this.#captureSingle({
               browser,
-              interactionRunner,
+              interactionRunner: interactionRunners.get(viewport.name),
               url,
-              index: i + batchIndex + 1
-            })
-          )
+              index,
+              viewport,
+              signal
+            });
+          })
         );
 
         results.forEach(result => {
           if (result.success) {
             successful.push(result.data);
-          } else {
-            failed.push({ url: result.url, error: result.error });
+          } else if (!signal?.aborted) {
+            failed.push({ url: result.url, viewport: result.viewport, error: result.error });
           }
         });
       }
     } finally {
-      await browser.close();
+      signal?.removeEventListener('abort', closeOnAbort);
+      await browser.close().catch(() => {});
+    }
+
+    const cancelled = Boolean(signal?.aborted);
+    if (cancelled) {
+      console.log(
+        `[screenshot] cancelled after ${successful.length}/${captures.length} capture(s)`
+      );
     }
 
     const deduplication = await this.deduplicator.run(successful);
+    deduplication.removed.forEach(({ removed, kept }) =>
+      this.onEvent({ type: 'duplicate_removed', removed, kept })
+    );
+    // Summarized after deduplication so every state points at a kept file
+    successful.forEach(entry => {
+      const stateSets = summarizeStateSets(entry.interactions);
+      if (stateSets.length) {
+        entry.stateSets = stateSets;
+      }
+    });
     const durationSeconds = Number(((Date.now() - startedAt) / 1000).toFixed(2));
     const interactionTotals = this.#calculateInteractionTotals(successful);
     const metadata = this.#buildMetadata({
@@ -89,7 +173,8 @@ class ScreenshotService {
       failed,
       durationSeconds,
       interactionTotals,
-      deduplication
+      deduplication,
+      cancelled
     });
 
     const metadataPath = path.join(this.outputDir, 'metadata.json');
@@ -98,29 +183,114 @@ class ScreenshotService {
 
     return {
       success: successful.length > 0,
+      cancelled,
       successful,
       failed,
       stats: {
         durationSeconds,
-        totalScreenshots: successful.length
+        totalScreenshots: successful.length,
+        reusedScreenshots: successful.filter(entry => entry.reusedFrom).length
       },
       files: {
         metadata: metadataPath,
-        screenshotsDir: this.screenshotsDir
+        screenshotsDir: this.screenshotsDir,
+        viewportDirs: Object.fromEntries(
+          this.viewports.map(viewport => [viewport.name, this.#viewportDir(viewport)])
+        )
       }
     };
   }
 
-  async #captureSingle({ browser, interactionRunner, url, index }) {
-    const context = await browser.newContext({
-      viewport: this.viewport
-    });
-    await installPageReadinessHooks(context);
-    await installInteractionGuards(context);
-    const page = await context.newPage();
+  #viewportDir(viewport) {
+    return path.join(this.outputDir, viewport.name);
+  }
+
+  // Copies an unchanged page's base and interaction screenshots from the
+  // earlier job, renamed for this run. Resolves to null (capture it again)
+  // when the earlier files are gone.
+  async #reuseCapture({ url, index, viewport, previous, reuse }) {
+    const label = this.viewports.length > 1 ? `${index}/${viewport.name}` : index;
+    const filename = buildFilename(url, index);
+    const outputPath = path.join(this.#viewportDir(viewport), filename);
+    const previousBase = path.parse(previous.filename).name;
+    const base = path.parse(filename).name;
 
     try {
-      console.log(`[screenshot] (${index}) visiting ${url}`);
+      await fs.copy(path.join(reuse.outputDir, previous.path), outputPath);
+
+      const interactions = [];
+      for (const interaction of previous.interactions || []) {
+        if (interaction.status !== 'captured' || !interaction.screenshot) {
+          // Duplicates point at another page's file, which may not be reused
+          const { screenshot, ...rest } = interaction;
+          interactions.push(rest);
+          continue;
+        }
+
+        const copyFile = async file => {
+          const filename = file.filename.replace(previousBase, base);
+          const outputPath = path.join(this.#viewportDir(viewport), filename);
+          await fs.copy(path.join(reuse.outputDir, file.path), outputPath);
+          return { filename, path: `${viewport.name}/${filename}`, outputPath };
+        };
+        interactions.push({
+          ...interaction,
+          screenshot: { url, ...(await copyFile(interaction.screenshot)) },
+          ...(interaction.crop && {
+            crop: { ...interaction.crop, ...(await copyFile(interaction.crop)) }
+          })
+        });
+      }
+
+      console.log(`[screenshot] (${label}) unchanged, reused ${previous.path} from job ${reuse.jobId}`);
+      this.onEvent({
+        type: 'screenshot_reused',
+        url,
+        pageIndex: index,
+        viewport: viewport.name,
+        path: `${viewport.name}/${filename}`,
+        reusedFrom: reuse.jobId
+      });
+
+      return {
+        success: true,
+        data: {
+          url,
+          pageIndex: index,
+          viewport: viewport.name,
+          device: viewport.device,
+          filename,
+          path: `${viewport.name}/${filename}`,
+          outputPath,
+          interactions,
+          reusedFrom: { jobId: reuse.jobId, path: previous.path }
+        }
+      };
+    } catch (error) {
+      console.warn(
+        `[screenshot] (${label}) could not reuse ${previous.path} from job ${reuse.jobId}: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  async #captureSingle({ browser, interactionRunner, url, index, viewport, signal }) {
+    let context = null;
+    const label = this.viewports.length > 1 ? `${index}/${viewport.name}` : index;
+
+    try {
+      context = await browser.newContext({
+        ...toContextOptions(viewport),
+        ...sessionContextOptions(this.session)
+      });
+      await installSessionHeaders(context, this.session);
+      await installPageReadinessHooks(context);
+      await installInteractionGuards(context);
+      await installDomHelpers(context);
+      const page = await context.newPage();
+
+      console.log(`[screenshot] (${label}) visiting ${url}`);
+      this.onEvent({ type: 'page_started', url, pageIndex: index, viewport: viewport.name });
       await page.goto(url, {
         waitUntil: 'domcontentloaded',
         timeout: this.timeout
@@ -128,27 +298,37 @@ class ScreenshotService {
       await page.waitForLoadState('networkidle', {
         timeout: Math.min(this.timeout / 2, 5000)
       }).catch(() => {});
-      await this.#waitForPageReady(page, url, index);
+      await this.#waitForPageReady(page, url, label);
 
       const filename = buildFilename(url, index);
-      const filepath = path.join(this.screenshotsDir, filename);
+      const filepath = path.join(this.#viewportDir(viewport), filename);
+      const relativePath = `${viewport.name}/${filename}`;
 
-      await page.screenshot({
-        path: filepath,
-        fullPage: true,
-        type: 'png'
+      const capture = await capturePage(page, filepath, this.captureOptions);
+      const stitchNote = capture.mode === 'stitch'
+        ? ` (stitched ${capture.tiles} tile(s) of the ${capture.scroller} scroller)`
+        : '';
+      console.log(`[screenshot] (${label}) saved base screenshot -> ${relativePath}${stitchNote}`);
+      this.onEvent({
+        type: 'screenshot_saved',
+        url,
+        pageIndex: index,
+        viewport: viewport.name,
+        path: relativePath
       });
-      console.log(`[screenshot] (${index}) saved base screenshot -> desktop/${filename}`);
 
       let interactions = [];
       try {
         const groups = await discoverInteractiveGroups(page);
+        if (this.formFilling) {
+          groups.push(...(await discoverFormGroups(page)));
+        }
         if (groups.length) {
           console.log(
-            `[screenshot] (${index}) found ${groups.length} interactive group(s) on ${url}`
+            `[screenshot] (${label}) found ${groups.length} interactive group(s) on ${url}`
           );
         } else {
-          console.log(`[screenshot] (${index}) no interactive elements detected on ${url}`);
+          console.log(`[screenshot] (${label}) no interactive elements detected on ${url}`);
         }
 
         interactions = await interactionRunner.capture({
@@ -156,8 +336,25 @@ class ScreenshotService {
           url,
           baseFilename: filename,
           groups,
-          pageIndex: index
+          pageIndex: index,
+          signal
         });
+        interactions.push(...(await interactionRunner.captureStateSets({
+          page,
+          url,
+          baseFilename: filename,
+          pageIndex: index,
+          startIndex: interactions.length,
+          signal
+        })));
+        interactions.push(...(await interactionRunner.exploreMenus({
+          page,
+          url,
+          baseFilename: filename,
+          pageIndex: index,
+          startIndex: interactions.length,
+          signal
+        })));
       } catch (interactionError) {
         console.warn(
           `[screenshot] interaction capture skipped for ${url}: ${interactionError.message}`
@@ -168,21 +365,33 @@ class ScreenshotService {
         success: true,
         data: {
           url,
+          pageIndex: index,
+          viewport: viewport.name,
+          device: viewport.device,
           filename,
-          path: `desktop/${filename}`,
+          path: relativePath,
           outputPath: filepath,
+          captureMode: capture.mode,
           interactions
         }
       };
     } catch (error) {
-      console.error(`[screenshot] (${index}) failed for ${url}: ${error.message}`);
+      console.error(`[screenshot] (${label}) failed for ${url}: ${error.message}`);
+      this.onEvent({
+        type: 'page_failed',
+        url,
+        pageIndex: index,
+        viewport: viewport.name,
+        error: error.message
+      });
       return {
         success: false,
         url,
+        viewport: viewport.name,
         error: error.message
       };
     } finally {
-      await context.close();
+      await context?.close().catch(() => {});
     }
   }
 
@@ -198,18 +407,56 @@ class ScreenshotService {
     );
   }
 
-  #buildMetadata({ urls, successful, failed, durationSeconds, interactionTotals, deduplication }) {
+  #buildMetadata({ urls, successful, failed, durationSeconds, interactionTotals, deduplication, cancelled }) {
     return {
       capturedAt: new Date().toISOString(),
+      cancelled,
       durationSeconds,
       totalUrls: urls.length,
+      viewports: this.viewports,
       successful: successful.length,
+      reused: successful.filter(entry => entry.reusedFrom).length,
       failed: failed.length,
       interactions: interactionTotals,
-      deduplication
+      deduplication,
+      pages: this.#groupByPage(urls, successful, failed)
     };
   }
 
+  #groupByPage(urls, successful, failed) {
+    return urls.map((url, urlIndex) => ({
+      url,
+      pageIndex: urlIndex + 1,
+      variants: this.viewports.map(viewport => {
+        const entry = successful.find(
+          item => item.url === url && item.viewport === viewport.name
+        );
+        if (!entry) {
+          const failure = failed.find(
+            item => item.url === url && item.viewport === viewport.name
+          );
+          return {
+            viewport: viewport.name,
+            device: viewport.device,
+            status: failure ? 'failed' : 'not_captured',
+            ...(failure && { error: failure.error })
+          };
+        }
+        return {
+          viewport: viewport.name,
+          device: viewport.device,
+          status: 'captured',
+          filename: entry.filename,
+          path: entry.path,
+          duplicateOf: entry.duplicateOf,
+          reusedFrom: entry.reusedFrom,
+          interactions: (entry.interactions || []).filter(i => i.status === 'captured').length,
+          ...(entry.stateSets && { stateSets: entry.stateSets })
+        };
+      })
+    }));
+  }
+
   #logSummary(successfulCount, interactionTotals, deduplication) {
     const interactionNote = interactionTotals.screenshots
       ? ` + ${interactionTotals.screenshots} interaction screenshot(s)`
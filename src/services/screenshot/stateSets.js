@@ -0,0 +1,184 @@
+// Runs in the page: groups of mutually exclusive controls. Each member is
+// listed with the selector to activate it and whether it is the current one;
+// `active` is the current member even when it falls past `maxStates`. A
+// control only ever belongs to the first set that claims it.
+function findStateSets(maxStates) {
+  const { isShown, selectorFor } = window.__vuxiDom;
+  const textOf = node =>
+    (node?.innerText || node?.getAttribute?.('aria-label') || node?.getAttribute?.('title') || node?.value || '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, 40);
+  const labelOf = node => {
+    const labelledBy = node.getAttribute('aria-labelledby');
+    return (
+      node.getAttribute('aria-label') ||
+      (labelledBy && textOf(document.getElementById(labelledBy))) ||
+      textOf(node.labels?.[0]) ||
+      ''
+    ).slice(0, 40);
+  };
+  const isActive = node =>
+    ['aria-pressed', 'aria-selected', 'aria-checked'].some(name => node.getAttribute(name) === 'true') ||
+    Boolean(node.getAttribute('aria-current') && node.getAttribute('aria-current') !== 'false') ||
+    /(^|[\s_-])(active|selected|current|checked)($|\s)/i.test(node.getAttribute('class') || '');
+
+  const claimed = new Set();
+  const sets = [];
+  const add = (kind, container, label, members) => {
+    const available = members.filter(member => !claimed.has(member.node));
+    if (available.length < 2) {
+      return;
+    }
+    available.forEach(member => claimed.add(member.node));
+    const strip = ({ node, ...member }) => member;
+    const active = available.find(member => member.active);
+    sets.push({
+      kind,
+      label: label || available.map(member => member.label).join(' / ').slice(0, 60),
+      selector: selectorFor(container),
+      total: available.length,
+      members: available.slice(0, maxStates).map(strip),
+      active: active ? strip(active) : null
+    });
+  };
+
+  document.querySelectorAll('[role="tablist"]').forEach(list => {
+    const tabs = Array.from(list.querySelectorAll('[role="tab"]')).filter(isShown);
+    add('tabs', list, labelOf(list), tabs.map(tab => ({
+      node: tab,
+      selector: selectorFor(tab),
+      label: textOf(tab),
+      active: tab.getAttribute('aria-selected') === 'true'
+    })));
+  });
+
+  document.querySelectorAll('[role="radiogroup"]').forEach(group => {
+    const radios = Array.from(group.querySelectorAll('[role="radio"]')).filter(isShown);
+    add('radio', group, labelOf(group), radios.map(radio => ({
+      node: radio,
+      selector: selectorFor(radio),
+      label: textOf(radio),
+      active: radio.getAttribute('aria-checked') === 'true'
+    })));
+  });
+
+  // Styled radios often hide the input itself; its label is what gets clicked
+  const radioGroups = new Map();
+  document.querySelectorAll('input[type="radio"][name]').forEach(input => {
+    const target = isShown(input) ? input : Array.from(input.labels || []).find(isShown);
+    if (!target || input.disabled) {
+      return;
+    }
+    const key = `${input.form ? selectorFor(input.form) : ''}|${input.name}`;
+    radioGroups.set(key, [...(radioGroups.get(key) || []), { input, target }]);
+  });
+  radioGroups.forEach(radios => {
+    const fieldset = radios[0].input.closest('fieldset');
+    add(
+      'radio',
+      fieldset || radios[0].input.form || radios[0].target.parentElement,
+      textOf(fieldset?.querySelector('legend')) || radios[0].input.name,
+      radios.map(({ input, target }) => ({
+        node: input,
+        selector: selectorFor(target),
+        label: textOf(input.labels?.[0]) || input.value,
+        value: input.value,
+        active: input.checked
+      }))
+    );
+  });
+
+  document.querySelectorAll('select').forEach(select => {
+    if (!isShown(select) || select.disabled || select.multiple) {
+      return;
+    }
+    const options = Array.from(select.options).filter(option => !option.disabled && option.value !== '');
+    add('select', select, labelOf(select) || select.name, options.map(option => ({
+      node: option,
+      selector: selectorFor(select),
+      label: textOf(option) || option.value,
+      value: option.value,
+      active: option.selected
+    })));
+  });
+
+  // Segmented controls and pricing toggles: sibling buttons, exactly one of
+  // them marked as the current choice
+  const parents = new Set(
+    Array.from(document.querySelectorAll('button, [role="button"]')).map(button => button.parentElement)
+  );
+  parents.forEach(parent => {
+    if (!parent) {
+      return;
+    }
+    const buttons = Array.from(parent.children).filter(
+      child => child.matches('button, [role="button"]') &&
+        !child.disabled &&
+        !(child.form && child.type === 'submit') &&
+        isShown(child)
+    );
+    if (buttons.length < 2 || buttons.length > 8 || buttons.filter(isActive).length !== 1) {
+      return;
+    }
+    add('segmented', parent, labelOf(parent), buttons.map(button => ({
+      node: button,
+      selector: selectorFor(button),
+      label: textOf(button),
+      active: isActive(button)
+    })));
+  });
+
+  return sets;
+}
+
+async function discoverStateSets(page, { maxStates = 12, maxSets = 10 } = {}) {
+  const sets = await page.evaluate(findStateSets, maxStates).catch(() => []);
+  return sets.slice(0, maxSets).map((set, index) => ({ id: `set-${index + 1}`, ...set }));
+}
+
+async function activateState(page, set, member, { timeout = 5000 } = {}) {
+  const locator = page.locator(`css=${member.selector}`).first();
+  if (set.kind === 'select') {
+    await locator.selectOption(member.value, { timeout });
+    return;
+  }
+  await locator.click({ timeout }).catch(() => locator.dispatchEvent('click'));
+}
+
+// Groups a page's state-set interactions back into one entry per set, after
+// deduplication so each state points at the file that was kept
+function summarizeStateSets(interactions = []) {
+  const sets = new Map();
+  for (const interaction of interactions) {
+    const info = interaction.stateSet;
+    if (!info) {
+      continue;
+    }
+    if (!sets.has(info.id)) {
+      sets.set(info.id, {
+        id: info.id,
+        kind: info.kind,
+        label: info.label,
+        selector: info.selector,
+        total: info.total,
+        states: []
+      });
+    }
+    sets.get(info.id).states.push({
+      state: info.state,
+      ...(info.value !== undefined && { value: info.value }),
+      status: interaction.status,
+      ...(interaction.screenshot && { path: interaction.screenshot.path }),
+      ...(interaction.duplicateOf && { duplicateOf: interaction.duplicateOf }),
+      ...(interaction.error && { error: interaction.error })
+    });
+  }
+  return Array.from(sets.values());
+}
+
+module.exports = {
+  discoverStateSets,
+  activateState,
+  summarizeStateSets
+};
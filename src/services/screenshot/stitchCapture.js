@@ -0,0 +1,210 @@
+const sharp = require('sharp');
+const { waitForImages } = require('./pageReadiness');
+
+// `fullPage` is Playwright's own full-page screenshot. `stitch` scrolls the
+// real scrolling element one screen at a time and joins the tiles, for pages
+// where fullPage yields a single screen (inner scroll containers, 100vh
+// layouts) or repeats sticky headers. `auto` stitches only when the page
+// scrolls inside an element rather than the document.
+const CAPTURE_MODES = ['fullPage', 'stitch', 'auto'];
+
+const SCROLLER_ATTRIBUTE = 'data-vuxi-scroller';
+const HIDDEN_ATTRIBUTE = 'data-vuxi-stitch-hidden';
+
+function validateCaptureMode(mode) {
+  if (mode !== undefined && !CAPTURE_MODES.includes(mode)) {
+    throw new Error(`Unknown captureMode "${mode}" (expected one of: ${CAPTURE_MODES.join(', ')})`);
+  }
+}
+
+// Runs in the page. The document wins when it scrolls at all; otherwise the
+// scrollable element covering most of the viewport is marked and measured.
+function findScroller(attribute) {
+  document.querySelectorAll(`[${attribute}]`).forEach(node => node.removeAttribute(attribute));
+  const viewportWidth = window.innerWidth;
+  const viewportHeight = window.innerHeight;
+  const root = document.scrollingElement || document.documentElement;
+  const documentScroller = {
+    element: false,
+    top: 0,
+    left: 0,
+    width: viewportWidth,
+    height: viewportHeight,
+    scrollHeight: Math.max(root.scrollHeight, viewportHeight),
+    viewportWidth,
+    viewportHeight
+  };
+  if (root.scrollHeight > viewportHeight + 1) {
+    return documentScroller;
+  }
+
+  let best = null;
+  let bestArea = 0;
+  for (const node of document.querySelectorAll('body *')) {
+    if (node.scrollHeight <= node.clientHeight + 1 || node.clientHeight < viewportHeight * 0.3) {
+      continue;
+    }
+    if (!['auto', 'scroll', 'overlay'].includes(getComputedStyle(node).overflowY)) {
+      continue;
+    }
+    const rect = node.getBoundingClientRect();
+    const visibleWidth = Math.min(rect.right, viewportWidth) - Math.max(rect.left, 0);
+    const visibleHeight = Math.min(rect.bottom, viewportHeight) - Math.max(rect.top, 0);
+    const area = Math.max(0, visibleWidth) * Math.max(0, visibleHeight);
+    if (area > bestArea) {
+      best = node;
+      bestArea = area;
+    }
+  }
+  if (!best) {
+    return documentScroller;
+  }
+
+  best.setAttribute(attribute, '');
+  const rect = best.getBoundingClientRect();
+  const top = Math.max(0, Math.ceil(rect.top + best.clientTop));
+  const left = Math.max(0, Math.ceil(rect.left + best.clientLeft));
+  return {
+    element: true,
+    top,
+    left,
+    width: Math.min(best.clientWidth, viewportWidth - left),
+    height: Math.min(best.clientHeight, viewportHeight - top),
+    scrollHeight: best.scrollHeight,
+    viewportWidth,
+    viewportHeight
+  };
+}
+
+function scrollScroller([attribute, top]) {
+  const node = document.querySelector(`[${attribute}]`) || document.scrollingElement || document.documentElement;
+  node.scrollTo({ top, behavior: 'instant' });
+  return node.scrollTop;
+}
+
+// Fixed and sticky elements would repeat on every tile; anything that
+// contains the scroller stays, or the content would vanish with it
+function hideFixedElements([hiddenAttribute, scrollerAttribute]) {
+  const scroller = document.querySelector(`[${scrollerAttribute}]`);
+  let hidden = 0;
+  for (const node of document.querySelectorAll('body *')) {
+    const style = getComputedStyle(node);
+    if (!['fixed', 'sticky'].includes(style.position) || style.visibility === 'hidden') {
+      continue;
+    }
+    if (scroller && node.contains(scroller)) {
+      continue;
+    }
+    node.setAttribute(hiddenAttribute, node.style.getPropertyValue('visibility'));
+    node.style.setProperty('visibility', 'hidden', 'important');
+    hidden += 1;
+  }
+  return hidden;
+}
+
+function restorePage([hiddenAttribute, scrollerAttribute]) {
+  document.querySelectorAll(`[${hiddenAttribute}]`).forEach(node => {
+    const previous = node.getAttribute(hiddenAttribute);
+    node.style.removeProperty('visibility');
+    if (previous) {
+      node.style.setProperty('visibility', previous);
+    }
+    node.removeAttribute(hiddenAttribute);
+  });
+  const scroller = document.querySelector(`[${scrollerAttribute}]`);
+  (scroller || document.scrollingElement || document.documentElement).scrollTo({ top: 0, behavior: 'instant' });
+  scroller?.removeAttribute(scrollerAttribute);
+}
+
+// The first tile is the whole viewport, so headers and footers around an inner
+// scroller appear once; later tiles are clipped to the scroller and placed at
+// the offset it actually scrolled to. Height is capped at `maxHeight` CSS pixels.
+async function captureStitched(page, filepath, { maxHeight = 20000, scrollDelay = 250, mediaWaitTimeout = 2000 } = {}) {
+  await page.evaluate(() => window.scrollTo(0, 0));
+  const scroller = await page.evaluate(findScroller, SCROLLER_ATTRIBUTE);
+  const scrollRange = Math.max(
+    0,
+    Math.min(scroller.scrollHeight - scroller.height, maxHeight - scroller.viewportHeight)
+  );
+
+  const first = await page.screenshot({ type: 'png' });
+  const { width: pixelWidth, height: pixelHeight } = await sharp(first).metadata();
+  const scale = pixelWidth / scroller.viewportWidth;
+  const px = value => Math.round(value * scale);
+  const composites = [{ input: first, left: 0, top: 0 }];
+  let tiles = 1;
+
+  try {
+    if (scrollRange > 0) {
+      await page.evaluate(hideFixedElements, [HIDDEN_ATTRIBUTE, SCROLLER_ATTRIBUTE]);
+      const clip = scroller.element
+        ? { x: scroller.left, y: scroller.top, width: scroller.width, height: scroller.height }
+        : undefined;
+
+      let position = 0;
+      while (position < scrollRange) {
+        position = Math.min(position + scroller.height, scrollRange);
+        const actual = await page.evaluate(scrollScroller, [SCROLLER_ATTRIBUTE, position]);
+        await page.waitForTimeout(scrollDelay);
+        await waitForImages(page, { timeout: mediaWaitTimeout });
+
+        const tile = await page.screenshot({ type: 'png', clip });
+        composites.push({ input: tile, left: px(scroller.left), top: px(scroller.top + actual) });
+        tiles += 1;
+        if (actual < position) {
+          // The content got shorter while scrolling; nothing more to reach
+          break;
+        }
+      }
+
+      const below = px(scroller.top + scroller.height);
+      if (scroller.element && below < pixelHeight) {
+        const footer = await sharp(first)
+          .extract({ left: 0, top: below, width: pixelWidth, height: pixelHeight - below })
+          .toBuffer();
+        composites.push({ input: footer, left: 0, top: below + px(scrollRange) });
+      }
+    }
+
+    await sharp({
+      create: {
+        width: pixelWidth,
+        height: pixelHeight + px(scrollRange),
+        channels: 4,
+        background: '#ffffff'
+      }
+    })
+      .composite(composites)
+      .png()
+      .toFile(filepath);
+  } finally {
+    await page.evaluate(restorePage, [HIDDEN_ATTRIBUTE, SCROLLER_ATTRIBUTE]).catch(() => {});
+  }
+
+  return {
+    mode: 'stitch',
+    scroller: scroller.element ? 'element' : 'document',
+    tiles
+  };
+}
+
+// Writes a full-length screenshot of the page to `filepath` in the given mode
+async function capturePage(page, filepath, { mode = 'fullPage', ...stitchOptions } = {}) {
+  if (mode === 'auto') {
+    const scroller = await page.evaluate(findScroller, SCROLLER_ATTRIBUTE);
+    mode = scroller.element ? 'stitch' : 'fullPage';
+  }
+  if (mode === 'stitch') {
+    return captureStitched(page, filepath, stitchOptions);
+  }
+
+  await page.screenshot({ path: filepath, fullPage: true, type: 'png' });
+  return { mode: 'fullPage' };
+}
+
+module.exports = {
+  CAPTURE_MODES,
+  validateCaptureMode,
+  capturePage,
+  captureStitched
+};
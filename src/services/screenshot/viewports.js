@@ -0,0 +1,116 @@
+const { devices: PLAYWRIGHT_DEVICES } = require('playwright');
+const { slugify } = require('./fileNaming');
+
+// `desktop` takes its size from the service's configured viewport so a job
+// without `viewports` keeps capturing exactly as before, into `desktop/`.
+const VIEWPORT_PRESETS = {
+  desktop: { deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+  tablet: { width: 768, height: 1024, deviceScaleFactor: 2, isMobile: true, hasTouch: true },
+  mobile: { width: 390, height: 844, deviceScaleFactor: 3, isMobile: true, hasTouch: true }
+};
+
+function resolvePreset(name, baseViewport) {
+  const preset = VIEWPORT_PRESETS[name];
+  if (!preset) {
+    throw new Error(
+      `Unknown viewport preset "${name}" (expected one of: ${Object.keys(VIEWPORT_PRESETS).join(', ')})`
+    );
+  }
+  return name === 'desktop' ? { ...preset, ...baseViewport } : { ...preset };
+}
+
+// Device emulation uses Playwright's descriptor wholesale (size, DPR, touch and
+// user agent) so pages render the way that device would request them.
+function resolveDevice(entry) {
+  const descriptor = PLAYWRIGHT_DEVICES[entry.device];
+  if (!descriptor) {
+    throw new Error(
+      `Unknown device "${entry.device}" (expected a Playwright device name such as "iPhone 13" or "Pixel 7")`
+    );
+  }
+
+  return {
+    name: slugify(entry.name || entry.device, 'device'),
+    device: entry.device,
+    width: descriptor.viewport.width,
+    height: descriptor.viewport.height,
+    deviceScaleFactor: descriptor.deviceScaleFactor,
+    isMobile: descriptor.isMobile,
+    hasTouch: descriptor.hasTouch,
+    userAgent: descriptor.userAgent
+  };
+}
+
+function resolveViewport(entry, baseViewport) {
+  if (typeof entry === 'string') {
+    return resolveViewport({ preset: entry }, baseViewport);
+  }
+
+  if (!entry || typeof entry !== 'object') {
+    throw new Error('Each viewport must be a preset name or an object');
+  }
+
+  if (entry.device) {
+    return resolveDevice(entry);
+  }
+
+  const base = entry.preset || VIEWPORT_PRESETS[entry.name]
+    ? resolvePreset(entry.preset || entry.name, baseViewport)
+    : VIEWPORT_PRESETS.desktop;
+  const width = Number(entry.width ?? base.width);
+  const height = Number(entry.height ?? base.height);
+  if (!(width > 0) || !(height > 0)) {
+    throw new Error('Custom viewports need a positive width and height');
+  }
+
+  return {
+    name: slugify(entry.name || entry.preset || `${width}x${height}`, `${width}x${height}`),
+    width,
+    height,
+    deviceScaleFactor: entry.deviceScaleFactor ?? base.deviceScaleFactor,
+    isMobile: entry.isMobile ?? base.isMobile,
+    hasTouch: entry.hasTouch ?? base.hasTouch
+  };
+}
+
+// Normalises the `viewports` and `devices` options into one list of named
+// viewports. Names double as output folder names, so they must be unique.
+function resolveViewports(viewports, baseViewport = { width: 1280, height: 720 }, devices = []) {
+  const list = [
+    ...[].concat(viewports || []),
+    ...[].concat(devices || []).map(device =>
+      typeof device === 'string' ? { device } : device
+    )
+  ];
+  if (!list.length) {
+    return [resolveViewport('desktop', baseViewport)];
+  }
+
+  const resolved = list.map(entry => resolveViewport(entry, baseViewport));
+
+  const names = new Set();
+  resolved.forEach(({ name }) => {
+    if (names.has(name)) {
+      throw new Error(`Duplicate viewport name "${name}"`);
+    }
+    names.add(name);
+  });
+
+  return resolved;
+}
+
+function toContextOptions(viewport) {
+  return {
+    viewport: { width: viewport.width, height: viewport.height },
+    deviceScaleFactor: viewport.deviceScaleFactor,
+    isMobile: viewport.isMobile,
+    hasTouch: viewport.hasTouch,
+    ...(viewport.userAgent && { userAgent: viewport.userAgent })
+  };
+}
+
+module.exports = {
+  VIEWPORT_PRESETS,
+  resolveViewports,
+  toContextOptions
+};
@@ -0,0 +1,54 @@
+const { LocalStorage } = require('./localStorage');
+const { S3Storage } = require('./s3Storage');
+const { SupabaseStorage } = require('./supabaseStorage');
+const { ScreenshotUploader } = require('./screenshotUploader');
+
+// Every adapter implements the same async interface:
+//   put(key, filePath, { contentType }) -> public URL of the stored object
+//   urlFor(key)                         -> public URL without uploading
+
+const STORAGE_BACKENDS = ['local', 's3', 'supabase'];
+
+// Picks the adapter named by STORAGE_BACKEND (falling back to `fallback`) and
+// configures it from the environment. The Supabase adapter reuses the
+// caller's client; `localDirectory` is where the local adapter writes unless
+// LOCAL_STORAGE_DIR says otherwise.
+function createStorageFromEnv(env = process.env, { fallback = 'local', supabaseClient, localDirectory } = {}) {
+  const backend = (env.STORAGE_BACKEND || fallback).toLowerCase();
+
+  switch (backend) {
+    case 'local':
+      return new LocalStorage({
+        directory: env.LOCAL_STORAGE_DIR || localDirectory,
+        baseUrl: env.LOCAL_STORAGE_BASE_URL
+      });
+    case 's3':
+      return new S3Storage({
+        endpoint: env.S3_ENDPOINT,
+        region: env.S3_REGION,
+        bucket: env.S3_BUCKET,
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        publicUrl: env.S3_PUBLIC_URL,
+        forcePathStyle: env.S3_FORCE_PATH_STYLE ? env.S3_FORCE_PATH_STYLE !== 'false' : undefined
+      });
+    case 'supabase':
+      return new SupabaseStorage({
+        client: supabaseClient,
+        bucket: env.SUPABASE_STORAGE_BUCKET
+      });
+    default:
+      throw new Error(
+        `Unknown STORAGE_BACKEND "${backend}" (expected one of: ${STORAGE_BACKENDS.join(', ')})`
+      );
+  }
+}
+
+module.exports = {
+  LocalStorage,
+  S3Storage,
+  SupabaseStorage,
+  ScreenshotUploader,
+  STORAGE_BACKENDS,
+  createStorageFromEnv
+};
@@ -0,0 +1,30 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Keeps objects on disk under `directory`, addressed as `${baseUrl}/${key}`.
+// With the defaults that is the `data/` folder the servers already expose at
+// `/data`, so job screenshots are already in place and only get a URL.
+class LocalStorage {
+  constructor(options = {}) {
+    this.directory = path.resolve(options.directory || path.join(process.cwd(), 'data'));
+    this.baseUrl = (options.baseUrl ?? '/data').replace(/\/+$/, '');
+  }
+
+  async put(key, filePath) {
+    const target = path.join(this.directory, key);
+    if (!target.startsWith(this.directory + path.sep)) {
+      throw new Error(`Storage key escapes the storage directory: ${key}`);
+    }
+    if (path.resolve(filePath) !== target) {
+      await fs.ensureDir(path.dirname(target));
+      await fs.copy(filePath, target);
+    }
+    return this.urlFor(key);
+  }
+
+  urlFor(key) {
+    return `${this.baseUrl}/${key.split('/').map(encodeURIComponent).join('/')}`;
+  }
+}
+
+module.exports = { LocalStorage };
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+// RFC 3986 encoding as S3 expects it in canonical paths; `/` separates segments
+function encodeKey(key) {
+  return key
+    .split('/')
+    .map(segment =>
+      encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+    )
+    .join('/');
+}
+
+// AWS Signature Version 4 for a single request. Every header passed in is
+// signed; returns the headers to send, including Authorization.
+function signRequest({ method, url, headers = {}, payloadHash, credentials, region, service = 's3', date = new Date() }) {
+  const { host, pathname, search } = new URL(url);
+  const amzDate = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const day = amzDate.slice(0, 8);
+  const scope = `${day}/${region}/${service}/aws4_request`;
+
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const names = Object.keys(signed).sort();
+  const canonicalQuery = Array.from(new URLSearchParams(search))
+    .map(([name, value]) => `${encodeKey(name)}=${encodeKey(value)}`)
+    .sort()
+    .join('&');
+  const canonicalRequest = [
+    method,
+    pathname,
+    canonicalQuery,
+    names.map(name => `${name}:${signed[name]}\n`).join(''),
+    names.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = [day, region, service, 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    `AWS4${credentials.secretAccessKey}`
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signed,
+    authorization:
+      `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, ` +
+      `SignedHeaders=${names.join(';')}, Signature=${signature}`
+  };
+}
+
+// Uploads with a signed PUT to any S3-compatible API (AWS S3, MinIO, R2,
+// Spaces). Path-style addressing (`endpoint/bucket/key`) is the default since
+// that is what MinIO and most self-hosted services expect. Objects must be
+// publicly readable, or served through `publicUrl`, for the URLs to load.
+class S3Storage {
+  constructor(options = {}) {
+    if (!options.bucket || !options.accessKeyId || !options.secretAccessKey) {
+      throw new Error('S3Storage requires bucket, accessKeyId and secretAccessKey');
+    }
+    this.bucket = options.bucket;
+    this.region = options.region || 'us-east-1';
+    this.endpoint = (options.endpoint || `https://s3.${this.region}.amazonaws.com`).replace(/\/+$/, '');
+    this.forcePathStyle = options.forcePathStyle ?? true;
+    this.publicUrl = options.publicUrl ? options.publicUrl.replace(/\/+$/, '') : null;
+    this.credentials = {
+      accessKeyId: options.accessKeyId,
+      secretAccessKey: options.secretAccessKey
+    };
+    this.timeoutMs = options.timeoutMs ?? 30000;
+    this.fetch = options.fetch || globalThis.fetch;
+  }
+
+  async put(key, filePath, { contentType = 'image/png' } = {}) {
+    const body = await fs.readFile(filePath);
+    const url = this.#objectUrl(key);
+    const headers = signRequest({
+      method: 'PUT',
+      url,
+      headers: { 'content-type': contentType },
+      payloadHash: sha256(body),
+      credentials: this.credentials,
+      region: this.region
+    });
+    // fetch sets Host itself and rejects it as a request header
+    delete headers.host;
+
+    const response = await this.fetch(url, {
+      method: 'PUT',
+      headers,
+      body,
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+    if (!response.ok) {
+      const detail = (await response.text().catch(() => '')).match(/<Message>(.*?)<\/Message>/)?.[1];
+      throw new Error(`S3 upload failed for ${key}: HTTP ${response.status}${detail ? ` ${detail}` : ''}`);
+    }
+    return this.urlFor(key);
+  }
+
+  urlFor(key) {
+    return this.publicUrl ? `${this.publicUrl}/${encodeKey(key)}` : this.#objectUrl(key);
+  }
+
+  #objectUrl(key) {
+    if (this.forcePathStyle) {
+      return `${this.endpoint}/${this.bucket}/${encodeKey(key)}`;
+    }
+    const endpoint = new URL(this.endpoint);
+    return `${endpoint.protocol}//${this.bucket}.${endpoint.host}/${encodeKey(key)}`;
+  }
+}
+
+module.exports = { S3Storage, signRequest };
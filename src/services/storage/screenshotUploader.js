@@ -0,0 +1,121 @@
+const path = require('path');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp'
+};
+
+// Runs `worker` over `items` with at most `concurrency` in flight. Once
+// `signal` aborts no new items are started; those in flight finish.
+async function runPool(items, concurrency, worker, signal) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length && !signal?.aborted) {
+      const item = items[next];
+      next += 1;
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+// Uploads a job's base, interaction and journey screenshots through a storage
+// adapter, several at a time, retrying failed uploads with exponential backoff.
+// Objects are keyed by their path in the job folder (`job_<id>/<viewport>/<file>`,
+// `job_<id>/journeys/<journey>/<file>`). Every screenshot gets a `storageUrl`,
+// null when its upload gave up; a duplicate shares the URL of the file it
+// points at, which is uploaded only once.
+class ScreenshotUploader {
+  constructor(options = {}) {
+    if (!options.storage) {
+      throw new Error('ScreenshotUploader requires a storage adapter');
+    }
+    this.storage = options.storage;
+    this.concurrency = options.concurrency ?? 4;
+    this.maxAttempts = options.maxAttempts ?? 3;
+    this.baseDelayMs = options.baseDelayMs ?? 500;
+    this.onEvent = options.onEvent || (() => {});
+  }
+
+  async uploadAll(jobId, entries = [], { outputDir, onEvent = this.onEvent, signal, journeys = [] } = {}) {
+    // Relative path -> file on disk; entries and interactions refer to files
+    // by their path relative to the job folder
+    const files = new Map();
+    const screenshots = [];
+    for (const entry of entries) {
+      screenshots.push({ target: entry, relativePath: entry.path || entry.filename, file: entry.outputPath });
+      for (const interaction of entry.interactions || []) {
+        const relativePath = interaction.screenshot?.path || interaction.path;
+        if (['captured', 'duplicate'].includes(interaction.status) && relativePath) {
+          screenshots.push({ target: interaction, relativePath, file: interaction.screenshot?.outputPath });
+        }
+        if (interaction.crop?.path) {
+          screenshots.push({ target: interaction.crop, relativePath: interaction.crop.path, file: interaction.crop.outputPath });
+        }
+      }
+    }
+    for (const journey of journeys) {
+      for (const step of journey.steps || []) {
+        if (step.screenshot?.path) {
+          screenshots.push({ target: step.screenshot, relativePath: step.screenshot.path });
+        }
+      }
+    }
+    for (const { relativePath, file } of screenshots) {
+      if (relativePath && !files.has(relativePath)) {
+        files.set(relativePath, file || path.join(outputDir, relativePath));
+      }
+    }
+
+    const urls = new Map();
+    const startedAt = Date.now();
+    await runPool(Array.from(files), this.concurrency, async ([relativePath, file]) => {
+      const key = `job_${jobId}/${relativePath.split(path.sep).join('/')}`;
+      const url = await this.#uploadWithRetry(key, file, signal);
+      urls.set(relativePath, url);
+      onEvent(url
+        ? { type: 'screenshot_uploaded', path: relativePath, storageUrl: url }
+        : { type: 'screenshot_upload_failed', path: relativePath });
+    }, signal);
+
+    for (const { target, relativePath } of screenshots) {
+      target.storageUrl = urls.get(relativePath) ?? null;
+    }
+
+    const uploaded = Array.from(urls.values()).filter(Boolean).length;
+    const cancelled = Boolean(signal?.aborted);
+    console.log(
+      `[storage] uploaded ${uploaded}/${files.size} file(s) for job ${jobId} ` +
+      `(${((Date.now() - startedAt) / 1000).toFixed(1)}s)${cancelled ? ', cancelled' : ''}`
+    );
+    return {
+      uploaded,
+      failed: urls.size - uploaded,
+      skipped: files.size - urls.size,
+      cancelled,
+      entries
+    };
+  }
+
+  async #uploadWithRetry(key, file, signal) {
+    const contentType = CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt += 1) {
+      try {
+        return await this.storage.put(key, file, { contentType });
+      } catch (error) {
+        if (attempt === this.maxAttempts || signal?.aborted) {
+          console.warn(`[storage] giving up on ${key} after ${attempt} attempt(s): ${error.message}`);
+          return null;
+        }
+        await sleep(this.baseDelayMs * 2 ** (attempt - 1));
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = { ScreenshotUploader };
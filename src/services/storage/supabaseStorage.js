@@ -0,0 +1,31 @@
+const fs = require('fs-extra');
+
+// Uploads to a Supabase Storage bucket; the bucket must be public for the
+// returned URLs to load in a browser.
+class SupabaseStorage {
+  constructor(options = {}) {
+    if (!options.client) {
+      throw new Error('SupabaseStorage requires a Supabase client');
+    }
+    this.client = options.client;
+    this.bucket = options.bucket || 'screenshots';
+  }
+
+  async put(key, filePath, { contentType = 'image/png' } = {}) {
+    const body = await fs.readFile(filePath);
+    const { error } = await this.client.storage
+      .from(this.bucket)
+      .upload(key, body, { contentType, upsert: true });
+    if (error) {
+      throw new Error(`Supabase upload failed for ${key}: ${error.message}`);
+    }
+    return this.urlFor(key);
+  }
+
+  urlFor(key) {
+    const { data } = this.client.storage.from(this.bucket).getPublicUrl(key);
+    return data.publicUrl;
+  }
+}
+
+module.exports = { SupabaseStorage };
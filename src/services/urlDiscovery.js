@@ -1,16 +1,15 @@
 const { chromium } = require('playwright');
 const fs = require('fs-extra');
 const path = require('path');
+const { sessionContextOptions, installSessionHeaders, isLogoutUrl } = require('./authSession');
+const { CrawlPoliteness } = require('./politeness');
+const { createUrlFilter } = require('./urlRules');
+const { collectFingerprint, compareFingerprints } = require('./pageFingerprint');
 
-const SKIP_PATTERNS = [
-  /\.(pdf|docx?|xlsx?|zip|rar|7z|tar|gz)$/i,
-  /\.(jpe?g|png|gif|svg|ico)$/i,
-  /^mailto:/i,
-  /^tel:/i,
-  /\?replytocom=/i,
-  /\/wp-json\//i,
-  /\/(?:login|register|cart|checkout|account)/i
-];
+// Built-in rule groups this crawler applies; the rest only make sense for the
+// diversity-filtered crawl in url-discovery/. Account pages are only skipped
+// without a session.
+const DISCOVERY_RULE_GROUPS = ['fileTypes', 'protocols', 'cms', 'accountFlows', 'accountPages'];
 
 function normalizeUrl(url) {
   try {
@@ -41,19 +40,28 @@ function isSameDomain(base, candidate) {
   }
 }
 
-function shouldSkip(url) {
-  return SKIP_PATTERNS.some(pattern => pattern.test(url));
-}
-
 class URLDiscoveryService {
   constructor(options = {}) {
     this.maxPages = options.maxPages ?? 10;
     this.concurrency = options.concurrency ?? 3;
     this.timeout = options.timeout ?? 8000;
     this.outputDir = options.outputDir || path.join(process.cwd(), 'data');
+    this.onEvent = options.onEvent || (() => {});
+    this.session = options.session || null;
+    this.politenessSetting = options.politeness ?? true;
+    this.urlFilter = createUrlFilter({
+      include: options.include,
+      exclude: options.exclude,
+      disableRuleGroups: options.disableRuleGroups,
+      ruleGroups: DISCOVERY_RULE_GROUPS,
+      authenticated: Boolean(this.session)
+    });
+    // Fingerprints from an earlier run's urls.json; when set, every crawled
+    // page is classified as new, changed or unchanged
+    this.previousPages = options.previousPages || null;
   }
 
-  async discover(baseUrl) {
+  async discover(baseUrl, { signal } = {}) {
     const normalizedStart = normalizeUrl(baseUrl);
     if (!normalizedStart) {
       throw new Error('Invalid base URL');
@@ -65,9 +73,14 @@ class URLDiscoveryService {
     const seen = new Set(queue);
     const visited = new Set();
     const discovered = [];
+    const excluded = new Map();
+    const fingerprints = {};
+    const changes = {};
+    const politeness = CrawlPoliteness.from(this.politenessSetting, { timeout: this.timeout });
     const stats = {
       pagesCrawled: 0,
       linksCollected: 0,
+      robotsBlocked: 0,
       startedAt: new Date().toISOString()
     };
     const startTime = Date.now();
@@ -76,9 +89,18 @@ class URLDiscoveryService {
       headless: true,
       args: ['--no-sandbox', '--disable-setuid-sandbox']
     });
+    const closeOnAbort = () => browser.close().catch(() => {});
+    signal?.addEventListener('abort', closeOnAbort, { once: true });
 
     try {
-      while (queue.length > 0 && discovered.length < this.maxPages) {
+      const context = await browser.newContext(sessionContextOptions(this.session));
+      await installSessionHeaders(context, this.session);
+
+      while (
+        queue.length > 0 &&
+        discovered.length < this.maxPages &&
+        !signal?.aborted
+      ) {
         const batch = [];
 
         while (
@@ -97,15 +119,38 @@ class URLDiscoveryService {
         }
 
         const results = await Promise.all(
-          batch.map(url => this.#crawlPage(browser, url, normalizedStart))
+          batch.map(url => this.#crawlPage(context, url, normalizedStart, politeness, excluded))
         );
+        if (signal?.aborted) {
+          break;
+        }
 
-        results.forEach((links, index) => {
+        results.forEach((result, index) => {
           const currentUrl = batch[index];
           visited.add(currentUrl);
+
+          if (result === null) {
+            stats.robotsBlocked += 1;
+            this.onEvent({ type: 'page_skipped', url: currentUrl, reason: 'robots.txt' });
+            return;
+          }
+
+          const { links, fingerprint } = result;
+          fingerprints[currentUrl] = fingerprint;
+          if (this.previousPages) {
+            changes[currentUrl] = compareFingerprints(this.previousPages[currentUrl], fingerprint);
+          }
+
           discovered.push(currentUrl);
           stats.pagesCrawled += 1;
           stats.linksCollected += links.length;
+          this.onEvent({
+            type: 'page_crawled',
+            url: currentUrl,
+            linksFound: links.length,
+            discovered: discovered.length,
+            ...(this.previousPages && { change: changes[currentUrl] })
+          });
 
           links.forEach(link => {
             if (!seen.has(link)) {
@@ -116,18 +161,35 @@ class URLDiscoveryService {
         });
       }
     } finally {
-      await browser.close();
+      signal?.removeEventListener('abort', closeOnAbort);
+      await browser.close().catch(() => {});
     }
 
     stats.durationSeconds = Number(((Date.now() - startTime) / 1000).toFixed(2));
     stats.totalDiscovered = discovered.length;
+    stats.cancelled = Boolean(signal?.aborted);
+    stats.urlsExcludedByRules = excluded.size;
+    if (this.previousPages) {
+      stats.changes = this.#summarizeChanges(changes, discovered);
+      console.log(
+        `[discovery] ${stats.changes.new} new, ${stats.changes.changed} changed, ` +
+        `${stats.changes.unchanged} unchanged, ${stats.changes.removed} gone since the previous run`
+      );
+    }
 
-    await this.#writeOutputs(baseUrl, discovered, stats);
-    console.log(`[discovery] found ${discovered.length} url(s)`);
+    await this.#writeOutputs(baseUrl, discovered, stats, excluded, {
+      pages: fingerprints,
+      ...(this.previousPages && { changes })
+    });
+    console.log(
+      `[discovery] ${stats.cancelled ? 'cancelled after finding' : 'found'} ${discovered.length} url(s)`
+    );
 
     return {
       success: discovered.length > 0,
+      cancelled: stats.cancelled,
       urls: discovered,
+      changes: this.previousPages ? changes : null,
       stats,
       files: {
         urls: path.join(this.outputDir, 'urls.json'),
@@ -136,16 +198,23 @@ class URLDiscoveryService {
     };
   }
 
-  async #crawlPage(browser, url, rootUrl) {
-    const page = await browser.newPage();
+  // Resolves to `{ links, fingerprint }`, or null when robots.txt disallows the page
+  async #crawlPage(context, url, rootUrl, politeness, excluded) {
+    let page = null;
 
     try {
-      await page.goto(url, {
+      if (!(await politeness.isAllowed(url))) {
+        return null;
+      }
+
+      page = await context.newPage();
+      const response = await politeness.schedule(url, () => page.goto(url, {
         waitUntil: 'domcontentloaded',
         timeout: this.timeout
-      });
+      }));
 
       await page.waitForTimeout(400);
+      const fingerprint = await collectFingerprint(page, response);
 
       const links = await page.$$eval('a[href]', anchors =>
         anchors.map(anchor => anchor.href)
@@ -155,17 +224,34 @@ class URLDiscoveryService {
         .map(normalizeUrl)
         .filter(Boolean)
         .filter(link => isSameDomain(rootUrl, link))
-        .filter(link => !shouldSkip(link));
+        .filter(link => !(this.session && isLogoutUrl(link)))
+        .filter(link => {
+          const match = this.urlFilter(link);
+          if (match && !excluded.has(link)) {
+            excluded.set(link, match);
+          }
+          return !match;
+        });
 
-      return [...new Set(validLinks)];
+      return { links: [...new Set(validLinks)], fingerprint };
     } catch {
-      return [];
+      return { links: [], fingerprint: null };
     } finally {
-      await page.close();
+      await page?.close().catch(() => {});
     }
   }
 
-  async #writeOutputs(baseUrl, urls, stats) {
+  #summarizeChanges(changes, discovered) {
+    const summary = { new: 0, changed: 0, unchanged: 0, removed: 0 };
+    Object.values(changes).forEach(change => {
+      summary[change] += 1;
+    });
+    const found = new Set(discovered);
+    summary.removed = Object.keys(this.previousPages).filter(url => !found.has(url)).length;
+    return summary;
+  }
+
+  async #writeOutputs(baseUrl, urls, stats, excluded, fingerprintData) {
     await fs.ensureDir(this.outputDir);
 
     const urlsPath = path.join(this.outputDir, 'urls.json');
@@ -176,7 +262,9 @@ class URLDiscoveryService {
       discoveredAt: new Date().toISOString(),
       count: urls.length,
       stats,
-      urls
+      urls,
+      excluded: Array.from(excluded, ([url, match]) => ({ url, ...match })),
+      ...fingerprintData
     };
 
     await fs.writeJson(urlsPath, payload, { spaces: 2 });
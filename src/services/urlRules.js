@@ -0,0 +1,150 @@
+// Built-in exclusions, grouped so a job can switch off the ones it needs with
+// `disableRuleGroups`. Groups in UNAUTHENTICATED_ONLY_GROUPS only apply to
+// crawls without a session.
+const RULE_GROUPS = {
+  fileTypes: [
+    /\.(pdf|doc|docx|xls|xlsx|ppt|pptx|zip|rar|7z|tar|gz)$/i,
+    /\.(jpg|jpeg|png|gif|svg|ico)$/i,
+    /\.(mp3|mp4|avi|mov|wmv|flv|webm)$/i
+  ],
+  protocols: [/^mailto:/i, /^tel:/i, /^javascript:/i],
+  cms: [/\/wp-json\//i, /\/feed\//i, /\?replytocom=/i],
+  pagination: [
+    /\/page\/[2-9]$/i,
+    /\/page\/[1-9][0-9]+$/i,
+    /\?page=[2-9]$/i,
+    /\?page=[1-9][0-9]+$/i
+  ],
+  authorPages: [/\/author\//i, /\/users\//i],
+  datedUrls: [/\/\d{2}-\d{2}-\d{2}-\d{2}$/i, /\/\d{4}-\d{2}-\d{2}/i],
+  malformedUrls: [/\/#/, /%22%22$/i, /\/""$/i],
+  accountFlows: [/\/login/i, /\/register/i, /\/cart/i, /\/checkout/i],
+  searchAndFilters: [/\/search\?/i, /\?filter=/i, /\?sort=/i],
+  printVersions: [/\/print\//i, /\/mobile\//i, /\?print=/i],
+  languageFolders: [
+    /\/en-us\//i,
+    /\/en-gb\//i,
+    /\/fr\//i,
+    /\/de\//i,
+    /\/es\//i,
+    /\/it\//i,
+    /\?lang=/i
+  ],
+  legalPages: [/\/(legal|privacy|cookies|terms|disclaimer|gdpr)$/i],
+  newsletter: [/\/(newsletter|subscribe)$/i],
+  adminPages: [/\/admin/i],
+  accountPages: [/\/account/i]
+};
+
+const UNAUTHENTICATED_ONLY_GROUPS = ['adminPages', 'accountPages'];
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// `*` matches within one path segment, `**` across segments, and a trailing
+// `/**` also matches the folder itself. Globs starting with `/` are matched
+// against path + query; globs containing `://` against the whole URL.
+function globToRegExp(glob) {
+  const trailingAll = glob.endsWith('/**');
+  const body = trailingAll ? glob.slice(0, -3) : glob;
+  const source = body
+    .split('**')
+    .map(part => part.split('*').map(escapeRegExp).join('[^/]*'))
+    .join('.*');
+  return new RegExp(`^${source}${trailingAll ? '(?:/.*)?' : ''}$`, 'i');
+}
+
+function compileRule(rule, kind) {
+  if (rule instanceof RegExp) {
+    return { label: String(rule), test: url => rule.test(url) };
+  }
+
+  if (rule && typeof rule === 'object' && typeof rule.regex === 'string') {
+    let regExp;
+    try {
+      // Stateful flags would make repeated .test() calls alternate
+      regExp = new RegExp(rule.regex, (rule.flags ?? 'i').replace(/[gy]/g, ''));
+    } catch (error) {
+      throw new Error(`Invalid ${kind} rule ${JSON.stringify(rule)}: ${error.message}`);
+    }
+    return { label: String(regExp), test: url => regExp.test(url) };
+  }
+
+  if (typeof rule === 'string' && rule.length > 0) {
+    const regExp = globToRegExp(rule);
+    const matchesWholeUrl = rule.includes('://');
+    return {
+      label: rule,
+      test: url => {
+        if (matchesWholeUrl) {
+          return regExp.test(url);
+        }
+        try {
+          const urlObj = new URL(url);
+          return regExp.test(`${urlObj.pathname}${urlObj.search}`);
+        } catch {
+          return false;
+        }
+      }
+    };
+  }
+
+  throw new Error(`Each ${kind} rule must be a glob string or a { regex, flags } object`);
+}
+
+function compileRules(rules, kind) {
+  return [].concat(rules ?? []).map(rule => compileRule(rule, kind));
+}
+
+// Returns `url => null | { source, group?, rule }`. User `exclude` rules win
+// over `include` rules, and `include` rules win over the built-in groups, so
+// a client can keep e.g. `/fr/**` without turning off `languageFolders`.
+// `ruleGroups` picks which built-in groups a crawler starts from.
+function createUrlFilter(options = {}) {
+  const include = compileRules(options.include, 'include');
+  const exclude = compileRules(options.exclude, 'exclude');
+  const ruleGroups = options.ruleGroups || Object.keys(RULE_GROUPS);
+  const disabled = new Set([].concat(options.disableRuleGroups ?? []));
+
+  disabled.forEach(name => {
+    if (!RULE_GROUPS[name]) {
+      throw new Error(
+        `Unknown rule group "${name}" (expected one of: ${Object.keys(RULE_GROUPS).join(', ')})`
+      );
+    }
+  });
+
+  const groups = ruleGroups
+    .filter(name => !disabled.has(name))
+    .filter(name => !(options.authenticated && UNAUTHENTICATED_ONLY_GROUPS.includes(name)))
+    .map(name => ({ name, patterns: RULE_GROUPS[name] }));
+
+  return url => {
+    const excludedBy = exclude.find(rule => rule.test(url));
+    if (excludedBy) {
+      return { source: 'exclude', rule: excludedBy.label };
+    }
+    if (include.some(rule => rule.test(url))) {
+      return null;
+    }
+    for (const group of groups) {
+      const pattern = group.patterns.find(candidate => candidate.test(url));
+      if (pattern) {
+        return { source: 'builtin', group: group.name, rule: String(pattern) };
+      }
+    }
+    return null;
+  };
+}
+
+// Throws on malformed rules so a bad request is rejected before a job is queued
+function validateUrlRules(options = {}) {
+  createUrlFilter(options);
+}
+
+module.exports = {
+  RULE_GROUPS,
+  createUrlFilter,
+  validateUrlRules
+};
@@ -0,0 +1,53 @@
+const { expect } = require('chai');
+const { installSessionHeaders, sessionContextOptions } = require('../src/services/authSession');
+
+// Records what a context route handler does with each request
+async function routeRequests(session, urls) {
+  let handler = null;
+  const context = {
+    route: async (pattern, fn) => { handler = fn; }
+  };
+  await installSessionHeaders(context, session);
+
+  return Promise.all(urls.map(async url => {
+    const outcome = { url };
+    await handler({
+      request: () => ({ url: () => url, headers: () => ({ accept: '*/*' }) }),
+      continue: options => { outcome.continued = options.headers; },
+      fallback: () => { outcome.fellBack = true; }
+    });
+    return outcome;
+  }));
+}
+
+describe('installSessionHeaders', () => {
+  const session = {
+    storageState: { cookies: [], origins: [] },
+    headers: { authorization: 'Bearer secret' },
+    origin: 'https://app.example.com'
+  };
+
+  it('adds auth headers to requests on the job origin only', async () => {
+    const outcomes = await routeRequests(session, [
+      'https://app.example.com/dashboard',
+      'https://cdn.example.net/app.js',
+      'http://app.example.com/insecure',
+      'data:image/png;base64,AAAA'
+    ]);
+
+    expect(outcomes[0].continued).to.deep.equal({ accept: '*/*', authorization: 'Bearer secret' });
+    expect(outcomes.slice(1).map(outcome => outcome.fellBack)).to.deep.equal([true, true, true]);
+  });
+
+  it('keeps headers out of the context-wide options', () => {
+    expect(sessionContextOptions(session)).to.deep.equal({ storageState: session.storageState });
+  });
+
+  it('installs nothing for a session without headers', async () => {
+    let routed = false;
+    await installSessionHeaders({ route: async () => { routed = true; } }, { storageState: {} });
+    await installSessionHeaders({ route: async () => { routed = true; } }, null);
+
+    expect(routed).to.equal(false);
+  });
+});
@@ -0,0 +1,55 @@
+const { expect } = require('chai');
+const { URLCrawler } = require('../url-discovery/crawler');
+
+describe('URLCrawler depth limit', () => {
+  it('counts each too-deep URL once, however many pages link to it', () => {
+    const crawler = new URLCrawler({ maxDepth: 1 });
+
+    for (let page = 0; page < 50; page += 1) {
+      expect(crawler.exceedsMaxDepth('https://example.com/a/b/c', 2)).to.equal(true);
+    }
+    expect(crawler.exceedsMaxDepth('https://example.com/x/y', 3)).to.equal(true);
+    expect(crawler.exceedsMaxDepth('https://example.com/about', 1)).to.equal(false);
+
+    expect(crawler.stats.depthLimited).to.equal(2);
+  });
+
+  it('stops counting a URL that is later reached through a shorter path', () => {
+    const crawler = new URLCrawler({ maxDepth: 1 });
+
+    crawler.exceedsMaxDepth('https://example.com/pricing', 2);
+    crawler.addDiscoveredUrl('https://example.com/pricing', 'sitemap');
+
+    expect(crawler.stats.depthLimited).to.equal(0);
+  });
+
+  it('lowers the depth of an uncrawled page reached again through a shorter path', async () => {
+    const crawler = new URLCrawler({ maxDepth: 2, crawlStrategy: 'depth-first' });
+    const linksPage = hrefs => ({
+      waitForTimeout: async () => {},
+      evaluate: async () => hrefs.map(href => ({ href, text: '' }))
+    });
+    const start = 'https://example.com/';
+    crawler.actualBaseUrl = start;
+    crawler.addDiscoveredUrl(start, 'start');
+    crawler.visitedUrls.add(start);
+
+    // Long path first: / > /docs > /docs/guide > /pricing
+    await crawler.extractLinks(linksPage(['https://example.com/docs']), start);
+    crawler.visitedUrls.add('https://example.com/docs');
+    await crawler.extractLinks(linksPage(['https://example.com/docs/guide']), 'https://example.com/docs');
+    crawler.visitedUrls.add('https://example.com/docs/guide');
+    await crawler.extractLinks(linksPage(['https://example.com/pricing']), 'https://example.com/docs/guide');
+    expect(crawler.stats.depthLimited).to.equal(1);
+
+    await crawler.extractLinks(linksPage(['https://example.com/pricing']), 'https://example.com/docs');
+    expect(crawler.depthOf('https://example.com/pricing')).to.equal(2);
+    expect(crawler.shouldCrawl('https://example.com/pricing')).to.equal(false);
+
+    // Then one click from the start page
+    await crawler.extractLinks(linksPage(['https://example.com/pricing']), start);
+    expect(crawler.depthOf('https://example.com/pricing')).to.equal(1);
+    expect(crawler.urlInfo.get('https://example.com/pricing').referrer).to.equal(start);
+    expect(crawler.urlsToVisit).to.deep.equal(['https://example.com/pricing']);
+  });
+});
@@ -0,0 +1,55 @@
+const { expect } = require('chai');
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+const { ScreenshotDeduplicator } = require('../src/services/screenshot/deduplicator');
+
+// A white 40x40 image with the left or the top half painted black
+function halfPng(filePath, half) {
+  const box = half === 'left' ? { width: 20, height: 40 } : { width: 40, height: 20 };
+  return sharp({ create: { width: 40, height: 40, channels: 4, background: '#ffffff' } })
+    .composite([{
+      input: { create: { ...box, channels: 4, background: '#000000' } },
+      left: 0,
+      top: 0
+    }])
+    .png()
+    .toFile(filePath);
+}
+
+describe('ScreenshotDeduplicator', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'vuxi-dedup-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  it('only compares screenshots taken at the same viewport', async () => {
+    const entry = async (url, viewport, half) => {
+      const filename = `${url.split('/').pop() || 'home'}.png`;
+      const outputPath = path.join(root, viewport, filename);
+      await fs.ensureDir(path.dirname(outputPath));
+      await halfPng(outputPath, half);
+      return { url, viewport, filename, path: `${viewport}/${filename}`, outputPath, interactions: [] };
+    };
+    const successful = [
+      await entry('https://example.com/', 'desktop', 'left'),
+      await entry('https://example.com/', 'mobile', 'top'),
+      // Looks like the home page's mobile shot, but at another viewport
+      await entry('https://example.com/about', 'desktop', 'top'),
+      await entry('https://example.com/about', 'mobile', 'top')
+    ];
+
+    const result = await new ScreenshotDeduplicator().run(successful);
+
+    expect(result.totalDuplicates).to.equal(1);
+    expect(successful.map(item => Boolean(item.duplicate))).to.deep.equal([false, false, false, true]);
+    expect(successful[3].duplicateOf).to.deep.equal({ url: 'https://example.com/', filename: 'home.png' });
+    expect(await fs.pathExists(successful[2].outputPath)).to.equal(true);
+  });
+});
@@ -0,0 +1,75 @@
+const { expect } = require('chai');
+const { installDomHelpers } = require('../src/services/screenshot/domHelpers');
+
+// Runs the init script against stand-in globals, then hands window.__vuxiDom
+// to `use` while those globals are still in place
+async function withHelpers(body, use) {
+  let script = null;
+  await installDomHelpers({ addInitScript: async fn => { script = fn; } });
+
+  const globals = {
+    window: {},
+    document: { body },
+    CSS: { escape: value => value.replace(/:/g, '\\:') },
+    getComputedStyle: node => node.style
+  };
+  const saved = {};
+  for (const [name, value] of Object.entries(globals)) {
+    saved[name] = global[name];
+    global[name] = value;
+  }
+  try {
+    script();
+    use(globals.window.__vuxiDom);
+  } finally {
+    Object.assign(global, saved);
+  }
+}
+
+function element(tagName, { id = '', rect = { width: 100, height: 20 }, style = {} } = {}) {
+  return {
+    tagName,
+    id,
+    children: [],
+    parentElement: null,
+    getBoundingClientRect: () => rect,
+    style: { visibility: 'visible', display: 'block', opacity: '1', ...style }
+  };
+}
+
+function append(parent, ...children) {
+  children.forEach(child => {
+    child.parentElement = parent;
+    parent.children.push(child);
+  });
+  return parent;
+}
+
+describe('installDomHelpers', () => {
+  it('builds id selectors, else nth-of-type paths from the body', async () => {
+    const body = element('BODY');
+    const nav = element('NAV');
+    const first = element('UL');
+    const second = element('UL');
+    const item = element('LI');
+    const named = element('DIV', { id: 'menu:main' });
+    append(body, nav, named);
+    append(nav, first, second);
+    append(second, item);
+
+    await withHelpers(body, ({ selectorFor }) => {
+      expect(selectorFor(item)).to.equal('body > nav > ul:nth-of-type(2) > li');
+      expect(selectorFor(named)).to.equal('#menu\\:main');
+    });
+  });
+
+  it('treats collapsed, hidden and faded-out nodes as not shown', async () => {
+    await withHelpers(element('BODY'), ({ isShown }) => {
+      expect(isShown(element('A'))).to.equal(true);
+      expect(isShown(element('A', { rect: { width: 1, height: 20 } }))).to.equal(false);
+      expect(isShown(element('A', { style: { display: 'none' } }))).to.equal(false);
+      expect(isShown(element('A', { style: { visibility: 'hidden' } }))).to.equal(false);
+      expect(isShown(element('A', { style: { opacity: '0' } }))).to.equal(false);
+    });
+  });
+});
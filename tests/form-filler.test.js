@@ -0,0 +1,198 @@
+const { expect } = require('chai');
+const {
+  inferFieldKind,
+  sampleValue,
+  invalidValue,
+  fillForm,
+  submitInvalidForm,
+  readValidationState,
+  blockFormSubmissions
+} = require('../src/services/screenshot/formFiller');
+
+// Stands in for a Playwright page holding one form: markFields numbers
+// `fields`, each marked field's locator describes it and records what was
+// done to it, and submitForm is recorded instead of run
+function fakeFormPage(fields, { failing = [] } = {}) {
+  const calls = [];
+  const page = {
+    calls,
+    evaluate: async (fn, arg) => {
+      if (fn.name === 'markFields') {
+        return fields.length;
+      }
+      if (fn.name === 'submitForm') {
+        calls.push(['submit', arg]);
+        return true;
+      }
+      return undefined;
+    },
+    locator: selector => {
+      const field = fields[Number(selector.match(/"(\d+)"/)[1])];
+      const act = action => async (...args) => {
+        if (failing.includes(field.name)) {
+          throw new Error(`${action}: element is not editable`);
+        }
+        // check/uncheck only take options; fill/selectOption take a value first
+        calls.push(['fill', 'selectOption'].includes(action) ? [action, field.name, args[0]] : [action, field.name]);
+      };
+      return {
+        evaluate: async fn => (fn.name === 'describeField' ? field : undefined),
+        fill: act('fill'),
+        check: act('check'),
+        uncheck: act('uncheck'),
+        selectOption: act('selectOption')
+      };
+    }
+  };
+  return page;
+}
+
+const SIGNUP_FIELDS = [
+  { tag: 'input', type: 'email', name: 'email', required: true },
+  { tag: 'input', type: 'email', name: 'backup_email' },
+  { tag: 'input', type: 'password', name: 'password', required: true },
+  { tag: 'input', type: 'text', name: 'nickname' },
+  { tag: 'select', type: '', name: 'country', options: [{ value: '' }, { value: 'nl' }, { value: 'de' }] },
+  { tag: 'input', type: 'radio', name: 'plan', group: 'plan' },
+  { tag: 'input', type: 'radio', name: 'plan', group: 'plan' },
+  { tag: 'input', type: 'checkbox', name: 'terms', required: true, checked: true },
+  { tag: 'input', type: 'checkbox', name: 'newsletter' }
+];
+
+describe('form filler', () => {
+  it('infers what a field is for from its type, autocomplete token and hints', () => {
+    expect(inferFieldKind({ tag: 'input', type: 'email', name: 'contact' })).to.equal('email');
+    expect(inferFieldKind({ tag: 'input', type: 'text', autocomplete: 'shipping postal-code' })).to.equal('postalCode');
+    expect(inferFieldKind({ tag: 'input', type: 'text', name: 'user_email' })).to.equal('email');
+    expect(inferFieldKind({ tag: 'input', type: 'text', name: 'first_name' })).to.equal('firstName');
+    expect(inferFieldKind({ tag: 'input', type: 'text', label: 'Company name' })).to.equal('company');
+    expect(inferFieldKind({ tag: 'input', type: 'text', placeholder: 'Your phone number' })).to.equal('tel');
+    expect(inferFieldKind({ tag: 'textarea', name: 'body' })).to.equal('message');
+    expect(inferFieldKind({ tag: 'input', type: 'text', name: 'misc' })).to.equal('text');
+  });
+
+  it('keeps sample values inside min, max and maxlength', () => {
+    expect(sampleValue({ type: 'email' })).to.equal('alex.morgan@example.com');
+    expect(sampleValue({ type: 'number', min: '1', max: '9' })).to.equal('5');
+    expect(sampleValue({ type: 'number', min: '100' })).to.equal('100');
+    expect(sampleValue({ type: 'date', max: '2025-01-31' })).to.equal('2025-01-31');
+    expect(sampleValue({ type: 'date', name: 'arrival' })).to.equal('2030-06-14');
+    expect(sampleValue({ type: 'date', name: 'date_of_birth' })).to.equal('1990-04-15');
+    expect(sampleValue({ type: 'text', name: 'dob' })).to.equal('1990-04-15');
+    expect(sampleValue({ type: 'text', name: 'zip', maxLength: 3 })).to.equal('902');
+  });
+
+  it('empties required fields and types rejected values into optional ones', () => {
+    expect(invalidValue({ type: 'email', required: true })).to.equal('');
+    expect(invalidValue({ type: 'email' })).to.equal('not-an-email');
+    expect(invalidValue({ type: 'number', min: '1' })).to.equal('0');
+    expect(invalidValue({ type: 'text', name: 'city' })).to.equal('');
+  });
+
+  it('fills each field with a value that suits it, skips fields it cannot fill and keeps values out of the summary', async () => {
+    const page = fakeFormPage(SIGNUP_FIELDS, { failing: ['nickname'] });
+    const result = await fillForm(page, '#signup');
+
+    expect(page.calls).to.deep.equal([
+      ['fill', 'email', 'alex.morgan@example.com'],
+      ['fill', 'backup_email', 'alex.morgan@example.com'],
+      ['fill', 'password', sampleValue({ type: 'password' })],
+      ['selectOption', 'country', 'nl'],
+      ['check', 'plan'],
+      ['check', 'terms']
+    ]);
+    expect(result.fields).to.equal(SIGNUP_FIELDS.length);
+    expect(result.filled.map(entry => entry.field)).to.deep.equal(['email', 'backup_email', 'password', 'country', 'plan', 'terms']);
+    expect(JSON.stringify(result)).not.to.include(sampleValue({ type: 'password' }));
+  });
+
+  it('clears or breaks every field before submitting the form', async () => {
+    const page = fakeFormPage(SIGNUP_FIELDS);
+    const result = await submitInvalidForm(page, '#signup');
+
+    expect(page.calls).to.deep.equal([
+      ['fill', 'email', ''],
+      ['fill', 'backup_email', 'not-an-email'],
+      ['fill', 'password', ''],
+      ['fill', 'nickname', ''],
+      ['selectOption', 'country', { index: 0 }],
+      ['uncheck', 'terms'],
+      ['submit', '#signup']
+    ]);
+    expect(result).to.deep.equal({ fields: SIGNUP_FIELDS.length });
+  });
+
+  it('reports the fields the browser and the site flag as invalid', async () => {
+    const field = (name, valid, validationMessage = '') => ({
+      name,
+      tagName: 'INPUT',
+      validity: { valid },
+      validationMessage,
+      labels: [],
+      removeAttribute: () => { field.unmarked.push(name); }
+    });
+    field.unmarked = [];
+    const fields = [field('email', false, 'Please fill out this field.'), field('nickname', true)];
+    const form = {
+      querySelectorAll: selector => (selector === '[aria-invalid="true"]' ? [{}, {}] : fields)
+    };
+    const page = {
+      evaluate: async (fn, arg) => {
+        const saved = global.document;
+        global.document = { querySelector: () => form };
+        try {
+          return fn(arg);
+        } finally {
+          global.document = saved;
+        }
+      }
+    };
+
+    expect(await readValidationState(page, '#signup')).to.deep.equal({
+      invalidFields: [{ field: 'email', message: 'Please fill out this field.' }],
+      ariaInvalid: 2
+    });
+    expect(field.unmarked).to.deep.equal(['email', 'nickname']);
+  });
+
+  it('aborts requests that could submit the form until released', async () => {
+    const routes = [];
+    const page = {
+      route: async (pattern, handler) => routes.push({ pattern, handler }),
+      unroute: async (pattern, handler) => {
+        routes.splice(routes.findIndex(route => route.pattern === pattern && route.handler === handler), 1);
+      }
+    };
+    const request = method => {
+      const outcome = [];
+      return {
+        outcome,
+        route: {
+          request: () => ({ method: () => method }),
+          abort: async reason => outcome.push(['abort', reason]),
+          fallback: async () => outcome.push(['fallback'])
+        }
+      };
+    };
+
+    const release = await blockFormSubmissions(page);
+    expect(routes.map(route => route.pattern)).to.deep.equal(['**/*']);
+    const results = ['POST', 'PUT', 'DELETE', 'GET', 'HEAD', 'OPTIONS'].map(method => {
+      const sent = request(method);
+      routes[0].handler(sent.route);
+      return [method, ...sent.outcome[0]];
+    });
+
+    expect(results).to.deep.equal([
+      ['POST', 'abort', 'blockedbyclient'],
+      ['PUT', 'abort', 'blockedbyclient'],
+      ['DELETE', 'abort', 'blockedbyclient'],
+      ['GET', 'fallback'],
+      ['HEAD', 'fallback'],
+      ['OPTIONS', 'fallback']
+    ]);
+
+    await release();
+    expect(routes).to.have.length(0);
+  });
+});
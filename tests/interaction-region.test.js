@@ -0,0 +1,129 @@
+const { expect } = require('chai');
+const { measureAffectedRegion } = require('../src/services/screenshot/interactionRegion');
+const { InteractionRunner } = require('../src/services/screenshot/interactionRunner');
+
+// Runs the in-page function against a tiny stand-in DOM: a 20px-tall menu
+// button at (100, 50) controlling a panel that opened below it
+function fakeDom({ scrollY = 0 } = {}) {
+  const element = (id, rect, attributes = {}) => ({
+    id,
+    parentElement: null,
+    getAttribute: name => attributes[name] ?? null,
+    getBoundingClientRect: () => ({
+      ...rect,
+      right: rect.left + rect.width,
+      bottom: rect.top + rect.height
+    })
+  });
+  const body = element('body', { left: 0, top: 0, width: 800, height: 2000 });
+  const button = element('menu', { left: 100, top: 50 - scrollY, width: 80, height: 20 }, { 'aria-controls': 'panel' });
+  const panel = element('panel', { left: 100, top: 70 - scrollY, width: 200, height: 150 });
+  const item = element('item', { left: 110, top: 80 - scrollY, width: 180, height: 20 });
+  const tooltip = element('tooltip', { left: 400, top: 300 - scrollY, width: 60, height: 30 });
+  const hidden = element('hidden', { left: 0, top: 0, width: 0, height: 0 });
+  [button, panel, tooltip, hidden].forEach(node => { node.parentElement = body; });
+  item.parentElement = panel;
+  const all = [button, panel, item, tooltip, hidden];
+
+  return {
+    nodes: { button, panel, item, tooltip },
+    globals: {
+      window: { scrollX: 0, scrollY },
+      document: {
+        body,
+        scrollingElement: { scrollWidth: 800, scrollHeight: 2000 },
+        querySelector: () => button,
+        querySelectorAll: () => all,
+        getElementById: id => all.find(node => node.id === id) || null
+      },
+      getComputedStyle: () => ({ visibility: 'visible', opacity: '1' })
+    }
+  };
+}
+
+function fakePage(globals) {
+  return {
+    evaluate: async (fn, arg) => {
+      const saved = {};
+      for (const [name, value] of Object.entries(globals)) {
+        saved[name] = global[name];
+        global[name] = value;
+      }
+      try {
+        return fn(arg);
+      } finally {
+        Object.assign(global, saved);
+      }
+    }
+  };
+}
+
+describe('measureAffectedRegion', () => {
+  it('boxes the target and its aria-controls target in document coordinates', async () => {
+    const { globals } = fakeDom({ scrollY: 30 });
+    const region = await measureAffectedRegion(fakePage(globals), '#menu', { padding: 10 });
+
+    expect(region).to.deep.equal({
+      boundingBox: { x: 90, y: 40, width: 220, height: 190 },
+      controlled: 1,
+      revealed: 0
+    });
+  });
+
+  it('adds elements that became visible, but not children of a revealed container', async () => {
+    const { globals, nodes } = fakeDom();
+    globals.window.__vuxiVisibleBeforeAction = new WeakSet([nodes.button]);
+    const region = await measureAffectedRegion(fakePage(globals), '#menu', { padding: 0 });
+
+    expect(region.revealed).to.equal(2);
+    expect(region.boundingBox).to.deep.equal({ x: 100, y: 50, width: 360, height: 280 });
+    expect(globals.window).to.not.have.property('__vuxiVisibleBeforeAction');
+  });
+});
+
+describe('InteractionRunner crops', () => {
+  // A hover flyout that closes as soon as the page scrolls or the pointer
+  // moves, which a full-page capture does
+  function flyoutPage() {
+    const shots = [];
+    let open = false;
+    const target = {
+      scrollIntoViewIfNeeded: async () => {},
+      hover: async () => { open = true; },
+      click: async () => {}
+    };
+    const page = {
+      shots,
+      evaluate: async fn => (fn.name === 'measureRegion'
+        ? { boundingBox: { x: 0, y: 0, width: 200, height: 120 }, controlled: 1, revealed: 0 }
+        : undefined),
+      waitForFunction: async () => {},
+      waitForTimeout: async () => {},
+      locator: () => ({ count: async () => 1, first: () => target }),
+      screenshot: async options => {
+        shots.push({ kind: options.clip ? 'crop' : 'full', open });
+        open = false;
+      }
+    };
+    return page;
+  }
+
+  it('takes the crop before the full capture so hover states are still open', async () => {
+    const page = flyoutPage();
+    const runner = new InteractionRunner({ screenshotsDir: '/tmp/vuxi-crops/desktop' });
+
+    const [entry] = await runner.capture({
+      page,
+      url: 'https://example.com',
+      baseFilename: '001_example.png',
+      groups: [{ descriptor: 'Products', selector: '#products', action: 'hover' }]
+    });
+
+    expect(page.shots).to.deep.equal([
+      { kind: 'crop', open: true },
+      { kind: 'full', open: false }
+    ]);
+    expect(entry.status).to.equal('captured');
+    expect(entry.crop.boundingBox).to.deep.equal({ x: 0, y: 0, width: 200, height: 120 });
+  });
+});
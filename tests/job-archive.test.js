@@ -0,0 +1,86 @@
+const { expect } = require('chai');
+const path = require('path');
+const os = require('os');
+const zlib = require('zlib');
+const fs = require('fs-extra');
+const { writeJobArchive, keptScreenshotPaths } = require('../src/services/jobArchive');
+
+// Reads entries back through the central directory, the way unzip tools do
+function readZip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = {};
+
+  for (let i = 0; i < count; i += 1) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    entries[name] = { method, content: method === 8 ? zlib.inflateRawSync(data) : data };
+    offset += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('writeJobArchive', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'vuxi-archive-'));
+    const outputDir = path.join(root, 'job');
+    await fs.outputJson(path.join(outputDir, 'metadata.json'), { successful: 1 });
+    await fs.outputFile(path.join(outputDir, 'desktop/001_example.png'), Buffer.from('png-base'));
+    await fs.outputFile(path.join(outputDir, 'desktop/001_example__interaction-01-menu.png'), Buffer.from('png-menu'));
+    await fs.outputFile(path.join(outputDir, 'desktop/002_stale.png'), Buffer.from('png-stale'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  async function archive(options = {}) {
+    const zipPath = path.join(root, 'job.zip');
+    const output = fs.createWriteStream(zipPath);
+    const result = await writeJobArchive(output, { outputDir: path.join(root, 'job'), rootName: 'job_1', ...options });
+    await new Promise(resolve => output.end(resolve));
+    return { result, entries: readZip(await fs.readFile(zipPath)) };
+  }
+
+  it('zips every file, deflating JSON and storing images as-is', async () => {
+    const { result, entries } = await archive();
+
+    expect(result.files).to.equal(4);
+    expect(Object.keys(entries)).to.have.members([
+      'job_1/desktop/001_example.png',
+      'job_1/desktop/001_example__interaction-01-menu.png',
+      'job_1/desktop/002_stale.png',
+      'job_1/metadata.json'
+    ]);
+    expect(entries['job_1/metadata.json'].method).to.equal(8);
+    expect(JSON.parse(entries['job_1/metadata.json'].content)).to.deep.equal({ successful: 1 });
+    expect(entries['job_1/desktop/001_example.png'].method).to.equal(0);
+    expect(entries['job_1/desktop/001_example.png'].content.toString()).to.equal('png-base');
+  });
+
+  it('keeps only the screenshots that are part of the results when asked', async () => {
+    const keptScreenshots = keptScreenshotPaths([{
+      path: 'desktop/001_example.png',
+      interactions: [
+        { status: 'captured', screenshot: { path: 'desktop/001_example__interaction-01-menu.png' } },
+        { status: 'duplicate', screenshot: { path: 'desktop/002_stale.png' } }
+      ]
+    }]);
+    const { entries } = await archive({ keptScreenshots });
+
+    expect(Object.keys(entries)).to.have.members([
+      'job_1/desktop/001_example.png',
+      'job_1/desktop/001_example__interaction-01-menu.png',
+      'job_1/metadata.json'
+    ]);
+  });
+});
@@ -0,0 +1,112 @@
+const { expect } = require('chai');
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+const { JobComparisonService } = require('../src/services/comparison');
+
+function solidPng(filePath, { width = 20, height = 20, color = '#ffffff', box } = {}) {
+  const composite = box
+    ? [{
+      input: { create: { width: box.width, height: box.height, channels: 4, background: box.color } },
+      left: box.left,
+      top: box.top
+    }]
+    : [];
+  return fs.ensureDir(path.dirname(filePath)).then(() =>
+    sharp({ create: { width, height, channels: 4, background: color } })
+      .composite(composite)
+      .png()
+      .toFile(filePath)
+  );
+}
+
+function fakeJob(id, outputDir, pages) {
+  return {
+    id,
+    outputDir,
+    results: {
+      screenshots: pages.map(url => ({
+        url,
+        viewport: 'desktop',
+        path: `desktop/${encodeURIComponent(url)}.png`,
+        interactions: []
+      }))
+    }
+  };
+}
+
+describe('JobComparisonService', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'vuxi-compare-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  it('diffs matching screenshots and flags added and removed pages', async () => {
+    const before = fakeJob('before', path.join(root, 'before'), [
+      'https://example.com/',
+      'https://example.com/old'
+    ]);
+    const after = fakeJob('after', path.join(root, 'after'), [
+      'https://example.com/',
+      'https://example.com/new'
+    ]);
+
+    await solidPng(path.join(before.outputDir, before.results.screenshots[0].path));
+    await solidPng(path.join(after.outputDir, after.results.screenshots[0].path), {
+      box: { width: 10, height: 4, left: 0, top: 0, color: '#000000' }
+    });
+
+    const service = new JobComparisonService({ outputRoot: path.join(root, 'comparisons') });
+    const comparison = await service.compare(before, after);
+
+    expect(comparison.pairs).to.have.length(1);
+    expect(comparison.pairs[0]).to.include({
+      url: 'https://example.com/',
+      status: 'changed',
+      mismatchedPixels: 40,
+      mismatchPercentage: 10
+    });
+    expect(await fs.pathExists(path.join(comparison.outputDir, comparison.pairs[0].diff))).to.equal(true);
+    expect(comparison.pages).to.deep.equal({
+      added: ['https://example.com/new'],
+      removed: ['https://example.com/old']
+    });
+
+    const saved = await fs.readJson(comparison.files.comparison);
+    expect(saved.summary).to.include({ compared: 1, changed: 1, addedScreenshots: 1, removedScreenshots: 1 });
+  });
+
+  it('compares an interaction that is a duplicate in one run and captured in the other', async () => {
+    const before = fakeJob('before', path.join(root, 'before'), ['https://example.com/']);
+    const after = fakeJob('after', path.join(root, 'after'), ['https://example.com/']);
+    before.results.screenshots[0].interactions.push({
+      descriptor: 'Menu',
+      status: 'duplicate',
+      screenshot: { path: before.results.screenshots[0].path }
+    });
+    after.results.screenshots[0].interactions.push({
+      descriptor: 'Menu',
+      status: 'captured',
+      screenshot: { path: 'desktop/menu.png' }
+    });
+    await solidPng(path.join(before.outputDir, before.results.screenshots[0].path));
+    await solidPng(path.join(after.outputDir, after.results.screenshots[0].path));
+    await solidPng(path.join(after.outputDir, 'desktop/menu.png'));
+
+    const service = new JobComparisonService({ outputRoot: path.join(root, 'comparisons') });
+    const comparison = await service.compare(before, after);
+
+    expect(comparison.pairs.map(pair => [pair.interaction, pair.status])).to.deep.equal([
+      [null, 'unchanged'],
+      ['Menu', 'unchanged']
+    ]);
+    const saved = await fs.readJson(comparison.files.comparison);
+    expect(saved.summary).to.include({ compared: 2, addedScreenshots: 0, removedScreenshots: 0 });
+  });
+});
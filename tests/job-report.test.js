@@ -0,0 +1,87 @@
+const { expect } = require('chai');
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+const { JobReportService } = require('../src/services/report');
+
+function writePng(filePath, color) {
+  return fs.ensureDir(path.dirname(filePath)).then(() =>
+    sharp({ create: { width: 40, height: 60, channels: 4, background: color } })
+      .png()
+      .toFile(filePath)
+  );
+}
+
+describe('JobReportService', () => {
+  let outputDir;
+
+  beforeEach(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vuxi-report-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(outputDir);
+  });
+
+  it('writes a self-contained report with interactions, skips and dedup decisions', async () => {
+    await writePng(path.join(outputDir, 'desktop/001_example.com.png'), '#ffffff');
+    await writePng(path.join(outputDir, 'desktop/001_example.com__interaction-01-menu.png'), '#3366ff');
+    await fs.writeJson(path.join(outputDir, 'urls.json'), {
+      excluded: [{ url: 'https://example.com/login', source: 'builtin', group: 'accountFlows', rule: '/login' }]
+    });
+    await fs.writeJson(path.join(outputDir, 'metadata.json'), {
+      interactions: { groups: 3, screenshots: 1 },
+      deduplication: {
+        totalDuplicates: 1,
+        removed: [{
+          removed: { type: 'base', url: 'https://example.com/copy', filename: '002_example.com_copy.png' },
+          kept: { type: 'base', url: 'https://example.com', filename: '001_example.com.png' }
+        }]
+      },
+      pages: [
+        { url: 'https://example.com', variants: [{ viewport: 'desktop', status: 'captured' }] },
+        { url: 'https://example.com/broken', variants: [{ viewport: 'desktop', status: 'failed', error: 'Timeout 30000ms exceeded' }] }
+      ]
+    });
+
+    const report = await new JobReportService().write({
+      id: 'job-1',
+      baseUrl: 'https://example.com',
+      status: 'completed',
+      outputDir,
+      results: {
+        urls: ['https://example.com', 'https://example.com/broken'],
+        screenshots: [{
+          url: 'https://example.com',
+          viewport: 'desktop',
+          path: 'desktop/001_example.com.png',
+          interactions: [
+            {
+              descriptor: 'Open <menu>',
+              action: 'click',
+              status: 'captured',
+              screenshot: { path: 'desktop/001_example.com__interaction-01-menu.png' }
+            },
+            { descriptor: 'Pricing link', action: 'click', status: 'skipped', reason: 'Would navigate away from page' },
+            { descriptor: 'Tabs', action: 'click', status: 'failed', error: 'Element is not visible' }
+          ]
+        }],
+        stats: { discovery: { pagesCrawled: 2, changes: { new: 2 } }, screenshots: { totalScreenshots: 1 } },
+        files: { urls: { urls: 'urls.json' }, screenshots: { metadata: 'metadata.json' } }
+      }
+    });
+
+    expect(report).to.include({ path: path.join(outputDir, 'index.html'), pages: 2, images: 2 });
+    const html = await fs.readFile(report.path, 'utf8');
+    expect(html.match(/src="data:image\/jpeg;base64,/g)).to.have.length(2);
+    expect(html).to.include('click: Open &lt;menu&gt;');
+    expect(html).to.include('Would navigate away from page');
+    expect(html).to.include('Element is not visible');
+    expect(html).to.include('Timeout 30000ms exceeded');
+    expect(html).to.include('002_example.com_copy.png');
+    expect(html).to.include('changes.new');
+    expect(html).to.include('https://example.com/login');
+    expect(html).not.to.match(/<(link|script)[^>]+(href|src)=/);
+  });
+});
@@ -2,7 +2,10 @@ const { expect } = require('chai');
 const path = require('path');
 const os = require('os');
 const fs = require('fs-extra');
-const { JobRunner, JOB_STATUS } = require('../src/jobs/jobRunner');
+const { EventEmitter } = require('events');
+const { JobRunner, JOB_STATUS, TERMINAL_STATUSES, RECOVERY_MODES } = require('../src/jobs/jobRunner');
+const { MemoryJobStore, FileJobStore, SupabaseJobStore } = require('../src/jobs/stores');
+const { streamJobEvents } = require('../src/jobs/jobEvents');
 
 const SUCCESSFUL_DISCOVERY = {
   success: true,
@@ -42,10 +45,37 @@ function waitFor(predicate, timeout = 1000) {
   });
 }
 
-function createRunner(factories = {}) {
+function createRunner(factories = {}, options = {}) {
   const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'vuxi-job-runner-'));
   tempDirs.push(tmpRoot);
-  return new JobRunner(factories, { outputRoot: tmpRoot });
+  return new JobRunner(factories, {
+    outputRoot: tmpRoot,
+    jobStoreDir: path.join(tmpRoot, '.jobs'),
+    ...options
+  });
+}
+
+const STUB_FACTORIES = {
+  discoveryFactory: () => ({
+    discover: async () => SUCCESSFUL_DISCOVERY
+  }),
+  screenshotFactory: () => ({
+    captureAll: async () => SUCCESSFUL_SCREENSHOT
+  })
+};
+
+function storedJob(overrides = {}) {
+  return {
+    id: 'job-interrupted',
+    baseUrl: 'https://example.com',
+    status: JOB_STATUS.SCREENSHOT,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    outputDir: os.tmpdir(),
+    options: { maxPages: 2 },
+    progress: { stage: 'screenshot', message: 'Capturing screenshots' },
+    ...overrides
+  };
 }
 
 const tempDirs = [];
@@ -72,6 +102,8 @@ describe('JobRunner', () => {
     expect(finished.status).to.equal(JOB_STATUS.COMPLETED);
     expect(finished.discovery.count).to.equal(2);
     expect(finished.results.screenshots).to.have.length(1);
+    expect(finished.results.files.report).to.equal(path.join(finished.outputDir, 'index.html'));
+    expect(await fs.pathExists(finished.results.files.report)).to.equal(true);
   });
 
   it('marks job as failed when services throw', async () => {
@@ -90,4 +122,588 @@ describe('JobRunner', () => {
     expect(failed.status).to.equal(JOB_STATUS.FAILED);
     expect(failed.error).to.match(/boom/i);
   });
+
+  it('resolves viewport presets and passes them to the screenshot service', async () => {
+    let screenshotOptions = null;
+    const runner = createRunner({
+      ...STUB_FACTORIES,
+      screenshotFactory: options => {
+        screenshotOptions = options;
+        return STUB_FACTORIES.screenshotFactory();
+      }
+    });
+
+    const job = runner.createJob('https://example.com', {
+      viewports: ['desktop', 'mobile', { name: 'wide', width: 1920, height: 1080 }]
+    });
+    await waitFor(() => runner.getJob(job.id).status === JOB_STATUS.COMPLETED);
+
+    expect(screenshotOptions.viewports.map(v => v.name)).to.deep.equal([
+      'desktop',
+      'mobile',
+      'wide'
+    ]);
+    expect(screenshotOptions.viewports[0]).to.include({ width: 1280, height: 720 });
+    expect(screenshotOptions.viewports[1]).to.include({ isMobile: true, hasTouch: true });
+    expect(() => runner.createJob('https://example.com', { viewports: ['watch'] }))
+      .to.throw(/Unknown viewport preset "watch"/);
+  });
+
+  it('emulates Playwright devices when devices are requested', () => {
+    const runner = createRunner(STUB_FACTORIES, { store: new MemoryJobStore() });
+    const job = runner.createJob('https://example.com', { devices: ['iPhone 13'] });
+
+    expect(job.options.viewports).to.have.length(1);
+    expect(job.options.viewports[0]).to.include({
+      name: 'iphone-13',
+      device: 'iPhone 13',
+      isMobile: true
+    });
+    expect(job.options.viewports[0].userAgent).to.match(/iPhone/);
+    expect(() => runner.createJob('https://example.com', { devices: ['Nokia 3310'] }))
+      .to.throw(/Unknown device "Nokia 3310"/);
+  });
+
+  it('shares one authenticated session between discovery and screenshots', async () => {
+    const session = { storageState: { cookies: [], origins: [] } };
+    const sessionCalls = [];
+    const received = {};
+    const runner = createRunner({
+      sessionFactory: async auth => {
+        sessionCalls.push(auth);
+        return session;
+      },
+      discoveryFactory: options => {
+        received.discovery = options.session;
+        return STUB_FACTORIES.discoveryFactory();
+      },
+      screenshotFactory: options => {
+        received.screenshot = options.session;
+        return STUB_FACTORIES.screenshotFactory();
+      }
+    }, { store: new MemoryJobStore() });
+
+    const auth = { headers: { Authorization: 'Bearer secret-token' } };
+    const job = runner.createJob('https://example.com', { auth });
+    await waitFor(() => runner.getJob(job.id).status === JOB_STATUS.COMPLETED);
+
+    expect(sessionCalls).to.deep.equal([auth]);
+    expect(received.discovery).to.equal(session);
+    expect(received.screenshot).to.equal(session);
+    expect(runner.getJob(job.id).options.auth).to.deep.equal({
+      storageState: false,
+      cookies: 0,
+      headers: ['Authorization']
+    });
+    expect(JSON.stringify(runner.getJob(job.id))).to.not.include('secret-token');
+  });
+
+  it('reuses screenshots of unchanged pages from a previous job', async () => {
+    const received = {};
+    const runner = createRunner({
+      discoveryFactory: options => {
+        received.previousPages = options.previousPages;
+        return {
+          discover: async () => ({
+            ...SUCCESSFUL_DISCOVERY,
+            changes: options.previousPages
+              ? { 'https://example.com': 'unchanged', 'https://example.com/about': 'changed' }
+              : null
+          })
+        };
+      },
+      screenshotFactory: () => ({
+        captureAll: async (urls, { reuse }) => {
+          received.reuse = reuse;
+          return SUCCESSFUL_SCREENSHOT;
+        }
+      })
+    }, { store: new MemoryJobStore() });
+
+    const first = runner.createJob('https://example.com');
+    await waitFor(() => runner.getJob(first.id).status === JOB_STATUS.COMPLETED);
+    const pages = { 'https://example.com': { contentHash: 'abc', etag: null, lastModified: null } };
+    await fs.outputJson(path.join(first.outputDir, 'urls.json'), { pages });
+
+    const second = runner.createJob('https://example.com', { previousJobId: first.id });
+    await waitFor(() => runner.getJob(second.id).status === JOB_STATUS.COMPLETED);
+
+    expect(received.previousPages).to.deep.equal(pages);
+    expect(received.reuse).to.deep.include({
+      jobId: first.id,
+      outputDir: first.outputDir,
+      urls: ['https://example.com']
+    });
+    expect(received.reuse.entries).to.deep.equal(SUCCESSFUL_SCREENSHOT.successful);
+    expect(() => runner.createJob('https://example.com', { previousJobId: 'missing' }))
+      .to.throw(/Previous job missing not found/);
+  });
+
+  it('runs journeys after the screenshots and keeps their traces in the results', async () => {
+    const received = {};
+    const journeys = [{
+      name: 'Checkout',
+      steps: [
+        { action: 'goto', url: '/cart' },
+        { action: 'click', role: 'button', name: 'Checkout' },
+        { action: 'screenshot', label: 'Payment form' }
+      ]
+    }];
+    const runner = createRunner({
+      ...STUB_FACTORIES,
+      journeyFactory: options => {
+        received.options = options;
+        return {
+          runAll: async list => {
+            received.journeys = list;
+            return {
+              journeys: [{ name: 'Checkout', status: 'failed', steps: [] }],
+              stats: { total: 1, passed: 0, failed: 1 },
+              file: path.join(options.outputDir, 'journeys.json')
+            };
+          }
+        };
+      }
+    }, { store: new MemoryJobStore() });
+
+    const job = runner.createJob('https://example.com', { journeys });
+    await waitFor(() => runner.getJob(job.id).status === JOB_STATUS.COMPLETED);
+
+    const finished = runner.getJob(job.id);
+    expect(received.journeys).to.deep.equal(journeys);
+    expect(received.options).to.include({ baseUrl: 'https://example.com', outputDir: finished.outputDir });
+    expect(received.options.viewport).to.include({ name: 'desktop', width: 1280, height: 720 });
+    expect(finished.results.journeys[0].status).to.equal('failed');
+    expect(finished.results.stats.journeys).to.deep.equal({ total: 1, passed: 0, failed: 1 });
+    expect(finished.results.files.journeys).to.equal(path.join(finished.outputDir, 'journeys.json'));
+
+    expect(() => runner.createJob('https://example.com', {
+      journeys: [{ name: 'Broken', steps: [{ action: 'click' }] }]
+    })).to.throw(/journeys\[0\]\.steps\[0\] needs a target/);
+    expect(() => runner.createJob('https://example.com', {
+      journeys: [{ name: 'Broken', steps: [{ action: 'hover', selector: 'a' }] }]
+    })).to.throw(/action must be one of/);
+    ['file:///etc/passwd', 'http://169.254.169.254/latest/meta-data', '//attacker.example/'].forEach(url => {
+      expect(() => runner.createJob('https://example.com', {
+        journeys: [{ name: 'Escape', steps: [{ action: 'goto', url }] }]
+      })).to.throw(/steps\[0\]\.url must be an http\(s\) URL on the same origin/);
+    });
+    process.env.VUXI_TEST_SERVER_SECRET = 'secret';
+    try {
+      expect(() => runner.createJob('https://example.com', {
+        journeys: [{ name: 'Leak', steps: [{ action: 'fill', selector: 'input', valueEnv: 'VUXI_TEST_SERVER_SECRET' }] }]
+      })).to.throw(/valueEnv "VUXI_TEST_SERVER_SECRET" must start with CAPTURE_CRED_/);
+    } finally {
+      delete process.env.VUXI_TEST_SERVER_SECRET;
+    }
+  });
+
+  it('rejects login recipes whose credentials are missing from the environment', () => {
+    const runner = createRunner(STUB_FACTORIES, { store: new MemoryJobStore() });
+    const login = {
+      url: 'https://example.com/login',
+      usernameSelector: '#email',
+      passwordSelector: '#password',
+      usernameEnv: 'CAPTURE_CRED_VUXI_TEST_MISSING_USER',
+      passwordEnv: 'CAPTURE_CRED_VUXI_TEST_MISSING_PASSWORD'
+    };
+
+    expect(() => runner.createJob('https://example.com', { auth: { login } }))
+      .to.throw(/CAPTURE_CRED_VUXI_TEST_MISSING_USER" is not set/);
+    expect(runner.listJobs()).to.have.length(0);
+  });
+
+  it('only reads credentials from capture env vars and logs in on the job origin', () => {
+    const runner = createRunner(STUB_FACTORIES, { store: new MemoryJobStore() });
+    process.env.VUXI_TEST_SERVER_SECRET = 'secret';
+    process.env.CAPTURE_CRED_VUXI_TEST_USER = 'user@example.com';
+    const login = {
+      url: 'https://example.com/login',
+      usernameSelector: '#email',
+      passwordSelector: '#password',
+      usernameEnv: 'CAPTURE_CRED_VUXI_TEST_USER',
+      passwordEnv: 'VUXI_TEST_SERVER_SECRET'
+    };
+
+    try {
+      expect(() => runner.createJob('https://example.com', { auth: { login } }))
+        .to.throw(/passwordEnv "VUXI_TEST_SERVER_SECRET" must start with CAPTURE_CRED_/);
+      expect(() => runner.createJob('https://example.com', {
+        auth: { login: { ...login, url: 'https://attacker.example/login', passwordEnv: 'CAPTURE_CRED_VUXI_TEST_USER' } }
+      })).to.throw(/auth\.login\.url must be an http\(s\) URL on the same origin/);
+      expect(runner.listJobs()).to.have.length(0);
+    } finally {
+      delete process.env.VUXI_TEST_SERVER_SECRET;
+      delete process.env.CAPTURE_CRED_VUXI_TEST_USER;
+    }
+  });
+
+  it('writes every job transition through the store', async () => {
+    const store = new MemoryJobStore();
+    const runner = createRunner(STUB_FACTORIES, { store });
+
+    const job = runner.createJob('https://example.com');
+    await waitFor(() => runner.getJob(job.id).status === JOB_STATUS.COMPLETED);
+    await new Promise(resolve => setImmediate(resolve));
+
+    const persisted = await store.get(job.id);
+    expect(persisted.status).to.equal(JOB_STATUS.COMPLETED);
+    expect(persisted.results.screenshots).to.have.length(1);
+  });
+
+  it('loads jobs from the store that are not cached', async () => {
+    const store = new MemoryJobStore();
+    await store.save(storedJob({ status: JOB_STATUS.COMPLETED }));
+    const runner = createRunner(STUB_FACTORIES, { store });
+
+    expect(runner.getJob('job-interrupted')).to.equal(undefined);
+    const loaded = await runner.loadJob('job-interrupted');
+    expect(loaded.status).to.equal(JOB_STATUS.COMPLETED);
+    expect(await runner.loadJob('missing')).to.equal(null);
+  });
+
+  it('fails interrupted jobs on recovery by default', async () => {
+    const store = new MemoryJobStore();
+    await store.save(storedJob());
+    await store.save(storedJob({ id: 'job-done', status: JOB_STATUS.COMPLETED }));
+    const runner = createRunner(STUB_FACTORIES, { store });
+
+    const summary = await runner.recover();
+
+    expect(summary).to.deep.equal({ restored: 2, failed: 1, requeued: 0 });
+    expect(runner.getJob('job-interrupted').status).to.equal(JOB_STATUS.FAILED);
+    expect(runner.getJob('job-interrupted').error).to.match(/restart/);
+    expect(runner.getJob('job-done').status).to.equal(JOB_STATUS.COMPLETED);
+  });
+
+  it('re-runs interrupted jobs when recovery mode is requeue', async () => {
+    const store = new MemoryJobStore();
+    await store.save(storedJob());
+    const runner = createRunner(STUB_FACTORIES, {
+      store,
+      recoveryMode: RECOVERY_MODES.REQUEUE
+    });
+
+    const summary = await runner.recover();
+    expect(summary.requeued).to.equal(1);
+
+    await waitFor(
+      () => runner.getJob('job-interrupted').status === JOB_STATUS.COMPLETED
+    );
+  });
+
+  it('fails instead of re-queuing jobs whose store dropped their options', async () => {
+    // A stand-in for the Supabase client holding rows in memory
+    const rows = new Map();
+    const client = {
+      from: () => ({
+        upsert: async row => {
+          rows.set(row.id, row);
+          return { error: null };
+        },
+        select: () => ({
+          then: resolve => resolve({ data: [...rows.values()], error: null })
+        })
+      })
+    };
+    const store = new SupabaseJobStore({ client });
+    await store.save(storedJob());
+    const [roundTripped] = await store.list();
+    expect(roundTripped.options).to.deep.equal({});
+    expect(roundTripped).to.not.have.property('outputDir');
+
+    const runner = createRunner(STUB_FACTORIES, {
+      store,
+      recoveryMode: RECOVERY_MODES.REQUEUE
+    });
+    const summary = await runner.recover();
+
+    expect(summary).to.deep.equal({ restored: 1, failed: 1, requeued: 0 });
+    expect(runner.getJob('job-interrupted').status).to.equal(JOB_STATUS.FAILED);
+    expect(runner.getJob('job-interrupted').error).to.match(/cannot be re-queued/);
+  });
+});
+
+describe('JobRunner queue', () => {
+  function deferredDiscovery() {
+    const releases = [];
+    const started = [];
+    const factories = {
+      ...STUB_FACTORIES,
+      discoveryFactory: () => ({
+        discover: baseUrl =>
+          new Promise(resolve => {
+            started.push(baseUrl);
+            releases.push(() => resolve(SUCCESSFUL_DISCOVERY));
+          })
+      })
+    };
+    return { factories, releases, started };
+  }
+
+  it('never runs more than maxConcurrentJobs at once', async () => {
+    const { factories, releases, started } = deferredDiscovery();
+    const runner = createRunner(factories, {
+      store: new MemoryJobStore(),
+      maxConcurrentJobs: 1
+    });
+
+    const first = runner.createJob('https://example.com/one');
+    const second = runner.createJob('https://example.com/two');
+    expect(second.status).to.equal(JOB_STATUS.QUEUED);
+
+    await waitFor(() => started.length === 1);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(started).to.deep.equal(['https://example.com/one']);
+    expect(runner.getJob(second.id).status).to.equal(JOB_STATUS.QUEUED);
+    expect(runner.getJob(second.id).progress.queuePosition).to.equal(1);
+
+    releases[0]();
+    await waitFor(() => runner.getJob(first.id).status === JOB_STATUS.COMPLETED);
+    await waitFor(() => started.length === 2);
+    expect(runner.getJob(second.id).progress.queuePosition).to.equal(undefined);
+
+    releases[1]();
+    await waitFor(() => runner.getJob(second.id).status === JOB_STATUS.COMPLETED);
+  });
+
+  it('starts queued jobs in FIFO order and reports positions', async () => {
+    const { factories, releases, started } = deferredDiscovery();
+    const runner = createRunner(factories, {
+      store: new MemoryJobStore(),
+      maxConcurrentJobs: 1
+    });
+
+    const urls = ['a', 'b', 'c'].map(name => `https://example.com/${name}`);
+    const jobs = urls.map(url => runner.createJob(url));
+    await waitFor(() => started.length === 1);
+
+    expect(runner.getJob(jobs[1].id).progress.queuePosition).to.equal(1);
+    expect(runner.getJob(jobs[2].id).progress.queuePosition).to.equal(2);
+
+    releases[0]();
+    await waitFor(() => started.length === 2);
+    expect(runner.getJob(jobs[2].id).progress.queuePosition).to.equal(1);
+    releases[1]();
+    await waitFor(() => started.length === 3);
+    releases[2]();
+
+    expect(started).to.deep.equal(urls);
+    await waitFor(() => runner.getJob(jobs[2].id).status === JOB_STATUS.COMPLETED);
+  });
+});
+
+describe('JobRunner cancellation', () => {
+  it('aborts a running job and keeps partial results', async () => {
+    let receivedSignal = null;
+    const runner = createRunner({
+      discoveryFactory: () => ({
+        discover: async () => SUCCESSFUL_DISCOVERY
+      }),
+      screenshotFactory: () => ({
+        captureAll: (urls, { signal }) =>
+          new Promise(resolve => {
+            receivedSignal = signal;
+            signal.addEventListener('abort', () =>
+              resolve({ ...SUCCESSFUL_SCREENSHOT, cancelled: true })
+            );
+          })
+      })
+    }, { store: new MemoryJobStore() });
+
+    const job = runner.createJob('https://example.com');
+    await waitFor(() => receivedSignal !== null);
+
+    const cancelled = runner.cancelJob(job.id);
+    expect(cancelled.status).to.equal(JOB_STATUS.CANCELLED);
+    expect(receivedSignal.aborted).to.equal(true);
+
+    await waitFor(() => runner.getJob(job.id).progress.stage === 'cancelled');
+    const finished = runner.getJob(job.id);
+    expect(finished.status).to.equal(JOB_STATUS.CANCELLED);
+    expect(finished.results.screenshots).to.have.length(1);
+  });
+
+  it('stays cancelled when cancelled while screenshots upload', async () => {
+    const puts = [];
+    let finishUpload;
+    const storage = {
+      put: key => {
+        puts.push(key);
+        return new Promise(resolve => {
+          finishUpload = () => resolve(`https://cdn.example/${key}`);
+        });
+      }
+    };
+    const runner = createRunner({
+      ...STUB_FACTORIES,
+      screenshotFactory: () => ({
+        captureAll: async () => ({
+          ...SUCCESSFUL_SCREENSHOT,
+          successful: [
+            { url: 'https://example.com', path: 'desktop/001.png' },
+            { url: 'https://example.com/about', path: 'desktop/002.png' }
+          ]
+        })
+      })
+    }, { store: new MemoryJobStore(), storage, upload: { concurrency: 1 } });
+
+    const job = runner.createJob('https://example.com');
+    await waitFor(() => puts.length === 1);
+    runner.cancelJob(job.id);
+    finishUpload();
+
+    await waitFor(() => runner.getJob(job.id).progress.stage === 'cancelled');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const finished = runner.getJob(job.id);
+    expect(puts).to.have.length(1);
+    expect(finished.status).to.equal(JOB_STATUS.CANCELLED);
+    expect(finished.results.screenshots[0].storageUrl).to.equal('https://cdn.example/' + puts[0]);
+    expect(finished.results.screenshots[1].storageUrl).to.equal(null);
+  });
+
+  it('stays cancelled when cancelled while the report is written', async () => {
+    let finishReport;
+    const runner = createRunner(STUB_FACTORIES, {
+      store: new MemoryJobStore(),
+      reportService: {
+        write: () => new Promise(resolve => {
+          finishReport = () => resolve({ path: 'report.html' });
+        })
+      }
+    });
+
+    const job = runner.createJob('https://example.com');
+    await waitFor(() => finishReport !== undefined);
+    runner.cancelJob(job.id);
+    finishReport();
+
+    await waitFor(() => runner.getJob(job.id).progress.stage === 'cancelled');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const finished = runner.getJob(job.id);
+    expect(finished.status).to.equal(JOB_STATUS.CANCELLED);
+    expect(finished.results.screenshots).to.have.length(1);
+    expect(finished.results.files).not.to.have.property('report');
+  });
+
+  it('removes a queued job without running it', async () => {
+    let release;
+    const discoverCalls = [];
+    const runner = createRunner({
+      ...STUB_FACTORIES,
+      discoveryFactory: () => ({
+        discover: baseUrl => {
+          discoverCalls.push(baseUrl);
+          return new Promise(resolve => {
+            release = () => resolve(SUCCESSFUL_DISCOVERY);
+          });
+        }
+      })
+    }, { store: new MemoryJobStore(), maxConcurrentJobs: 1 });
+
+    const first = runner.createJob('https://example.com/one');
+    const second = runner.createJob('https://example.com/two');
+    await waitFor(() => discoverCalls.length === 1);
+
+    expect(runner.cancelJob(second.id).status).to.equal(JOB_STATUS.CANCELLED);
+    release();
+    await waitFor(() => runner.getJob(first.id).status === JOB_STATUS.COMPLETED);
+
+    expect(discoverCalls).to.deep.equal(['https://example.com/one']);
+    expect(runner.getJob(second.id).status).to.equal(JOB_STATUS.CANCELLED);
+  });
+
+  it('leaves finished jobs untouched', async () => {
+    const runner = createRunner(STUB_FACTORIES, { store: new MemoryJobStore() });
+    const job = runner.createJob('https://example.com');
+    await waitFor(() => runner.getJob(job.id).status === JOB_STATUS.COMPLETED);
+
+    expect(runner.cancelJob(job.id).status).to.equal(JOB_STATUS.COMPLETED);
+    expect(runner.cancelJob('missing')).to.equal(null);
+  });
+});
+
+describe('JobRunner events', () => {
+  it('publishes status transitions and service events to subscribers', async () => {
+    const runner = createRunner({
+      discoveryFactory: ({ onEvent }) => ({
+        discover: async () => {
+          onEvent({ type: 'page_crawled', url: 'https://example.com' });
+          return SUCCESSFUL_DISCOVERY;
+        }
+      }),
+      screenshotFactory: ({ onEvent }) => ({
+        captureAll: async () => {
+          onEvent({ type: 'screenshot_saved', path: 'desktop/001_example.png' });
+          return SUCCESSFUL_SCREENSHOT;
+        }
+      })
+    }, { store: new MemoryJobStore() });
+
+    const job = runner.createJob('https://example.com');
+    const received = [];
+    runner.subscribe(job.id, event => received.push(event));
+    await waitFor(() => runner.getJob(job.id).status === JOB_STATUS.COMPLETED);
+
+    const types = received.map(event => event.type);
+    expect(types).to.include.members(['status', 'page_crawled', 'screenshot_saved']);
+    expect(types.indexOf('page_crawled')).to.be.below(types.indexOf('screenshot_saved'));
+    expect(received.every(event => event.jobId === job.id)).to.equal(true);
+    expect(received[received.length - 1]).to.include({
+      type: 'status',
+      status: JOB_STATUS.COMPLETED
+    });
+  });
+
+  it('streams events over SSE and closes once the job settles', async () => {
+    const runner = createRunner(STUB_FACTORIES, { store: new MemoryJobStore() });
+    const job = runner.createJob('https://example.com');
+
+    const req = new EventEmitter();
+    const res = {
+      chunks: [],
+      ended: false,
+      writeHead(status, headers) {
+        this.status = status;
+        this.headers = headers;
+      },
+      write(chunk) {
+        this.chunks.push(chunk);
+      },
+      end() {
+        this.ended = true;
+      }
+    };
+
+    streamJobEvents(req, res, {
+      job,
+      events: runner.events,
+      terminalStatuses: TERMINAL_STATUSES
+    });
+    await waitFor(() => res.ended);
+
+    const body = res.chunks.join('');
+    expect(res.headers['Content-Type']).to.equal('text/event-stream');
+    expect(body.startsWith('id: 1\nevent: snapshot\n')).to.equal(true);
+    expect(body).to.include('"status":"completed"');
+  });
+});
+
+describe('FileJobStore', () => {
+  it('round-trips job records and filters by status', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vuxi-job-store-'));
+    tempDirs.push(directory);
+    const store = new FileJobStore({ directory });
+
+    await store.save(storedJob());
+    await Promise.all([
+      store.save(storedJob({ id: 'job-done', status: JOB_STATUS.PENDING })),
+      store.save(storedJob({ id: 'job-done', status: JOB_STATUS.COMPLETED }))
+    ]);
+
+    expect((await store.get('job-done')).status).to.equal(JOB_STATUS.COMPLETED);
+    expect(await store.get('../escape')).to.equal(null);
+    const interrupted = await store.list({ statuses: [JOB_STATUS.SCREENSHOT] });
+    expect(interrupted.map(job => job.id)).to.deep.equal(['job-interrupted']);
+  });
 });
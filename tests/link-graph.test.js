@@ -0,0 +1,35 @@
+const { expect } = require('chai');
+const { LinkGraph } = require('../url-discovery/linkGraph');
+
+describe('LinkGraph', () => {
+  function buildGraph() {
+    const graph = new LinkGraph();
+    graph.addEdge('https://example.com/', 'https://example.com/pricing', { text: '  Pricing\n' });
+    graph.addEdge('https://example.com/', 'https://example.com/pricing', { text: 'See plans' });
+    graph.addEdge('https://example.com/pricing', 'https://example.com/app', { text: 'Open "app"', via: 'click' });
+    graph.addNode('https://example.com/', { source: 'start', depth: 0 });
+    graph.addNode('https://example.com/legacy', { source: 'sitemap', depth: 1 });
+    return graph;
+  }
+
+  it('merges repeated links and reports orphan pages', () => {
+    const data = buildGraph().toJSON('https://example.com/');
+
+    expect(data.edges).to.have.length(2);
+    expect(data.edges[0]).to.include({ text: 'Pricing', count: 2, via: 'link' });
+    expect(data.orphans).to.deep.equal(['https://example.com/legacy']);
+    expect(data.nodes.find(node => node.url === 'https://example.com/pricing')).to.include({
+      inboundLinks: 1,
+      outboundLinks: 1
+    });
+  });
+
+  it('escapes labels in GraphML and DOT output', () => {
+    const graph = buildGraph();
+
+    expect(graph.toGraphML()).to.include('<data key="text">Open &quot;app&quot;</data>');
+    expect(graph.toDot()).to.include(
+      '"https://example.com/pricing" -> "https://example.com/app" [label="Open \\"app\\"", style=dashed];'
+    );
+  });
+});
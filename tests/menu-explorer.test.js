@@ -0,0 +1,84 @@
+const { expect } = require('chai');
+const { exploreMenus, validateMenuDepth } = require('../src/services/screenshot/menuExplorer');
+
+// Products > Software > Analytics > Reports, plus items without submenus
+const MENU = {
+  products: { label: 'Products', children: ['software', 'hardware'] },
+  software: { label: 'Software', children: ['analytics', 'crm'] },
+  analytics: { label: 'Analytics', children: ['reports'] },
+  reports: { label: 'Reports', children: [] },
+  crm: { label: 'CRM', children: [] },
+  hardware: { label: 'Hardware', children: [] },
+  about: { label: 'About', children: [] }
+};
+
+// Stands in for a Playwright page: hovering a trigger opens it, Escape closes
+// everything, and the in-page helpers are answered from MENU
+function fakePage() {
+  const state = { open: new Set(), replays: [] };
+  const trigger = id => ({ selector: `#${id}`, label: MENU[id].label, kind: 'hover' });
+  const page = {
+    state,
+    evaluate: async (fn, arg) => {
+      if (fn.name === 'findTriggers') {
+        return arg ? MENU[arg.slice(1, -'-menu'.length)].children.map(trigger) : ['products', 'about'].map(trigger);
+      }
+      if (fn.name === 'findSubmenu') {
+        const id = arg.slice(1);
+        return state.open.has(id) && MENU[id].children.length ? `#${id}-menu` : null;
+      }
+      return undefined;
+    },
+    locator: selector => ({
+      first: () => ({
+        hover: async () => {
+          const id = selector.replace('css=#', '');
+          state.open.add(id);
+          state.replays[state.replays.length - 1].push(id);
+        },
+        getAttribute: async () => null
+      })
+    }),
+    keyboard: {
+      press: async () => {
+        state.open.clear();
+        state.replays.push([]);
+      }
+    },
+    mouse: { move: async () => {} },
+    waitForTimeout: async () => {}
+  };
+  return page;
+}
+
+describe('exploreMenus', () => {
+  it('opens every level up to maxDepth, replaying the path from a closed menu', async () => {
+    const page = fakePage();
+    const levels = [];
+    const count = await exploreMenus(page, {
+      maxDepth: 3,
+      onLevel: async ({ path, submenu }) => levels.push([path.map(step => step.label).join(' > '), submenu])
+    });
+
+    expect(count).to.equal(3);
+    expect(levels).to.deep.equal([
+      ['Products', '#products-menu'],
+      ['Products > Software', '#software-menu'],
+      ['Products > Software > Analytics', '#analytics-menu']
+    ]);
+    expect(page.state.replays).to.deep.include(['products', 'software', 'analytics']);
+  });
+
+  it('stops at maxLevels and validates the depth option', async () => {
+    const levels = [];
+    await exploreMenus(fakePage(), {
+      maxDepth: 5,
+      maxLevels: 2,
+      onLevel: async ({ path }) => levels.push(path.length)
+    });
+
+    expect(levels).to.deep.equal([1, 2]);
+    expect(() => validateMenuDepth(2)).to.not.throw();
+    expect(() => validateMenuDepth(9)).to.throw(/menuDepth must be an integer from 0 to 5/);
+  });
+});
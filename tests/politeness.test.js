@@ -0,0 +1,51 @@
+const { expect } = require('chai');
+const { CrawlPoliteness } = require('../src/services/politeness');
+const { parseRobotsTxt } = require('../src/services/robots');
+
+function stubRobots(text) {
+  const origins = [];
+  const fetchRobots = async origin => {
+    origins.push(origin);
+    return parseRobotsTxt(text);
+  };
+  return { fetchRobots, origins };
+}
+
+describe('CrawlPoliteness', () => {
+  it('applies robots rules for our user agent and fetches robots.txt once per origin', async () => {
+    const { fetchRobots, origins } = stubRobots('User-agent: VuxiCapture\nDisallow: /internal');
+    const politeness = new CrawlPoliteness({ fetchRobots });
+
+    expect(await politeness.isAllowed('https://example.com/internal/reports')).to.equal(false);
+    expect(await politeness.isAllowed('https://example.com/pricing')).to.equal(true);
+    expect(origins).to.deep.equal(['https://example.com']);
+
+    const optedOut = CrawlPoliteness.from(false, { fetchRobots });
+    expect(await optedOut.isAllowed('https://example.com/internal/reports')).to.equal(true);
+  });
+
+  it('limits in-flight requests per host and spaces them out', async () => {
+    const { fetchRobots } = stubRobots('');
+    const politeness = new CrawlPoliteness({ fetchRobots, minDelayMs: 20, maxInFlightPerHost: 1 });
+    const starts = [];
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    const visit = url => politeness.schedule(url, async () => {
+      starts.push(Date.now());
+      inFlight += 1;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight -= 1;
+    });
+
+    await Promise.all([
+      visit('https://example.com/a'),
+      visit('https://example.com/b'),
+      visit('https://example.com/c')
+    ]);
+
+    expect(maxInFlight).to.equal(1);
+    expect(starts[2] - starts[0]).to.be.at.least(38);
+  });
+});
@@ -0,0 +1,55 @@
+const { expect } = require('chai');
+const { parseRobotsTxt, rulesFor, isAllowedByRobots } = require('../src/services/robots');
+const { parseSitemap } = require('../url-discovery/sitemap');
+
+describe('robots.txt parsing', () => {
+  const robots = parseRobotsTxt([
+    'User-agent: *',
+    'Disallow: /private/',
+    'Allow: /private/press$',
+    '',
+    'User-agent: Googlebot',
+    'User-agent: VuxiCapture',
+    'Disallow: /*.pdf$',
+    'Crawl-delay: 2',
+    '',
+    'Sitemap: https://example.com/sitemap_index.xml # main index'
+  ].join('\n'));
+
+  it('collects sitemap lines and the group for our user agent', () => {
+    expect(robots.sitemaps).to.deep.equal(['https://example.com/sitemap_index.xml']);
+
+    const { rules, crawlDelay } = rulesFor(robots);
+    expect(crawlDelay).to.equal(2);
+    expect(isAllowedByRobots(rules, 'https://example.com/files/report.pdf')).to.equal(false);
+    expect(isAllowedByRobots(rules, 'https://example.com/private/')).to.equal(true);
+  });
+
+  it('lets the longest matching rule win', () => {
+    const { rules } = rulesFor(robots, 'SomeOtherBot');
+    expect(isAllowedByRobots(rules, 'https://example.com/private/team')).to.equal(false);
+    expect(isAllowedByRobots(rules, 'https://example.com/private/press')).to.equal(true);
+    expect(isAllowedByRobots(rules, 'https://example.com/private/press/2024')).to.equal(false);
+    expect(isAllowedByRobots(rules, 'https://example.com/about')).to.equal(true);
+  });
+});
+
+describe('parseSitemap', () => {
+  it('separates page URLs from child sitemaps', () => {
+    const urlset = parseSitemap(`<?xml version="1.0" encoding="UTF-8"?>
+      <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+        <url><loc> https://example.com/ </loc></url>
+        <url><loc>https://example.com/pricing</loc><lastmod>2024-01-01</lastmod></url>
+      </urlset>`);
+    expect(urlset).to.deep.equal({
+      urls: ['https://example.com/', 'https://example.com/pricing'],
+      sitemaps: []
+    });
+
+    const index = parseSitemap(`<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+        <sitemap><loc>https://example.com/sitemap-pages.xml.gz</loc></sitemap>
+      </sitemapindex>`);
+    expect(index.sitemaps).to.deep.equal(['https://example.com/sitemap-pages.xml.gz']);
+    expect(index.urls).to.be.empty;
+  });
+});
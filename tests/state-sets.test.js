@@ -0,0 +1,136 @@
+const { expect } = require('chai');
+const {
+  discoverStateSets,
+  activateState,
+  summarizeStateSets
+} = require('../src/services/screenshot/stateSets');
+const { InteractionRunner } = require('../src/services/screenshot/interactionRunner');
+
+const member = (label, extra = {}) => ({ selector: `#${label.toLowerCase()}`, label, active: false, ...extra });
+
+// Records what was done to which selector; `click` can be made to fail so
+// the dispatchEvent fallback shows up
+function fakePage({ sets = [], clickFails = false } = {}) {
+  const calls = [];
+  return {
+    calls,
+    evaluate: async (fn, maxStates) => {
+      calls.push(['evaluate', fn.name, maxStates]);
+      return sets;
+    },
+    locator: selector => ({
+      first: () => ({
+        click: async () => {
+          calls.push(['click', selector]);
+          if (clickFails) {
+            throw new Error('element is outside of the viewport');
+          }
+        },
+        dispatchEvent: async type => calls.push(['dispatchEvent', selector, type]),
+        selectOption: async value => calls.push(['selectOption', selector, value])
+      })
+    })
+  };
+}
+
+describe('state sets', () => {
+  it('numbers the sets found in the page and caps how many are kept', async () => {
+    const page = fakePage({
+      sets: [
+        { kind: 'tabs', label: 'Plans', total: 2, members: [member('Monthly'), member('Annual')] },
+        { kind: 'select', label: 'Region', total: 3, members: [member('EU'), member('US')] },
+        { kind: 'radio', label: 'Size', total: 2, members: [member('S'), member('M')] }
+      ]
+    });
+
+    const sets = await discoverStateSets(page, { maxStates: 2, maxSets: 2 });
+
+    expect(page.calls[0]).to.deep.equal(['evaluate', 'findStateSets', 2]);
+    expect(sets.map(set => [set.id, set.kind])).to.deep.equal([['set-1', 'tabs'], ['set-2', 'select']]);
+  });
+
+  it('picks select options by value and clicks every other kind of member', async () => {
+    const page = fakePage({ clickFails: true });
+
+    await activateState(page, { kind: 'select' }, { selector: '#region', value: 'us' });
+    await activateState(page, { kind: 'segmented' }, member('Annual'));
+
+    expect(page.calls).to.deep.equal([
+      ['selectOption', 'css=#region', 'us'],
+      ['click', 'css=#annual'],
+      ['dispatchEvent', 'css=#annual', 'click']
+    ]);
+  });
+
+  it('groups tagged interactions back into one entry per set', () => {
+    const tag = (state, position) => ({
+      id: 'set-1',
+      kind: 'segmented',
+      label: 'Billing',
+      selector: '#billing',
+      state,
+      position,
+      total: 2
+    });
+    const sets = summarizeStateSets([
+      { action: 'click', status: 'captured', screenshot: { path: 'desktop/a.png' } },
+      { stateSet: tag('Monthly', 1), status: 'captured', screenshot: { path: 'desktop/b.png' } },
+      {
+        stateSet: tag('Annual', 2),
+        status: 'duplicate',
+        duplicateOf: { url: 'https://example.com', filename: 'b.png' },
+        screenshot: { path: 'desktop/b.png' }
+      }
+    ]);
+
+    expect(sets).to.deep.equal([{
+      id: 'set-1',
+      kind: 'segmented',
+      label: 'Billing',
+      selector: '#billing',
+      total: 2,
+      states: [
+        { state: 'Monthly', status: 'captured', path: 'desktop/b.png' },
+        {
+          state: 'Annual',
+          status: 'duplicate',
+          path: 'desktop/b.png',
+          duplicateOf: { url: 'https://example.com', filename: 'b.png' }
+        }
+      ]
+    }]);
+  });
+
+  it('restores the original choice after a set, even past the captured states', async () => {
+    const page = fakePage({
+      sets: [{
+        kind: 'segmented',
+        label: 'Plan',
+        selector: '#plan',
+        total: 3,
+        members: [member('Free'), member('Pro')],
+        active: member('Team', { active: true })
+      }]
+    });
+    Object.assign(page, {
+      waitForFunction: async () => {},
+      waitForTimeout: async () => {},
+      screenshot: async () => {}
+    });
+    const runner = new InteractionRunner({
+      screenshotsDir: '/tmp/vuxi-state-sets/desktop',
+      stateSets: true,
+      stateSetMaxStates: 2,
+      captureCrops: false
+    });
+
+    const entries = await runner.captureStateSets({ page, url: 'https://example.com', baseFilename: '001_example.png' });
+
+    expect(entries.map(entry => entry.stateSet.state)).to.deep.equal(['Free', 'Pro']);
+    expect(page.calls.filter(([type]) => type === 'click')).to.deep.equal([
+      ['click', 'css=#free'],
+      ['click', 'css=#pro'],
+      ['click', 'css=#team']
+    ]);
+  });
+});
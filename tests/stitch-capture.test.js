@@ -0,0 +1,108 @@
+const { expect } = require('chai');
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+const { captureStitched, validateCaptureMode } = require('../src/services/screenshot/stitchCapture');
+
+const TILE_COLORS = ['#ff0000', '#00ff00', '#0000ff'];
+
+function solid(width, height, color) {
+  return sharp({ create: { width, height, channels: 4, background: color } }).png().toBuffer();
+}
+
+// Stands in for a Playwright page whose content scrolls inside a 100px-tall
+// element below a 20px header, in a 200x140 viewport
+function fakePage({ scrollHeight }) {
+  const calls = { clips: [], hidden: 0, restored: 0 };
+  let tile = 0;
+  const page = {
+    calls,
+    evaluate: async (fn, arg) => {
+      switch (fn.name) {
+        case 'findScroller':
+          return {
+            element: true,
+            top: 20,
+            left: 0,
+            width: 200,
+            height: 100,
+            scrollHeight,
+            viewportWidth: 200,
+            viewportHeight: 140
+          };
+        case 'scrollScroller':
+          return arg[1];
+        case 'hideFixedElements':
+          calls.hidden += 1;
+          return 1;
+        case 'restorePage':
+          calls.restored += 1;
+          return undefined;
+        default:
+          return undefined;
+      }
+    },
+    screenshot: async ({ clip } = {}) => {
+      calls.clips.push(clip);
+      const color = TILE_COLORS[tile % TILE_COLORS.length];
+      tile += 1;
+      return clip ? solid(clip.width, clip.height, color) : solid(200, 140, color);
+    },
+    waitForTimeout: async () => {},
+    waitForFunction: async () => {}
+  };
+  return page;
+}
+
+async function pixel(file, y) {
+  const { data, info } = await sharp(file).raw().toBuffer({ resolveWithObject: true });
+  const offset = (y * info.width + 10) * info.channels;
+  return [data[offset], data[offset + 1], data[offset + 2]];
+}
+
+describe('captureStitched', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vuxi-stitch-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it('scrolls an inner scroller tile by tile and keeps the frame around it once', async () => {
+    const page = fakePage({ scrollHeight: 250 });
+    const file = path.join(dir, 'stitched.png');
+
+    const result = await captureStitched(page, file, { scrollDelay: 0 });
+
+    expect(result).to.deep.equal({ mode: 'stitch', scroller: 'element', tiles: 3 });
+    // Viewport (140) plus everything the scroller could not show (250 - 100)
+    expect((await sharp(file).metadata()).height).to.equal(290);
+    expect(page.calls.clips[0]).to.equal(undefined);
+    expect(page.calls.clips[1]).to.deep.equal({ x: 0, y: 20, width: 200, height: 100 });
+    expect(page.calls.hidden).to.equal(1);
+    expect(page.calls.restored).to.equal(1);
+
+    expect(await pixel(file, 5)).to.deep.equal([255, 0, 0]); // header from the first tile
+    expect(await pixel(file, 150)).to.deep.equal([0, 255, 0]); // second tile at scrollTop 100
+    expect(await pixel(file, 280)).to.deep.equal([255, 0, 0]); // footer from the first tile
+    expect(await pixel(file, 230)).to.deep.equal([0, 0, 255]); // last tile aligned to the bottom
+  });
+
+  it('caps the stitched height', async () => {
+    const page = fakePage({ scrollHeight: 5000 });
+    const file = path.join(dir, 'capped.png');
+
+    await captureStitched(page, file, { scrollDelay: 0, maxHeight: 400 });
+
+    expect((await sharp(file).metadata()).height).to.equal(400);
+  });
+
+  it('rejects unknown capture modes', () => {
+    expect(() => validateCaptureMode('stitch')).not.to.throw();
+    expect(() => validateCaptureMode('panorama')).to.throw(/Unknown captureMode/);
+  });
+});
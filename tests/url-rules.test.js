@@ -0,0 +1,39 @@
+const { expect } = require('chai');
+const { createUrlFilter, validateUrlRules } = require('../src/services/urlRules');
+
+describe('createUrlFilter', () => {
+  it('reports which built-in group excluded a URL', () => {
+    const filter = createUrlFilter();
+
+    expect(filter('https://example.com/fr/about/')).to.deep.equal({
+      source: 'builtin',
+      group: 'languageFolders',
+      rule: '/\\/fr\\//i'
+    });
+    expect(filter('https://example.com/pricing')).to.equal(null);
+  });
+
+  it('lets include rules and disabled groups keep built-in exclusions', () => {
+    const filter = createUrlFilter({
+      include: ['/fr/**'],
+      exclude: ['/blog/*/drafts', { regex: 'preview=1' }],
+      disableRuleGroups: ['legalPages']
+    });
+
+    expect(filter('https://example.com/fr/about')).to.equal(null);
+    expect(filter('https://example.com/privacy')).to.equal(null);
+    expect(filter('https://example.com/blog/2024/drafts')).to.deep.equal({
+      source: 'exclude',
+      rule: '/blog/*/drafts'
+    });
+    expect(filter('https://example.com/blog/2024/03/drafts')).to.equal(null);
+    expect(filter('https://example.com/pricing?preview=1').rule).to.equal('/preview=1/i');
+  });
+
+  it('rejects unknown groups and invalid regexes', () => {
+    expect(() => validateUrlRules({ disableRuleGroups: ['languages'] }))
+      .to.throw('Unknown rule group "languages"');
+    expect(() => validateUrlRules({ exclude: [{ regex: '(' }] }))
+      .to.throw('Invalid exclude rule');
+  });
+});
@@ -0,0 +1,84 @@
+const { expect } = require('chai');
+const { applyUrlEdits, pickNextUrlIndex, shouldExcludeUrl } = require('../url-discovery/utils');
+
+const BASE_URL = 'https://www.example.com/';
+
+const DISCOVERED = [
+  'https://example.com/',
+  'https://example.com/about',
+  'https://example.com/pricing'
+];
+
+describe('applyUrlEdits', () => {
+  it('removes and appends URLs without duplicating existing entries', () => {
+    const { urls, rejected } = applyUrlEdits(DISCOVERED, {
+      remove: ['https://example.com/about'],
+      add: ['https://example.com/contact', 'https://www.example.com/pricing']
+    }, BASE_URL);
+
+    expect(urls).to.deep.equal([
+      'https://example.com/',
+      'https://example.com/pricing',
+      'https://example.com/contact'
+    ]);
+    expect(rejected).to.deep.equal([]);
+  });
+
+  it('uses a full list as the new order and reports invalid URLs', () => {
+    const { urls, rejected } = applyUrlEdits(DISCOVERED, {
+      urls: ['https://example.com/pricing', 'mailto:hi@example.com', 'https://example.com/']
+    }, BASE_URL);
+
+    expect(urls).to.deep.equal(['https://example.com/pricing', 'https://example.com/']);
+    expect(rejected).to.have.length(1);
+    expect(rejected[0].url).to.equal('mailto:hi@example.com');
+  });
+
+  it('rejects added URLs on another origin', () => {
+    const { urls, rejected } = applyUrlEdits(DISCOVERED, {
+      add: ['https://attacker.example.net/collect', 'http://example.com/contact', 'https://example.com/contact']
+    }, BASE_URL);
+
+    expect(urls).to.deep.equal([...DISCOVERED, 'https://example.com/contact']);
+    expect(rejected.map(entry => entry.url)).to.deep.equal([
+      'https://attacker.example.net/collect',
+      'http://example.com/contact'
+    ]);
+    expect(rejected[0].reason).to.equal('Not on the same origin as baseUrl');
+  });
+});
+
+describe('pickNextUrlIndex', () => {
+  const queue = [
+    'https://example.com/blog/first-post',
+    'https://example.com/blog/second-post',
+    'https://example.com/shop/shoes/running',
+    'https://example.com/about'
+  ];
+  const depths = { [queue[0]]: 1, [queue[1]]: 1, [queue[2]]: 2, [queue[3]]: 1 };
+  const depthOf = url => depths[url];
+
+  it('takes the oldest URL breadth-first and the deepest depth-first', () => {
+    expect(pickNextUrlIndex(queue, 'breadth-first', { depthOf })).to.equal(0);
+    expect(pickNextUrlIndex(queue, 'depth-first', { depthOf })).to.equal(2);
+    expect(pickNextUrlIndex([], 'depth-first', { depthOf })).to.equal(-1);
+  });
+
+  it('rotates through sections, preferring shallow pages', () => {
+    const sectionVisits = new Map([['blog', 1]]);
+    expect(pickNextUrlIndex(queue, 'section-round-robin', { depthOf, sectionVisits })).to.equal(3);
+
+    sectionVisits.set('about', 1);
+    expect(pickNextUrlIndex(queue, 'section-round-robin', { depthOf, sectionVisits })).to.equal(2);
+  });
+});
+
+describe('shouldExcludeUrl', () => {
+  it('applies the built-in rule groups plus the given patterns', () => {
+    expect(shouldExcludeUrl('https://example.com/admin/users')).to.equal(true);
+    expect(shouldExcludeUrl('https://example.com/admin/users', [], { authenticated: true })).to.equal(false);
+    expect(shouldExcludeUrl('https://example.com/blog/post', [/\/blog\//])).to.equal(true);
+    expect(shouldExcludeUrl('https://example.com/blog/post', [/\/news\//])).to.equal(false);
+    expect(shouldExcludeUrl('https://example.com/blog/post', [/\/blog\//])).to.equal(true);
+  });
+});
@@ -0,0 +1,59 @@
+const { expect } = require('chai');
+const { WebhookNotifier, signPayload } = require('../src/jobs/webhookNotifier');
+
+function stubFetch(responses) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, ...init });
+    const next = responses[calls.length - 1];
+    if (next instanceof Error) {
+      throw next;
+    }
+    return { ok: next >= 200 && next < 300, status: next };
+  };
+  return { fetch, calls };
+}
+
+describe('WebhookNotifier', () => {
+  it('retries failed attempts and signs every request', async () => {
+    const { fetch, calls } = stubFetch([new Error('connect ECONNREFUSED'), 503, 200]);
+    const notifier = new WebhookNotifier({ fetch, baseDelayMs: 1 });
+    const reported = [];
+
+    const delivery = await notifier.deliver({
+      url: 'https://hooks.example.com/vuxi',
+      secret: 's3cret',
+      event: 'job.completed',
+      payload: { jobId: 'abc', status: 'completed' },
+      onAttempt: update => reported.push(update.status)
+    });
+
+    expect(delivery.status).to.equal('delivered');
+    expect(delivery.attempts.map(a => a.statusCode || a.error)).to.deep.equal([
+      'connect ECONNREFUSED',
+      503,
+      200
+    ]);
+    expect(reported).to.deep.equal(['pending', 'pending', 'delivered']);
+
+    const { headers, body } = calls[2];
+    const expected = signPayload(body, 's3cret', headers['X-Vuxi-Timestamp']);
+    expect(headers['X-Vuxi-Signature']).to.equal(`sha256=${expected}`);
+    expect(headers['X-Vuxi-Delivery']).to.equal(delivery.id);
+  });
+
+  it('gives up immediately on non-retryable responses', async () => {
+    const { fetch, calls } = stubFetch([404]);
+    const notifier = new WebhookNotifier({ fetch, baseDelayMs: 1 });
+
+    const delivery = await notifier.deliver({
+      url: 'https://hooks.example.com/missing',
+      event: 'job.failed',
+      payload: {}
+    });
+
+    expect(delivery.status).to.equal('failed');
+    expect(calls).to.have.length(1);
+    expect(calls[0].headers).to.not.have.property('X-Vuxi-Signature');
+  });
+});
@@ -3,11 +3,18 @@ const {
   isValidUrl,
   normalizeUrl,
   isSameDomain,
-  shouldExcludeUrl,
   createDeduplicationKey,
   deduplicateUrls,
-  applyUrlDiversityFilters
+  applyUrlDiversityFilters,
+  getUrlSection,
+  CRAWL_STRATEGIES,
+  pickNextUrlIndex
 } = require('./utils');
+const { sessionContextOptions, installSessionHeaders, isLogoutUrl } = require('../src/services/authSession');
+const { CrawlPoliteness } = require('../src/services/politeness');
+const { createUrlFilter } = require('../src/services/urlRules');
+const { collectSitemapUrls } = require('./sitemap');
+const { LinkGraph } = require('./linkGraph');
 
 class URLCrawler {
   constructor(options = {}) {
@@ -17,6 +24,32 @@ class URLCrawler {
     this.concurrency = options.concurrency || 3;
     this.excludePatterns = options.excludePatterns || [];
     this.fastMode = options.fastMode !== false;
+    this.onEvent = options.onEvent || (() => {});
+    this.session = options.session || null;
+
+    // Crawl order and depth; the start page is depth 0
+    this.maxDepth = options.maxDepth ?? null;
+    this.crawlStrategy = options.crawlStrategy || 'breadth-first';
+    if (!CRAWL_STRATEGIES.includes(this.crawlStrategy)) {
+      throw new Error(
+        `Unknown crawl strategy "${this.crawlStrategy}" (expected one of: ${CRAWL_STRATEGIES.join(', ')})`
+      );
+    }
+
+    // Job-level include/exclude rules on top of the built-in rule groups
+    this.urlFilter = createUrlFilter({
+      include: options.include,
+      exclude: [...this.excludePatterns, ...[].concat(options.exclude ?? [])],
+      disableRuleGroups: options.disableRuleGroups,
+      authenticated: Boolean(this.session)
+    });
+
+    // Sitemap seeding
+    this.useSitemaps = options.useSitemaps !== false;
+    this.maxSitemapUrls = options.maxSitemapUrls || 5000;
+
+    // robots.txt rules and per-host rate limits (`politeness: false` opts out)
+    this.politeness = CrawlPoliteness.from(options.politeness, { timeout: this.timeout });
 
     // New diversity options
     this.enableDiversityFilters = options.enableDiversityFilters !== false;
@@ -31,10 +64,21 @@ class URLCrawler {
     this.discoveredUrls = new Set();
     this.urlsToVisit = [];
     this.deduplicationKeys = new Set();
+    this.urlInfo = new Map();
+    this.sectionVisits = new Map();
+    this.linkGraph = new LinkGraph();
+    this.robotsBlockedUrls = new Set();
+    this.excludedUrls = new Map();
+    this.depthLimitedUrls = new Set();
     this.actualBaseUrl = null;
+    this.signal = null;
     this.stats = {
       pagesCrawled: 0,
       pagesSkipped: 0,
+      robotsBlocked: 0,
+      urlsExcludedByRules: 0,
+      depthLimited: 0,
+      maxDepthReached: 0,
       errors: 0,
       duplicatesSkipped: 0,
       redirectDetected: false,
@@ -44,40 +88,195 @@ class URLCrawler {
       diversityFilteringEnabled: this.enableDiversityFilters,
       urlsBeforeDiversityFilter: 0,
       urlsAfterDiversityFilter: 0,
-      urlsRemovedByDiversityFilter: 0
+      urlsRemovedByDiversityFilter: 0,
+      urlSources: { start: 0, links: 0, spa: 0, sitemap: 0 },
+      sitemap: null
     };
   }
 
+  // Registers a newly discovered URL and remembers how, where and at which
+  // depth it was found
+  addDiscoveredUrl(url, source, referrer = null) {
+    this.discoveredUrls.add(url);
+    // Found again through a shorter path, so it was not dropped after all
+    if (this.depthLimitedUrls.delete(url)) {
+      this.stats.depthLimited = this.depthLimitedUrls.size;
+    }
+    this.deduplicationKeys.add(createDeduplicationKey(url));
+    if (!this.urlInfo.has(url)) {
+      const depth = this.depthForNewUrl(source, referrer);
+      this.urlInfo.set(url, { source, depth, referrer });
+      this.stats.urlSources[source]++;
+      this.stats.maxDepthReached = Math.max(this.stats.maxDepthReached, depth);
+    }
+  }
+
+  depthOf(url) {
+    return this.urlInfo.get(url)?.depth ?? 0;
+  }
+
+  // Sitemap URLs have no referring page, so they count as one click from the start
+  depthForNewUrl(source, referrer) {
+    if (source === 'start') return 0;
+    if (!referrer) return 1;
+    return this.depthOf(referrer) + 1;
+  }
+
+  // Depth-first, a page can be found through a long path before a link one
+  // click from the start page turns up. Until it has been crawled it takes the
+  // shorter depth, and is queued once that brings it back under maxDepth.
+  lowerDepth(url, source, referrer) {
+    const info = this.urlInfo.get(url);
+    const depth = this.depthForNewUrl(source, referrer);
+    if (!info || depth >= info.depth || this.visitedUrls.has(url)) return;
+    info.depth = depth;
+    info.referrer = referrer;
+    if (this.shouldCrawl(url) && !this.urlsToVisit.includes(url)) {
+      this.urlsToVisit.push(url);
+    }
+  }
+
+  // Pages beyond maxDepth are dropped; pages at maxDepth are kept but not
+  // crawled, since everything they link to would be too deep. Each dropped URL
+  // counts once however many pages link to it.
+  exceedsMaxDepth(url, depth) {
+    if (this.maxDepth === null || depth <= this.maxDepth) return false;
+    this.depthLimitedUrls.add(url);
+    this.stats.depthLimited = this.depthLimitedUrls.size;
+    return true;
+  }
+
+  shouldCrawl(url) {
+    return this.maxDepth === null || this.depthOf(url) < this.maxDepth;
+  }
+
+  takeNextUrl() {
+    const index = pickNextUrlIndex(this.urlsToVisit, this.crawlStrategy, {
+      depthOf: url => this.depthOf(url),
+      sectionVisits: this.sectionVisits
+    });
+    const [url] = this.urlsToVisit.splice(index, 1);
+    const section = getUrlSection(url);
+    this.sectionVisits.set(section, (this.sectionVisits.get(section) || 0) + 1);
+    return url;
+  }
+
+  // Records which rule dropped a URL so urls.json can explain it
+  isExcludedByRules(url) {
+    const match = this.urlFilter(url);
+    if (!match) return false;
+    if (!this.excludedUrls.has(url)) {
+      this.excludedUrls.set(url, match);
+      this.stats.urlsExcludedByRules = this.excludedUrls.size;
+    }
+    return true;
+  }
+
+  async isBlockedByRobots(url) {
+    if (await this.politeness.isAllowed(url)) return false;
+    this.robotsBlockedUrls.add(url);
+    this.stats.robotsBlocked = this.robotsBlockedUrls.size;
+    return true;
+  }
+
+  async seedFromSitemaps(startUrl) {
+    const origin = new URL(startUrl).origin;
+    const sitemapStats = {
+      robotsTxtFound: false,
+      sitemapsListed: 0,
+      sitemapsFetched: 0,
+      urlsInSitemaps: 0,
+      urlsAdded: 0,
+      disallowedByRobots: 0,
+      errors: []
+    };
+    this.stats.sitemap = sitemapStats;
+
+    const robots = await this.politeness.getRobots(origin);
+    sitemapStats.robotsTxtFound = Boolean(robots);
+    sitemapStats.sitemapsListed = robots?.sitemaps.length || 0;
+
+    // Fall back to the conventional location when robots.txt lists none
+    const sitemapUrls = robots?.sitemaps.length ? robots.sitemaps : [`${origin}/sitemap.xml`];
+    const { urls, sitemapsFetched, errors } = await collectSitemapUrls(sitemapUrls, {
+      timeout: this.timeout,
+      maxUrls: this.maxSitemapUrls,
+      signal: this.signal
+    });
+    sitemapStats.sitemapsFetched = sitemapsFetched;
+    sitemapStats.urlsInSitemaps = urls.length;
+    sitemapStats.errors = errors;
+
+    for (const url of urls) {
+      if (!isValidUrl(url) || !isSameDomain(startUrl, url)) continue;
+
+      const normalizedUrl = normalizeUrl(url);
+      if (await this.isBlockedByRobots(normalizedUrl)) {
+        sitemapStats.disallowedByRobots++;
+        continue;
+      }
+      if (this.isExcludedByRules(normalizedUrl)) continue;
+      if (this.session && isLogoutUrl(normalizedUrl)) continue;
+      if (this.discoveredUrls.has(normalizedUrl)) continue;
+      if (this.deduplicationKeys.has(createDeduplicationKey(normalizedUrl))) {
+        this.stats.duplicatesSkipped++;
+        continue;
+      }
+      if (this.exceedsMaxDepth(normalizedUrl, this.depthForNewUrl('sitemap', null))) continue;
+
+      this.addDiscoveredUrl(normalizedUrl, 'sitemap');
+      if (this.shouldCrawl(normalizedUrl)) {
+        this.urlsToVisit.push(normalizedUrl);
+      }
+      sitemapStats.urlsAdded++;
+    }
+
+    console.log(
+      `🗺️  Sitemaps: ${sitemapStats.urlsAdded} URLs added from ${sitemapsFetched} sitemap(s)` +
+      (sitemapStats.disallowedByRobots ? `, ${sitemapStats.disallowedByRobots} disallowed by robots.txt` : '')
+    );
+  }
+
   async extractLinks(page, baseUrl) {
     try {
       await page.waitForTimeout(500);
 
       const links = await page.evaluate(() => {
-        return Array.from(document.querySelectorAll('a[href]')).map(link => link.href);
+        return Array.from(document.querySelectorAll('a[href]')).map(link => ({
+          href: link.href,
+          text: link.innerText || link.getAttribute('aria-label') || link.title || ''
+        }));
       });
 
       const validLinks = [];
       const domainCheckUrl = this.actualBaseUrl || baseUrl;
 
-      for (const link of links) {
+      for (const { href: link, text } of links) {
         if (!isValidUrl(link)) continue;
         if (!link.startsWith('http://') && !link.startsWith('https://')) continue;
         if (!isSameDomain(domainCheckUrl, link)) continue;
 
         const normalizedUrl = normalizeUrl(link);
-        if (shouldExcludeUrl(normalizedUrl, this.excludePatterns)) continue;
+        if (this.isExcludedByRules(normalizedUrl)) continue;
+        if (this.session && isLogoutUrl(normalizedUrl)) continue;
 
         const dedupKey = createDeduplicationKey(normalizedUrl);
         if (this.deduplicationKeys.has(dedupKey)) {
           this.stats.duplicatesSkipped++;
+          // Links to pages we already know still belong in the graph
+          if (this.discoveredUrls.has(normalizedUrl)) {
+            this.linkGraph.addEdge(baseUrl, normalizedUrl, { text, via: 'link' });
+            this.lowerDepth(normalizedUrl, 'links', baseUrl);
+          }
           continue;
         }
 
         if (this.discoveredUrls.has(normalizedUrl)) continue;
+        if (this.exceedsMaxDepth(normalizedUrl, this.depthForNewUrl('links', baseUrl))) continue;
 
         validLinks.push(normalizedUrl);
-        this.discoveredUrls.add(normalizedUrl);
-        this.deduplicationKeys.add(dedupKey);
+        this.addDiscoveredUrl(normalizedUrl, 'links', baseUrl);
+        this.linkGraph.addEdge(baseUrl, normalizedUrl, { text, via: 'link' });
       }
 
       return validLinks;
@@ -121,9 +320,12 @@ class URLCrawler {
     }
 
     for (const { i, text } of elementTexts) {
+      if (this.signal?.aborted) break;
       try {
         // Always reload to get a clean page state before each click
-        await page.goto(urlBefore, { waitUntil: 'networkidle', timeout: this.timeout });
+        await this.politeness.schedule(urlBefore, () =>
+          page.goto(urlBefore, { waitUntil: 'networkidle', timeout: this.timeout })
+        );
         await page.waitForTimeout(300);
 
         // Re-find the element by its position among filtered elements
@@ -151,8 +353,10 @@ class URLCrawler {
           if (
             isValidUrl(normalized) &&
             isSameDomain(domainCheckUrl, normalized) &&
-            !shouldExcludeUrl(normalized, this.excludePatterns) &&
-            !this.discoveredUrls.has(normalized)
+            !this.isExcludedByRules(normalized) &&
+            !(this.session && isLogoutUrl(normalized)) &&
+            !this.discoveredUrls.has(normalized) &&
+            !this.exceedsMaxDepth(normalized, this.depthForNewUrl('spa', baseUrl))
           ) {
             const dedupKey = createDeduplicationKey(normalized);
             if (!this.deduplicationKeys.has(dedupKey)) {
@@ -160,7 +364,9 @@ class URLCrawler {
               const verifyPage = await page.context().newPage();
               let directlyLoadable = false;
               try {
-                await verifyPage.goto(normalized, { waitUntil: 'networkidle', timeout: this.timeout });
+                await this.politeness.schedule(normalized, () =>
+                  verifyPage.goto(normalized, { waitUntil: 'networkidle', timeout: this.timeout })
+                );
                 const landedUrl = normalizeUrl(verifyPage.url());
                 directlyLoadable = landedUrl === normalized;
               } catch {
@@ -171,8 +377,8 @@ class URLCrawler {
 
               if (directlyLoadable) {
                 discoveredRoutes.push(normalized);
-                this.discoveredUrls.add(normalized);
-                this.deduplicationKeys.add(dedupKey);
+                this.addDiscoveredUrl(normalized, 'spa', baseUrl);
+                this.linkGraph.addEdge(baseUrl, normalized, { text, via: 'click' });
                 console.log(`  🖱️  Click on "${text.substring(0, 50) || 'element'}" revealed: ${normalized}`);
               } else {
                 console.log(`  ⚠️  Skipping state-gated route (redirects when loaded directly): ${normalized}`);
@@ -188,10 +394,19 @@ class URLCrawler {
     return discoveredRoutes;
   }
 
-  async crawlPage(browser, url, pageIndex) {
+  // `context` is shared by every page of the crawl so an authenticated session
+  // carries over from page to page
+  async crawlPage(context, url, pageIndex) {
     let page = null;
     try {
-      page = await browser.newPage();
+      if (await this.isBlockedByRobots(url)) {
+        this.stats.pagesSkipped++;
+        console.log(`  🚫 ${url}: disallowed by robots.txt`);
+        this.onEvent({ type: 'page_skipped', url, reason: 'robots.txt' });
+        return [];
+      }
+
+      page = await context.newPage();
 
       if (this.fastMode) {
         await page.route('**/*', (route) => {
@@ -201,18 +416,24 @@ class URLCrawler {
           if (['image', 'media'].includes(resourceType)) {
             route.abort();
           } else {
-            route.continue();
+            // fallback, not continue, so the session's auth headers still apply
+            route.fallback();
           }
         });
       }
 
-      const response = await page.goto(url, {
+      const response = await this.politeness.schedule(url, () => page.goto(url, {
         waitUntil: 'networkidle',
         timeout: this.timeout
-      });
+      }));
 
       if (!response || response.status() >= 400) {
         this.stats.pagesSkipped++;
+        this.onEvent({
+          type: 'page_skipped',
+          url,
+          reason: `HTTP ${response ? response.status() : 'no response'}`
+        });
         return [];
       }
 
@@ -227,8 +448,7 @@ class URLCrawler {
 
           const normalizedFinalUrl = normalizeUrl(finalUrl);
           if (!this.discoveredUrls.has(normalizedFinalUrl)) {
-            this.discoveredUrls.add(normalizedFinalUrl);
-            this.deduplicationKeys.add(createDeduplicationKey(normalizedFinalUrl));
+            this.addDiscoveredUrl(normalizedFinalUrl, 'start');
           }
         }
       }
@@ -243,22 +463,32 @@ class URLCrawler {
 
       // SPA discovery needs a clean page without the fastMode route interceptor
       // (the interceptor blocks navigation triggered by JS clicks)
-      const spaPage = await browser.newPage();
+      const spaPage = await context.newPage();
       let spaRoutes = [];
       try {
-        await spaPage.goto(url, { waitUntil: 'networkidle', timeout: this.timeout });
+        await this.politeness.schedule(url, () =>
+          spaPage.goto(url, { waitUntil: 'networkidle', timeout: this.timeout })
+        );
         spaRoutes = await this.discoverSpaRoutes(spaPage, url);
       } finally {
         await spaPage.close();
       }
 
       console.log(`  📄 ${url}: found ${links.length} new links, ${spaRoutes.length} SPA routes`);
+      this.onEvent({
+        type: 'page_crawled',
+        url,
+        linksFound: links.length,
+        spaRoutesFound: spaRoutes.length,
+        pagesCrawled: this.stats.pagesCrawled
+      });
 
       return [...links, ...spaRoutes];
 
     } catch (error) {
       console.log(`  ❌ ${url}: ${error.message}`);
       this.stats.errors++;
+      this.onEvent({ type: 'page_failed', url, error: error.message });
       return [];
     } finally {
       if (page) {
@@ -267,43 +497,52 @@ class URLCrawler {
     }
   }
 
-  async processBatch(browser, urls, startIndex) {
+  async processBatch(context, urls, startIndex) {
     const promises = urls.map((url, index) =>
-      this.crawlPage(browser, url, startIndex + index + 1)
+      this.crawlPage(context, url, startIndex + index + 1)
     );
 
     const results = await Promise.all(promises);
     return results.flat();
   }
 
-  async crawl(startUrl) {
+  async crawl(startUrl, { signal } = {}) {
     const browser = await chromium.launch({
       headless: true,
       args: ['--no-sandbox', '--disable-setuid-sandbox']
     });
+    // Closing the browser makes every in-flight page operation fail fast
+    const closeOnAbort = () => browser.close().catch(() => {});
+    this.signal = signal || null;
+    signal?.addEventListener('abort', closeOnAbort, { once: true });
 
     try {
+      const context = await browser.newContext(sessionContextOptions(this.session));
+      await installSessionHeaders(context, this.session);
       const normalizedStartUrl = normalizeUrl(startUrl);
       this.actualBaseUrl = normalizedStartUrl;
       this.stats.originalUrl = startUrl;
 
-      this.discoveredUrls.add(normalizedStartUrl);
-      this.deduplicationKeys.add(createDeduplicationKey(normalizedStartUrl));
+      this.addDiscoveredUrl(normalizedStartUrl, 'start');
       this.urlsToVisit.push(normalizedStartUrl);
 
-      console.log(`🔍 Crawling ${normalizedStartUrl}...`);
+      if (this.useSitemaps) {
+        await this.seedFromSitemaps(normalizedStartUrl);
+      }
+
+      console.log(`🔍 Crawling ${normalizedStartUrl} (${this.crawlStrategy}${this.maxDepth !== null ? `, max depth ${this.maxDepth}` : ''})...`);
       if (this.enableDiversityFilters) {
         console.log(`🎯 Diversity filtering enabled (max ${this.diversityOptions.maxPerCategory} per category)`);
       }
 
       let processedCount = 0;
 
-      while (this.urlsToVisit.length > 0 && processedCount < this.maxPages) {
+      while (this.urlsToVisit.length > 0 && processedCount < this.maxPages && !signal?.aborted) {
         const batchSize = Math.min(this.concurrency, this.urlsToVisit.length, this.maxPages - processedCount);
         const currentBatch = [];
 
         for (let i = 0; i < batchSize; i++) {
-          const url = this.urlsToVisit.shift();
+          const url = this.takeNextUrl();
           if (!this.visitedUrls.has(url)) {
             this.visitedUrls.add(url);
             currentBatch.push(url);
@@ -312,10 +551,11 @@ class URLCrawler {
 
         if (currentBatch.length === 0) continue;
 
-        const newLinks = await this.processBatch(browser, currentBatch, processedCount);
+        const newLinks = await this.processBatch(context, currentBatch, processedCount);
+        if (signal?.aborted) break;
 
         for (const link of newLinks) {
-          if (!this.visitedUrls.has(link) && !this.urlsToVisit.includes(link)) {
+          if (!this.visitedUrls.has(link) && !this.urlsToVisit.includes(link) && this.shouldCrawl(link)) {
             this.urlsToVisit.push(link);
           }
         }
@@ -323,8 +563,15 @@ class URLCrawler {
         processedCount += currentBatch.length;
       }
 
+      // Links to disallowed pages are collected like any other, so drop them
+      // before they reach the screenshot step
+      const allowedUrls = [];
+      for (const url of this.discoveredUrls) {
+        if (!(await this.isBlockedByRobots(url))) allowedUrls.push(url);
+      }
+
       // First apply standard deduplication
-      let finalUrls = deduplicateUrls(Array.from(this.discoveredUrls));
+      let finalUrls = deduplicateUrls(allowedUrls);
 
       // Apply diversity filters if enabled and URL count is above 10
       if (this.enableDiversityFilters && finalUrls.length > 10) {
@@ -347,24 +594,52 @@ class URLCrawler {
         finalUrls = finalUrls.slice(0, this.maxPages);
       }
 
+      this.stats.cancelled = Boolean(signal?.aborted);
+      if (this.stats.cancelled) {
+        console.log(`🛑 Crawl cancelled after ${processedCount} page(s)`);
+      }
+
       this.stats.duration = (Date.now() - this.stats.startTime) / 1000;
       this.stats.finalUrlCount = finalUrls.length;
+      this.stats.finalUrlSources = finalUrls.reduce((counts, url) => {
+        const source = this.urlInfo.get(url)?.source || 'links';
+        counts[source] = (counts[source] || 0) + 1;
+        return counts;
+      }, {});
       this.stats.totalUrlsDiscovered = this.discoveredUrls.size;
+
+      const keptUrls = new Set(finalUrls);
+      for (const [url, info] of this.urlInfo) {
+        this.linkGraph.addNode(url, {
+          source: info.source,
+          depth: info.depth,
+          crawled: this.visitedUrls.has(url),
+          kept: keptUrls.has(url)
+        });
+      }
       this.stats.duplicatesRemoved = this.discoveredUrls.size - finalUrls.length;
 
       if (!this.stats.finalUrl) {
         this.stats.finalUrl = this.stats.originalUrl;
       }
 
+      if (this.stats.robotsBlocked > 0) {
+        console.log(`🚫 ${this.stats.robotsBlocked} URL(s) skipped because robots.txt disallows them`);
+      }
       console.log(`✅ Found ${finalUrls.length} diverse URLs in ${this.stats.duration.toFixed(1)}s`);
 
       return {
         urls: finalUrls,
-        stats: this.stats
+        cancelled: this.stats.cancelled,
+        stats: this.stats,
+        excluded: Array.from(this.excludedUrls, ([url, match]) => ({ url, ...match })),
+        urlInfo: Object.fromEntries(this.urlInfo),
+        linkGraph: this.linkGraph
       };
 
     } finally {
-      await browser.close();
+      signal?.removeEventListener('abort', closeOnAbort);
+      await browser.close().catch(() => {});
     }
   }
 }
@@ -17,6 +17,15 @@ class URLDiscoveryService {
     this.fastMode = options.fastMode !== false;
     this.outputDir = options.outputDir || './data';
     this.excludePatterns = options.excludePatterns || [];
+    this.include = options.include;
+    this.exclude = options.exclude;
+    this.disableRuleGroups = options.disableRuleGroups;
+    this.maxDepth = options.maxDepth ?? null;
+    this.crawlStrategy = options.crawlStrategy;
+    this.onEvent = options.onEvent;
+    this.session = options.session || null;
+    this.useSitemaps = options.useSitemaps !== false;
+    this.politeness = options.politeness ?? true;
     
     // Enhanced diversity options
     this.enableDiversityFilters = options.enableDiversityFilters !== false;
@@ -31,7 +40,7 @@ class URLDiscoveryService {
     this.maxUrlsTotal = options.maxUrlsTotal || 50;
   }
   
-  async discover(startUrl) {
+  async discover(startUrl, { signal } = {}) {
     const startTime = Date.now();
     console.log(`🔍 Starting URL discovery for: ${startUrl}`);
     
@@ -44,6 +53,15 @@ class URLDiscoveryService {
         concurrency: this.concurrency,
         fastMode: this.fastMode,
         excludePatterns: this.excludePatterns,
+        include: this.include,
+        exclude: this.exclude,
+        disableRuleGroups: this.disableRuleGroups,
+        maxDepth: this.maxDepth,
+        crawlStrategy: this.crawlStrategy,
+        onEvent: this.onEvent,
+        session: this.session,
+        useSitemaps: this.useSitemaps,
+        politeness: this.politeness,
         
         // Pass diversity options to crawler
         enableDiversityFilters: this.enableDiversityFilters,
@@ -58,9 +76,9 @@ class URLDiscoveryService {
       });
       
       // Crawl and get diverse URLs
-      const results = await crawler.crawl(startUrl);
+      const results = await crawler.crawl(startUrl, { signal });
       
-      if (!results.success && results.urls.length === 0) {
+      if (!results.success && results.urls.length === 0 && !results.cancelled) {
         throw new Error('No URLs were discovered during crawling');
       }
       
@@ -123,21 +141,37 @@ class URLDiscoveryService {
         urls: finalUrls.map(url => ({
           url,
           normalizedUrl: url,
-          discovered: true
-        }))
+          discovered: true,
+          // source, depth and the page that linked here (null for the start page and sitemap URLs)
+          ...results.urlInfo?.[url]
+        })),
+        // Every URL a rule dropped, with the rule (and built-in group) responsible
+        excluded: results.excluded || []
       };
 
       // Save files
       const urlsPath = path.join(this.outputDir, 'urls.json');
       const simpleUrlsPath = path.join(this.outputDir, 'urls_simple.json');
+      const linkGraphPaths = {
+        json: path.join(this.outputDir, 'link_graph.json'),
+        graphml: path.join(this.outputDir, 'link_graph.graphml'),
+        dot: path.join(this.outputDir, 'link_graph.dot')
+      };
+
+      const linkGraphData = results.linkGraph.toJSON(results.stats.finalUrl || startUrl);
+      fullData.linkGraph = linkGraphData.stats;
       
       await fs.writeJson(urlsPath, fullData, { spaces: 2 });
       await fs.writeJson(simpleUrlsPath, finalUrls, { spaces: 2 });
+      await fs.writeJson(linkGraphPaths.json, linkGraphData, { spaces: 2 });
+      await fs.writeFile(linkGraphPaths.graphml, results.linkGraph.toGraphML());
+      await fs.writeFile(linkGraphPaths.dot, results.linkGraph.toDot());
 
       console.log(`💾 Saved ${finalUrls.length} URLs to data files`);
       
       return {
         success: true,
+        cancelled: Boolean(results.cancelled),
         urls: finalUrls,
         stats: {
           ...results.stats,
@@ -149,7 +183,10 @@ class URLDiscoveryService {
         },
         files: {
           urls: urlsPath,
-          simpleUrls: simpleUrlsPath
+          simpleUrls: simpleUrlsPath,
+          linkGraph: linkGraphPaths.json,
+          linkGraphGraphML: linkGraphPaths.graphml,
+          linkGraphDot: linkGraphPaths.dot
         }
       };
 
@@ -157,6 +194,7 @@ class URLDiscoveryService {
       console.error('❌ URL discovery failed:', error.message);
       return {
         success: false,
+        cancelled: Boolean(signal?.aborted),
         error: error.message,
         urls: [],
         stats: { 
@@ -0,0 +1,158 @@
+/**
+ * Internal link graph collected while crawling, with JSON, GraphML and DOT export
+ */
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeDot(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\s+/g, ' ');
+}
+
+class LinkGraph {
+  constructor() {
+    this.nodes = new Map();
+    this.edges = new Map();
+  }
+
+  /**
+   * Adds or updates a page in the graph
+   * @param {string} url - Normalized page URL
+   * @param {Object} attributes - Extra fields such as `depth`, `source` or `crawled`
+   */
+  addNode(url, attributes = {}) {
+    this.nodes.set(url, { ...this.nodes.get(url), ...attributes });
+  }
+
+  /**
+   * Records a link between two internal pages; repeats of the same link only bump its count
+   * @param {string} source - Page the link was found on
+   * @param {string} target - Page it points to
+   * @param {Object} details - `text` (anchor text) and `via` (`link` for a[href], `click` for SPA routes)
+   */
+  addEdge(source, target, { text = '', via = 'link' } = {}) {
+    if (source === target) return;
+    const label = text.trim().replace(/\s+/g, ' ').slice(0, 120);
+
+    if (!this.nodes.has(source)) this.addNode(source);
+    if (!this.nodes.has(target)) this.addNode(target);
+
+    const key = `${via} ${source} ${target}`;
+    const existing = this.edges.get(key);
+    if (existing) {
+      existing.count++;
+      if (!existing.text) existing.text = label;
+      return;
+    }
+    this.edges.set(key, { source, target, text: label, via, count: 1 });
+  }
+
+  /**
+   * Builds the JSON export, including orphan pages (no inbound links) and link counts per page
+   * @param {string} startUrl - Crawl start page; it and its redirect target are never orphans
+   * @returns {Object} `{ nodes, edges, orphans, stats }`
+   */
+  toJSON(startUrl) {
+    const inbound = new Map();
+    const outbound = new Map();
+    for (const edge of this.edges.values()) {
+      inbound.set(edge.target, (inbound.get(edge.target) || 0) + 1);
+      outbound.set(edge.source, (outbound.get(edge.source) || 0) + 1);
+    }
+
+    const nodes = Array.from(this.nodes, ([url, attributes]) => ({
+      url,
+      ...attributes,
+      inboundLinks: inbound.get(url) || 0,
+      outboundLinks: outbound.get(url) || 0
+    }));
+    const orphans = nodes
+      .filter(node => node.url !== startUrl && node.source !== 'start' && node.inboundLinks === 0)
+      .map(node => node.url);
+
+    return {
+      startUrl,
+      nodes,
+      edges: Array.from(this.edges.values()),
+      orphans,
+      stats: {
+        nodes: nodes.length,
+        edges: this.edges.size,
+        orphans: orphans.length,
+        maxDepth: nodes.reduce((max, node) => Math.max(max, node.depth ?? 0), 0)
+      }
+    };
+  }
+
+  /**
+   * Serializes the graph as GraphML (opens in Gephi, yEd, Cytoscape)
+   * @returns {string} GraphML document
+   */
+  toGraphML() {
+    const ids = new Map(Array.from(this.nodes.keys(), (url, index) => [url, `n${index}`]));
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+      '  <key id="url" for="node" attr.name="url" attr.type="string"/>',
+      '  <key id="depth" for="node" attr.name="depth" attr.type="int"/>',
+      '  <key id="source" for="node" attr.name="source" attr.type="string"/>',
+      '  <key id="text" for="edge" attr.name="text" attr.type="string"/>',
+      '  <key id="via" for="edge" attr.name="via" attr.type="string"/>',
+      '  <key id="count" for="edge" attr.name="count" attr.type="int"/>',
+      '  <graph id="site" edgedefault="directed">'
+    ];
+
+    for (const [url, attributes] of this.nodes) {
+      lines.push(`    <node id="${ids.get(url)}">`);
+      lines.push(`      <data key="url">${escapeXml(url)}</data>`);
+      if (attributes.depth !== undefined && attributes.depth !== null) {
+        lines.push(`      <data key="depth">${attributes.depth}</data>`);
+      }
+      if (attributes.source) {
+        lines.push(`      <data key="source">${escapeXml(attributes.source)}</data>`);
+      }
+      lines.push('    </node>');
+    }
+
+    let index = 0;
+    for (const edge of this.edges.values()) {
+      lines.push(`    <edge id="e${index++}" source="${ids.get(edge.source)}" target="${ids.get(edge.target)}">`);
+      lines.push(`      <data key="text">${escapeXml(edge.text)}</data>`);
+      lines.push(`      <data key="via">${edge.via}</data>`);
+      lines.push(`      <data key="count">${edge.count}</data>`);
+      lines.push('    </edge>');
+    }
+
+    lines.push('  </graph>', '</graphml>', '');
+    return lines.join('\n');
+  }
+
+  /**
+   * Serializes the graph as Graphviz DOT; SPA click routes are drawn dashed
+   * @returns {string} DOT document
+   */
+  toDot() {
+    const lines = ['digraph site {', '  rankdir=LR;', '  node [shape=box, fontsize=10];'];
+
+    for (const [url, attributes] of this.nodes) {
+      const depth = attributes.depth !== undefined && attributes.depth !== null
+        ? `\\n(depth ${attributes.depth})`
+        : '';
+      lines.push(`  "${escapeDot(url)}" [label="${escapeDot(url)}${depth}"];`);
+    }
+    for (const edge of this.edges.values()) {
+      const style = edge.via === 'click' ? ', style=dashed' : '';
+      lines.push(`  "${escapeDot(edge.source)}" -> "${escapeDot(edge.target)}" [label="${escapeDot(edge.text)}"${style}];`);
+    }
+
+    lines.push('}', '');
+    return lines.join('\n');
+  }
+}
+
+module.exports = { LinkGraph };
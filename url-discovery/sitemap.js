@@ -0,0 +1,93 @@
+/**
+ * Sitemap fetching and parsing (urlset, sitemap index, gzipped files)
+ */
+
+const zlib = require('zlib');
+const cheerio = require('cheerio');
+const { ROBOTS_USER_AGENT } = require('../src/services/robots');
+
+/**
+ * Parses a sitemap document
+ * @param {string} xml - Sitemap XML
+ * @returns {Object} `{ urls, sitemaps }`: page URLs from a urlset, child sitemaps from an index
+ */
+function parseSitemap(xml = '') {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const locs = selector => $(selector)
+    .map((_, el) => $(el).text().trim())
+    .get()
+    .filter(Boolean);
+
+  return {
+    urls: locs('urlset > url > loc'),
+    sitemaps: locs('sitemapindex > sitemap > loc')
+  };
+}
+
+function isGzip(buffer) {
+  return buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+}
+
+async function fetchSitemap(url, options) {
+  const response = await fetch(url, {
+    headers: { 'User-Agent': options.userAgent || ROBOTS_USER_AGENT },
+    signal: AbortSignal.timeout(options.timeout || 8000)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  // Servers send .xml.gz both as raw gzip and with Content-Encoding already undone
+  const buffer = Buffer.from(await response.arrayBuffer());
+  return (isGzip(buffer) ? zlib.gunzipSync(buffer) : buffer).toString('utf8');
+}
+
+/**
+ * Walks sitemaps (following sitemap indexes) and collects page URLs
+ * @param {string[]} sitemapUrls - Sitemaps to start from
+ * @param {Object} options - `maxSitemaps`, `maxUrls`, `timeout`, `userAgent`, `signal`
+ * @returns {Promise<Object>} `{ urls, sitemapsFetched, errors }`
+ */
+async function collectSitemapUrls(sitemapUrls, options = {}) {
+  const maxSitemaps = options.maxSitemaps || 25;
+  const maxUrls = options.maxUrls || 5000;
+  const queue = [...sitemapUrls];
+  const seen = new Set(queue);
+  const urls = new Set();
+  const errors = [];
+  let sitemapsFetched = 0;
+
+  while (queue.length > 0 && sitemapsFetched < maxSitemaps && urls.size < maxUrls) {
+    if (options.signal?.aborted) break;
+
+    const sitemapUrl = queue.shift();
+    try {
+      const parsed = parseSitemap(await fetchSitemap(sitemapUrl, options));
+      sitemapsFetched++;
+
+      for (const child of parsed.sitemaps) {
+        if (!seen.has(child)) {
+          seen.add(child);
+          queue.push(child);
+        }
+      }
+      for (const url of parsed.urls) {
+        if (urls.size >= maxUrls) break;
+        urls.add(url);
+      }
+    } catch (error) {
+      errors.push({ url: sitemapUrl, error: error.message });
+    }
+  }
+
+  return {
+    urls: Array.from(urls),
+    sitemapsFetched,
+    errors
+  };
+}
+
+module.exports = {
+  parseSitemap,
+  collectSitemapUrls
+};
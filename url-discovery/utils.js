@@ -2,6 +2,9 @@
  * URL discovery utilities with enhanced diversity filtering
  */
 
+const { createUrlFilter } = require('../src/services/urlRules');
+const { assertSameOrigin } = require('../src/services/authSession');
+
 /**
  * Checks if a URL is valid and accessible
  * @param {string} url - URL to validate
@@ -121,85 +124,19 @@ function isSameDomain(url1, url2) {
 }
 
 /**
- * Checks if a URL should be excluded based on patterns
+ * Checks if a URL should be excluded by the built-in rule groups or extra patterns
  * @param {string} url - URL to check
  * @param {RegExp[]} excludePatterns - Array of regex patterns
+ * @param {Object} options - `authenticated` keeps admin/account pages, which a session can reach;
+ *   `include`, `exclude` and `disableRuleGroups` as accepted by `createUrlFilter`
  * @returns {boolean} True if URL should be excluded
  */
-function shouldExcludeUrl(url, excludePatterns = []) {
-  // Enhanced exclusions for reducing similar content - but keep important pages
-  const defaultExclusions = [
-    // File types
-    /\.(pdf|doc|docx|xls|xlsx|ppt|pptx|zip|rar|7z|tar|gz)$/i,
-    /\.(jpg|jpeg|png|gif|svg|ico)$/i,
-    /\.(mp3|mp4|avi|mov|wmv|flv|webm)$/i,
-    
-    // Protocol exclusions
-    /^mailto:/i,
-    /^tel:/i,
-    /^javascript:/i,
-    /\/#/,
-    
-    // WordPress/CMS specific
-    /\/wp-json\//i,
-    /\/feed\//i,
-    /\?replytocom=/i,
-    
-    // Pagination beyond page 1
-    /\/page\/[2-9]$/i,
-    /\/page\/[1-9][0-9]+$/i,
-    /\?page=[2-9]$/i,
-    /\?page=[1-9][0-9]+$/i,
-    
-    // Author pages
-    /\/author\//i,
-    /\/users\//i,
-    
-    // Date-specific URLs
-    /\/\d{2}-\d{2}-\d{2}-\d{2}$/i,
-    /\/\d{4}-\d{2}-\d{2}/i,
-    
-    // Malformed URLs
-    /%22%22$/i,
-    /\/""$/i,
-    
-    // Admin/system pages
-    /\/admin/i,
-    /\/login/i,
-    /\/register/i,
-    /\/cart/i,
-    /\/checkout/i,
-    /\/account/i,
-    
-    // Search and filter URLs
-    /\/search\?/i,
-    /\?filter=/i,
-    /\?sort=/i,
-    
-    // Print/mobile versions
-    /\/print\//i,
-    /\/mobile\//i,
-    /\?print=/i,
-    
-    // Language duplicates
-    /\/en-us\//i,
-    /\/en-gb\//i,
-    /\/fr\//i,
-    /\/de\//i,
-    /\/es\//i,
-    /\/it\//i,
-    /\?lang=/i,
-    
-    // Legal/footer pages (but keep contact pages!)
-    /\/(legal|privacy|cookies|terms|disclaimer|gdpr)$/i,
-    
-    // Newsletter/subscribe forms (but keep contact pages!)
-    /\/(newsletter|subscribe)$/i
-  ];
-  
-  const allPatterns = [...defaultExclusions, ...excludePatterns];
-  
-  return allPatterns.some(pattern => pattern.test(url));
+function shouldExcludeUrl(url, excludePatterns = [], options = {}) {
+  const filter = createUrlFilter({
+    ...options,
+    exclude: [...excludePatterns, ...[].concat(options.exclude ?? [])]
+  });
+  return filter(url) !== null;
 }
 
 /**
@@ -216,6 +153,54 @@ function getUrlDepth(url) {
   }
 }
 
+/**
+ * Gets the top-level section of a URL (its first path segment)
+ * @param {string} url - URL to analyze
+ * @returns {string} Section name, `root` for the homepage
+ */
+function getUrlSection(url) {
+  try {
+    const pathParts = new URL(url).pathname.split('/').filter(part => part.length > 0);
+    return pathParts[0] || 'root';
+  } catch {
+    return 'unknown';
+  }
+}
+
+// Orders in which the crawler may work through its queue
+const CRAWL_STRATEGIES = ['breadth-first', 'depth-first', 'section-round-robin'];
+
+/**
+ * Chooses which queued URL to crawl next
+ * @param {string[]} queue - URLs waiting to be crawled, oldest first
+ * @param {string} strategy - One of `CRAWL_STRATEGIES`
+ * @param {Object} options - `depthOf(url)` and `sectionVisits` (section → pages already taken)
+ * @returns {number} Index into `queue`, -1 when it is empty
+ */
+function pickNextUrlIndex(queue, strategy = 'breadth-first', options = {}) {
+  const { depthOf = () => 0, sectionVisits = new Map() } = options;
+  if (queue.length === 0) return -1;
+
+  // Scores are compared left to right; the oldest entry wins remaining ties
+  const scoreOf = {
+    'breadth-first': () => [],
+    'depth-first': url => [-depthOf(url)],
+    'section-round-robin': url => [sectionVisits.get(getUrlSection(url)) || 0, depthOf(url)]
+  }[strategy] || (() => []);
+
+  let bestIndex = 0;
+  let bestScore = scoreOf(queue[0]);
+  for (let i = 1; i < queue.length; i++) {
+    const score = scoreOf(queue[i]);
+    const diff = score.findIndex((value, position) => value !== bestScore[position]);
+    if (diff !== -1 && score[diff] < bestScore[diff]) {
+      bestIndex = i;
+      bestScore = score;
+    }
+  }
+  return bestIndex;
+}
+
 /**
  * Performs hierarchical sampling of URLs
  * @param {string[]} urls - Array of URLs
@@ -624,6 +609,46 @@ function applyUrlDiversityFilters(urls, options = {}) {
   return filtered;
 }
 
+/**
+ * Applies reviewer edits to a URL list
+ * @param {string[]} urls - Current URL list
+ * @param {Object} edits - `urls` replaces the list (and sets its order), then `remove` and `add` are applied
+ * @param {string} baseUrl - Job start URL; edited-in URLs must share its origin
+ * @returns {{urls: string[], rejected: Object[]}} Edited list plus any URLs that were invalid or on another origin
+ */
+function applyUrlEdits(urls, edits = {}, baseUrl) {
+  const rejected = [];
+  const accept = url => {
+    if (!isValidUrl(url)) {
+      rejected.push({ url, reason: 'Not a valid http(s) URL' });
+      return null;
+    }
+    // Pages are captured with the job's session cookies and headers, so an
+    // edit must not point them at another host
+    const normalized = normalizeUrl(url);
+    try {
+      assertSameOrigin(normalized, normalizeUrl(baseUrl), 'URL');
+    } catch {
+      rejected.push({ url, reason: 'Not on the same origin as baseUrl' });
+      return null;
+    }
+    return normalized;
+  };
+
+  let result = Array.isArray(edits.urls) ? edits.urls.map(accept).filter(Boolean) : [...urls];
+
+  if (Array.isArray(edits.remove)) {
+    const removals = new Set(edits.remove.filter(isValidUrl).map(normalizeUrl));
+    result = result.filter(url => !removals.has(normalizeUrl(url)));
+  }
+
+  if (Array.isArray(edits.add)) {
+    result.push(...edits.add.map(accept).filter(Boolean));
+  }
+
+  return { urls: [...new Set(result)], rejected };
+}
+
 module.exports = {
   isValidUrl,
   normalizeUrl,
@@ -631,6 +656,9 @@ module.exports = {
   isSameDomain,
   shouldExcludeUrl,
   getUrlDepth,
+  getUrlSection,
+  CRAWL_STRATEGIES,
+  pickNextUrlIndex,
   hierarchicalSampling,
   simpleAggressiveFilter,
   limitUrlsPerCategory,
@@ -641,5 +669,6 @@ module.exports = {
   intelligentUrlFilter,
   removeSimilarUrls,
   calculateUrlSimilarity,
-  applyUrlDiversityFilters
+  applyUrlDiversityFilters,
+  applyUrlEdits
 };
\ No newline at end of file